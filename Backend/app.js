@@ -12,12 +12,20 @@ import logger from './utils/mpesa.logger.js';
 // Initialize express app
 const app = express();
 
+// Client IPs come from X-Forwarded-For when running behind a proxy
+app.set('trust proxy', config.server.trustProxy);
+
 // Apply security middleware
 app.use(helmet());
 app.use(cors());
 
 // Request parsing
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for callback signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
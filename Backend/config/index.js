@@ -1,6 +1,7 @@
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { safeJsonParse } from '../utils/mpesa.helpers.js';
 
 // Get the directory name of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -15,11 +16,29 @@ if (process.env.NODE_ENV !== 'production' && !process.env.MPESA_CONSUMER_KEY) {
   dotenv.config({ path: path.resolve(__dirname, '../../', '.env') });
 }
 
+// Addresses Safaricom sends M-Pesa callbacks from
+const SAFARICOM_CALLBACK_IPS = [
+  '196.201.214.200',
+  '196.201.214.206',
+  '196.201.213.114',
+  '196.201.214.207',
+  '196.201.214.208',
+  '196.201.213.44',
+  '196.201.212.127',
+  '196.201.212.138',
+  '196.201.212.129',
+  '196.201.212.136',
+  '196.201.212.74',
+  '196.201.212.69'
+];
+
 const config = {
   // Server configuration
   env: process.env.NODE_ENV || 'development',
   server: {
-    port: process.env.PORT || 5000
+    port: process.env.PORT || 5000,
+    // Express "trust proxy" setting, needed for client IPs behind a load balancer (e.g. 1 for one hop)
+    trustProxy: safeJsonParse(process.env.TRUST_PROXY, false)
   },
   
   // Database configuration
@@ -39,19 +58,119 @@ const config = {
     shortCode: process.env.MPESA_SHORTCODE,
     initiatorName: process.env.MPESA_INITIATOR_NAME,
     initiatorPassword: process.env.MPESA_INITIATOR_PASSWORD,
+    // Pre-computed credential, only used when no initiator password is set
     securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+    // Safaricom certificate for the security credential (defaults to certs/<sandbox|production>.cer)
+    certificatePath: process.env.MPESA_CERTIFICATE_PATH,
     b2cResultUrl: process.env.MPESA_B2C_RESULT_URL,
     b2cQueueTimeoutUrl: process.env.MPESA_B2C_QUEUE_TIMEOUT_URL,
+    b2bResultUrl: process.env.MPESA_B2B_RESULT_URL,
+    b2bQueueTimeoutUrl: process.env.MPESA_B2B_QUEUE_TIMEOUT_URL,
+    accountBalanceResultUrl: process.env.MPESA_ACCOUNT_BALANCE_RESULT_URL,
+    accountBalanceQueueTimeoutUrl: process.env.MPESA_ACCOUNT_BALANCE_QUEUE_TIMEOUT_URL,
+    reversalResultUrl: process.env.MPESA_REVERSAL_RESULT_URL,
+    reversalQueueTimeoutUrl: process.env.MPESA_REVERSAL_QUEUE_TIMEOUT_URL,
+    transactionStatusResultUrl: process.env.MPESA_TRANSACTION_STATUS_RESULT_URL,
+    transactionStatusQueueTimeoutUrl: process.env.MPESA_TRANSACTION_STATUS_QUEUE_TIMEOUT_URL,
+    taxRemittanceResultUrl: process.env.MPESA_TAX_REMITTANCE_RESULT_URL,
+    taxRemittanceQueueTimeoutUrl: process.env.MPESA_TAX_REMITTANCE_QUEUE_TIMEOUT_URL,
+    // KRA collection shortcode for tax remittance
+    kraShortCode: process.env.MPESA_KRA_SHORTCODE || '572572',
     stkPushCallbackUrl: process.env.MPESA_STK_PUSH_CALLBACK_URL,
     c2bValidationUrl: process.env.MPESA_C2B_VALIDATION_URL,
     c2bConfirmationUrl: process.env.MPESA_C2B_CONFIRMATION_URL,
+    billManagerCallbackUrl: process.env.MPESA_BILL_MANAGER_CALLBACK_URL,
+    standingOrderCallbackUrl: process.env.MPESA_STANDING_ORDER_CALLBACK_URL,
+    pullCallbackUrl: process.env.MPESA_PULL_CALLBACK_URL,
+    pullNominatedNumber: process.env.MPESA_PULL_NOMINATED_NUMBER,
+    // Scheduled backfill through the Pull Transactions API (0 disables it)
+    pullIntervalMinutes: parseInt(process.env.MPESA_PULL_INTERVAL_MINUTES || '0', 10),
+    pullLookbackMinutes: parseInt(process.env.MPESA_PULL_LOOKBACK_MINUTES || '60', 10),
     baseUrl: process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke',
+    // Refresh cached OAuth tokens this many seconds before expires_in runs out
+    tokenRefreshMarginSeconds: parseInt(process.env.MPESA_TOKEN_REFRESH_MARGIN_SECONDS || '60', 10),
+    // Buy Goods stores keyed by store ID, e.g.
+    // {"cbd":{"storeNumber":"4123456","tillNumber":"5123456","passkey":"optional-store-passkey"}}
+    stores: safeJsonParse(process.env.MPESA_STORES, {}),
+  },
+  
+  // Bulk B2C payout configuration
+  payouts: {
+    concurrency: parseInt(process.env.PAYOUT_CONCURRENCY || '5', 10),
+    maxRows: parseInt(process.env.PAYOUT_MAX_ROWS || '1000', 10),
+    // Rows whose B2C request got no answer are checked with a status query this often, this many times
+    reconcileIntervalSeconds: parseInt(process.env.PAYOUT_RECONCILE_INTERVAL_SECONDS || '60', 10),
+    reconcileMaxChecks: parseInt(process.env.PAYOUT_RECONCILE_MAX_CHECKS || '5', 10)
+  },
+  
+  // Callback authentication
+  callbacks: {
+    // Secret path segment expected after /callbacks/ in every callback URL
+    token: process.env.MPESA_CALLBACK_TOKEN,
+    ipAllowlistEnabled: process.env.MPESA_CALLBACK_IP_ALLOWLIST_ENABLED !== 'false',
+    // Addresses and CIDR ranges allowed to send callbacks
+    allowedIps: process.env.MPESA_CALLBACK_ALLOWED_IPS
+      ? process.env.MPESA_CALLBACK_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+      : SAFARICOM_CALLBACK_IPS,
+    // When set, callbacks must carry an HMAC-SHA256 of the body in X-Callback-Signature
+    signingSecret: process.env.MPESA_CALLBACK_SIGNING_SECRET,
+    // Scheduled reprocessing of failed callbacks (0 turns the schedule off)
+    retryIntervalSeconds: parseInt(process.env.MPESA_CALLBACK_RETRY_INTERVAL_SECONDS || '60', 10),
+    retryBaseDelaySeconds: parseInt(process.env.MPESA_CALLBACK_RETRY_BASE_DELAY_SECONDS || '30', 10),
+    retryMaxAttempts: parseInt(process.env.MPESA_CALLBACK_RETRY_MAX_ATTEMPTS || '8', 10)
+  },
+  
+  // Rate limiting; counters are stored in MongoDB so every instance shares them
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
+    // Requests per window for each client (API key, operator or IP) on each route
+    max: parseInt(process.env.RATE_LIMIT_MAX || '60', 10),
+    // Per-route limits keyed by "METHOD /path", e.g. {"POST /b2c": 10}
+    routes: safeJsonParse(process.env.RATE_LIMIT_ROUTES, {}),
+    // Login attempts per window for each IP
+    loginMax: parseInt(process.env.RATE_LIMIT_LOGIN_MAX || '10', 10),
+    // STK Push prompts to one customer phone number
+    stkPushPhoneMax: parseInt(process.env.RATE_LIMIT_STK_PHONE_MAX || '3', 10),
+    stkPushPhoneWindowMs: parseInt(process.env.RATE_LIMIT_STK_PHONE_WINDOW_MS || '600000', 10)
+  },
+  
+  // Durable job scheduler (STK Push polling and timeouts, retries and backfills)
+  jobs: {
+    // How often each instance looks for due jobs
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10),
+    // A running job whose lease expires is picked up by another instance
+    leaseSeconds: parseInt(process.env.JOB_LEASE_SECONDS || '300', 10),
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '10', 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+    retryBaseDelaySeconds: parseInt(process.env.JOB_RETRY_BASE_DELAY_SECONDS || '5', 10),
+    // How long completed, failed and cancelled jobs are kept
+    retentionHours: parseInt(process.env.JOB_RETENTION_HOURS || '72', 10)
+  },
+  
+  // Outbound webhooks to merchant endpoints
+  webhooks: {
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    // Scheduled redelivery of failed webhooks (0 turns the schedule off)
+    retryIntervalSeconds: parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || '60', 10),
+    retryBaseDelaySeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_SECONDS || '30', 10),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10)
+  },
+  
+  // Idempotency-Key retention for payment requests
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10),
+    // How long a request holds its key before a retry may take it over
+    lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '60', 10)
   },
   
   // Security configuration
   security: {
     jwtSecret: process.env.JWT_SECRET || 'default-dev-secret-do-not-use-in-production',
+    // Encrypts merchant credentials at rest; kept separate from the JWT secret and has no default
+    credentialsEncryptionKey: process.env.CREDENTIALS_ENCRYPTION_KEY,
     tokenExpiry: process.env.TOKEN_EXPIRY || '1h',
+    refreshTokenExpiry: process.env.REFRESH_TOKEN_EXPIRY || '7d',
     saltRounds: parseInt(process.env.SALT_ROUNDS || '10', 10),
     skipWebhookVerification: process.env.SKIP_WEBHOOK_VERIFICATION === 'true'
   },
@@ -80,6 +199,26 @@ const validateConfig = () => {
   
   const missingConfig = requiredMpesaConfig.filter(key => !config.mpesa[key]);
   
+  if (!config.security.credentialsEncryptionKey) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY must be set; it encrypts merchant credentials at rest');
+  }
+  
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET is not set; operator tokens are signed with the development secret.');
+    
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+  }
+  
+  if (config.callbacks.ipAllowlistEnabled && process.env.TRUST_PROXY === undefined) {
+    console.warn(
+      'MPESA_CALLBACK_IP_ALLOWLIST_ENABLED is on but TRUST_PROXY is not set. Behind a load balancer every callback ' +
+      'appears to come from the proxy and is rejected; set TRUST_PROXY to the number of proxy hops, or to false ' +
+      'when the server is reached directly.'
+    );
+  }
+  
   if (missingConfig.length > 0) {
     console.error('Missing required M-Pesa configuration:', missingConfig.join(', '));
     console.error('Please check your .env file and ensure all required variables are set.');
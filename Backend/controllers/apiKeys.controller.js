@@ -0,0 +1,82 @@
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import apiKeyService from "../services/apiKey.service.js"
+import ApiKey from "../models/mpesa.apiKey.model.js"
+import Merchant from "../models/mpesa.merchant.model.js"
+
+/**
+ * Controller for API key management
+ */
+export const apiKeysController = {
+  /**
+   * Issue an API key
+   * The key is only returned in this response
+   */
+  createApiKey: catchAsync(async (req, res) => {
+    const params = req.validatedBody
+
+    if (params.merchant && !(await Merchant.exists({ _id: params.merchant }))) {
+      throw new ApiError(404, "Merchant not found")
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(params)
+
+    return res.status(201).json({
+      status: "success",
+      message: "API key created successfully. Store the key now; it cannot be retrieved again",
+      data: {
+        apiKey,
+        key,
+      },
+    })
+  }),
+
+  /**
+   * Get all API keys
+   */
+  getAllApiKeys: catchAsync(async (req, res) => {
+    const { status, merchant, page = 1, limit = 10 } = req.query
+
+    const query = {}
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    if (merchant) {
+      query.merchant = merchant
+    }
+
+    const total = await ApiKey.countDocuments(query)
+
+    const apiKeys = await ApiKey.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: apiKeys.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: apiKeys,
+    })
+  }),
+
+  /**
+   * Revoke an API key
+   */
+  revokeApiKey: catchAsync(async (req, res) => {
+    const apiKey = await apiKeyService.revokeKey(req.validatedParams.id)
+
+    if (!apiKey) {
+      throw new ApiError(404, "Active API key not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "API key revoked successfully",
+      data: apiKey,
+    })
+  }),
+}
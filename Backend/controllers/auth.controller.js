@@ -0,0 +1,68 @@
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import authService from "../services/auth.service.js"
+
+/**
+ * Controller for operator sessions
+ */
+export const authController = {
+  /**
+   * Log an operator in and issue access and refresh tokens
+   */
+  login: catchAsync(async (req, res) => {
+    const { email, password } = req.validatedBody
+
+    const session = await authService.login(email, password)
+
+    if (!session) {
+      throw new ApiError(401, "Invalid email or password")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "Logged in successfully",
+      data: session,
+    })
+  }),
+
+  /**
+   * Issue new tokens from a refresh token
+   */
+  refresh: catchAsync(async (req, res) => {
+    const session = await authService.refresh(req.validatedBody.refreshToken)
+
+    if (!session) {
+      throw new ApiError(401, "Invalid or expired refresh token")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "Tokens refreshed successfully",
+      data: session,
+    })
+  }),
+
+  /**
+   * End all of the operator's sessions
+   */
+  logout: catchAsync(async (req, res) => {
+    await authService.logout(req.operator._id)
+
+    return res.status(200).json({
+      status: "success",
+      message: "Logged out successfully",
+    })
+  }),
+
+  /**
+   * Get the logged-in operator
+   */
+  getProfile: catchAsync(async (req, res) => {
+    return res.status(200).json({
+      status: "success",
+      data: {
+        ...req.operator.toJSON(),
+        scopes: req.operator.scopes,
+      },
+    })
+  }),
+}
@@ -0,0 +1,193 @@
+import callbackService from "../services/callback.service.js"
+import logger from "../utils/mpesa.logger.js"
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import { merchantFilter } from "../middleware/mpesa.merchant.js"
+import Invoice from "../models/mpesa.invoice.model.js"
+
+/**
+ * Controller for M-Pesa Bill Manager invoicing
+ */
+export const billManagerController = {
+  /**
+   * Onboard the shortcode to Bill Manager
+   */
+  optIn: catchAsync(async (req, res) => {
+    const { email, officialContact, sendReminders, logo, callbackURL } = req.validatedBody
+
+    logger.info("Bill Manager onboarding request received", { email })
+
+    const result = await req.mpesa.billManagerOptIn({ email, officialContact, sendReminders, logo, callbackURL })
+
+    if (String(result.rescode) === "200") {
+      return res.status(200).json({
+        status: "success",
+        message: "Bill Manager onboarding successful",
+        data: {
+          appKey: result.app_key,
+          responseCode: result.rescode,
+          responseDescription: result.resmsg,
+        },
+      })
+    } else {
+      throw new ApiError(400, `Bill Manager onboarding failed: ${result.resmsg}`)
+    }
+  }),
+
+  /**
+   * Create and send a single invoice
+   */
+  createInvoice: catchAsync(async (req, res) => {
+    const invoiceData = req.validatedBody
+
+    logger.info("Invoice request received", {
+      externalReference: invoiceData.externalReference,
+      amount: invoiceData.amount,
+    })
+
+    if (await Invoice.exists({ externalReference: invoiceData.externalReference, ...merchantFilter(req) })) {
+      throw new ApiError(409, `Invoice already exists: ${invoiceData.externalReference}`)
+    }
+
+    const invoice = await req.mpesa.createInvoice(invoiceData)
+
+    if (invoice.status === "failed") {
+      throw new ApiError(400, `Invoice could not be sent: ${invoice.failureReason}`)
+    }
+
+    return res.status(201).json({
+      status: "success",
+      message: "Invoice sent successfully",
+      data: invoice,
+    })
+  }),
+
+  /**
+   * Create and send invoices in bulk
+   */
+  createBulkInvoices: catchAsync(async (req, res) => {
+    const { invoices } = req.validatedBody
+
+    logger.info(`Bulk invoice request received for ${invoices.length} invoices`)
+
+    const existing = await Invoice.find({
+      externalReference: { $in: invoices.map((invoice) => invoice.externalReference) },
+      ...merchantFilter(req),
+    }).select("externalReference")
+
+    if (existing.length > 0) {
+      throw new ApiError(
+        409,
+        `Invoices already exist: ${existing.map((invoice) => invoice.externalReference).join(", ")}`,
+      )
+    }
+
+    const stored = await req.mpesa.createBulkInvoices(invoices)
+    const failed = stored.filter((invoice) => invoice.status === "failed")
+
+    if (failed.length === stored.length) {
+      throw new ApiError(400, `Invoices could not be sent: ${failed[0].failureReason}`)
+    }
+
+    return res.status(201).json({
+      status: "success",
+      message: `${stored.length} invoices sent successfully`,
+      results: stored.length,
+      data: stored,
+    })
+  }),
+
+  /**
+   * Cancel an invoice
+   */
+  cancelInvoice: catchAsync(async (req, res) => {
+    const { externalReference } = req.params
+
+    const invoice = await Invoice.findOne({ externalReference, ...merchantFilter(req) })
+
+    if (!invoice) {
+      throw new ApiError(404, "Invoice not found")
+    }
+
+    if (["paid", "partially_paid", "cancelled"].includes(invoice.status)) {
+      throw new ApiError(400, `Cannot cancel invoice with status: ${invoice.status}`)
+    }
+
+    const result = await req.mpesa.cancelInvoice(externalReference)
+
+    if (String(result.rescode) === "200") {
+      return res.status(200).json({
+        status: "success",
+        message: "Invoice cancelled successfully",
+        data: await Invoice.findById(invoice._id),
+      })
+    } else {
+      throw new ApiError(400, `Invoice cancellation failed: ${result.resmsg}`)
+    }
+  }),
+
+  /**
+   * Get all invoices
+   */
+  getAllInvoices: catchAsync(async (req, res) => {
+    const { status, accountReference, page = 1, limit = 10 } = req.query
+
+    const query = merchantFilter(req)
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    if (accountReference) {
+      query.accountReference = accountReference
+    }
+
+    const total = await Invoice.countDocuments(query)
+
+    const invoices = await Invoice.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: invoices.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: invoices,
+    })
+  }),
+
+  /**
+   * Get an invoice with its payment transactions
+   */
+  getInvoice: catchAsync(async (req, res) => {
+    const invoice = await Invoice.findOne({
+      externalReference: req.params.externalReference,
+      ...merchantFilter(req),
+    }).populate(
+      "transactions",
+    )
+
+    if (!invoice) {
+      throw new ApiError(404, "Invoice not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      data: invoice,
+    })
+  }),
+
+  /**
+   * Handle Bill Manager payment notification callback
+   */
+  handlePaymentNotification: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("BILL_PAYMENT", req.body, req)
+
+    // Respond to Bill Manager once the payload is stored, then process it from the stored record
+    res.status(200).json({ rescode: "200", resmsg: "Success" })
+
+    await callbackService.process(callback)
+  }),
+}
@@ -0,0 +1,134 @@
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import Callback from "../models/mpesa.callback.model.js"
+import callbackService from "../services/callback.service.js"
+
+/**
+ * Controller for inspecting stored callbacks
+ */
+export const callbacksController = {
+  /**
+   * Get all callbacks with optional filtering
+   */
+  getAllCallbacks: catchAsync(async (req, res) => {
+    const { callbackType, processed, requestId, transactionId, startDate, endDate, page = 1, limit = 10 } = req.query
+
+    const query = {}
+
+    if (callbackType) {
+      query.callbackType = callbackType.toUpperCase()
+    }
+
+    if (processed !== undefined) {
+      query.processed = processed === "true"
+    }
+
+    if (requestId) {
+      query.requestId = requestId
+    }
+
+    if (transactionId) {
+      query.transactionId = transactionId
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {}
+
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate)
+      }
+
+      if (endDate) {
+        query.createdAt.$lte = new Date(endDate)
+      }
+    }
+
+    const total = await Callback.countDocuments(query)
+
+    const callbacks = await Callback.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: callbacks.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: callbacks,
+    })
+  }),
+
+  /**
+   * Get callbacks that failed processing and are not yet processed
+   * exhausted=true limits the list to callbacks whose retries have run out
+   */
+  getDeadLetters: catchAsync(async (req, res) => {
+    const { callbackType, exhausted, page = 1, limit = 10 } = req.query
+
+    const query = { processed: false, "processingErrors.0": { $exists: true } }
+
+    if (callbackType) {
+      query.callbackType = callbackType.toUpperCase()
+    }
+
+    if (exhausted !== undefined) {
+      query.deadLetteredAt = { $exists: exhausted === "true" }
+    }
+
+    const total = await Callback.countDocuments(query)
+
+    const callbacks = await Callback.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: callbacks.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: callbacks,
+    })
+  }),
+
+  /**
+   * Get a callback, including the payload exactly as received
+   */
+  getCallback: catchAsync(async (req, res) => {
+    const callback = await Callback.findById(req.validatedParams.id)
+
+    if (!callback) {
+      throw new ApiError(404, "Callback not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      data: callback,
+    })
+  }),
+
+  /**
+   * Run a stored callback through its handler again
+   */
+  replayCallback: catchAsync(async (req, res) => {
+    const callback = await Callback.findById(req.validatedParams.id)
+
+    if (!callback) {
+      throw new ApiError(404, "Callback not found")
+    }
+
+    if (callback.processed) {
+      throw new ApiError(409, "Callback has already been processed")
+    }
+
+    await callbackService.replay(callback)
+
+    return res.status(200).json({
+      status: "success",
+      message: callback.processed ? "Callback processed" : "Callback processing failed again",
+      data: callback,
+    })
+  }),
+}
@@ -0,0 +1,60 @@
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import Job from "../models/mpesa.job.model.js"
+
+/**
+ * Controller for inspecting scheduled jobs
+ */
+export const jobsController = {
+  /**
+   * Get all jobs with optional filtering
+   */
+  getAllJobs: catchAsync(async (req, res) => {
+    const { type, status, key, page = 1, limit = 10 } = req.query
+
+    const query = {}
+
+    if (type) {
+      query.type = type
+    }
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    if (key) {
+      query.key = key
+    }
+
+    const total = await Job.countDocuments(query)
+
+    const jobs = await Job.find(query)
+      .sort({ runAt: 1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: jobs.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: jobs,
+    })
+  }),
+
+  /**
+   * Get a job
+   */
+  getJob: catchAsync(async (req, res) => {
+    const job = await Job.findById(req.validatedParams.id)
+
+    if (!job) {
+      throw new ApiError(404, "Job not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      data: job,
+    })
+  }),
+}
@@ -0,0 +1,120 @@
+import logger from "../utils/mpesa.logger.js"
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import merchantService from "../services/merchant.service.js"
+import Merchant from "../models/mpesa.merchant.model.js"
+
+/**
+ * Controller for merchant management
+ */
+export const merchantsController = {
+  /**
+   * Create a merchant
+   * The API key is only returned in this response
+   */
+  createMerchant: catchAsync(async (req, res) => {
+    const params = req.validatedBody
+
+    logger.info("Merchant creation request received", { name: params.name, shortCode: params.shortCode })
+
+    const existing = await Merchant.findOne({ $or: [{ name: params.name }, { shortCode: params.shortCode }] })
+
+    if (existing) {
+      throw new ApiError(409, `A merchant already exists with this name or shortcode: ${existing.name}`)
+    }
+
+    const { merchant, apiKey } = await merchantService.createMerchant(params)
+
+    return res.status(201).json({
+      status: "success",
+      message: "Merchant created successfully. Store the API key now; it cannot be retrieved again",
+      data: {
+        merchant,
+        apiKey,
+      },
+    })
+  }),
+
+  /**
+   * Get all merchants
+   */
+  getAllMerchants: catchAsync(async (req, res) => {
+    const { status, page = 1, limit = 10 } = req.query
+
+    const query = {}
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    const total = await Merchant.countDocuments(query)
+
+    const merchants = await Merchant.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: merchants.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: merchants,
+    })
+  }),
+
+  /**
+   * Get a merchant
+   */
+  getMerchant: catchAsync(async (req, res) => {
+    const merchant = await Merchant.findById(req.validatedParams.id)
+
+    if (!merchant) {
+      throw new ApiError(404, "Merchant not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      data: merchant,
+    })
+  }),
+
+  /**
+   * Update a merchant's details, credentials, callback URLs or status
+   */
+  updateMerchant: catchAsync(async (req, res) => {
+    const merchant = await merchantService.updateMerchant(req.validatedParams.id, req.validatedBody)
+
+    if (!merchant) {
+      throw new ApiError(404, "Merchant not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "Merchant updated successfully",
+      data: await Merchant.findById(merchant._id),
+    })
+  }),
+
+  /**
+   * Replace a merchant's API key
+   */
+  rotateApiKey: catchAsync(async (req, res) => {
+    const result = await merchantService.rotateApiKey(req.validatedParams.id)
+
+    if (!result) {
+      throw new ApiError(404, "Merchant not found")
+    }
+
+    logger.info(`API key rotated for merchant ${result.merchant.name}`)
+
+    return res.status(200).json({
+      status: "success",
+      message: "API key rotated. Store the new key now; it cannot be retrieved again",
+      data: {
+        merchant: result.merchant,
+        apiKey: result.apiKey,
+      },
+    })
+  }),
+}
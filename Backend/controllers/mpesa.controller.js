@@ -1,8 +1,12 @@
-import mpesaService from "../services/mpesa.service.js"
+import mongoose from "mongoose"
+import callbackService from "../services/callback.service.js"
 import logger from "../utils/mpesa.logger.js"
 import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import { merchantFilter } from "../middleware/mpesa.merchant.js"
 import { formatPhoneNumber } from "../utils/mpesa.helpers.js"
 import Transaction from "../models/mpesa.transaction.model.js"
+import BalanceSnapshot from "../models/mpesa.balance.model.js"
+import StatusQuery from "../models/mpesa.statusQuery.model.js"
 
 /**
  * Controller for M-Pesa API endpoints
@@ -12,19 +16,30 @@ export const mpesaController = {
    * Initiate STK Push payment
    */
   initiateSTKPush: catchAsync(async (req, res) => {
-    const { phoneNumber, amount, accountReference, transactionDesc } = req.body
+    const { phoneNumber, amount, accountReference, transactionDesc, transactionType, storeId, tillNumber, storeNumber } =
+      req.body
 
     logger.info("STK Push request received", {
       phoneNumber,
       amount,
       accountReference,
+      transactionType,
+      storeId,
     })
 
-    const result = await mpesaService.initiateSTKPush({
+    if (storeId && !req.mpesa.config.stores?.[storeId]) {
+      throw new ApiError(400, `Unknown store: ${storeId}`)
+    }
+
+    const result = await req.mpesa.initiateSTKPush({
       phoneNumber: formatPhoneNumber(phoneNumber),
       amount,
       accountReference,
       transactionDesc,
+      transactionType,
+      storeId,
+      tillNumber,
+      storeNumber,
     })
 
     if (result.ResponseCode === "0") {
@@ -56,7 +71,7 @@ export const mpesaController = {
     })
 
     try {
-      const result = await mpesaService.sendB2CPayment({
+      const result = await req.mpesa.sendB2CPayment({
         phoneNumber: formatPhoneNumber(phoneNumber),
         amount,
         commandID,
@@ -96,6 +111,68 @@ export const mpesaController = {
     }
   }),
 
+  /**
+   * Send B2B payment
+   */
+  sendB2BPayment: catchAsync(async (req, res) => {
+    const {
+      receiverShortCode,
+      amount,
+      commandID,
+      senderIdentifierType,
+      receiverIdentifierType,
+      accountReference,
+      requester,
+      remarks,
+    } = req.validatedBody
+
+    logger.info("B2B payment request received", {
+      receiverShortCode,
+      amount,
+      commandID,
+    })
+
+    try {
+      const result = await req.mpesa.sendB2BPayment({
+        receiverShortCode,
+        amount,
+        commandID,
+        senderIdentifierType,
+        receiverIdentifierType,
+        accountReference,
+        requester,
+        remarks,
+      })
+
+      if (result.ResponseCode === "0") {
+        return res.status(200).json({
+          status: "success",
+          message: "B2B payment initiated successfully",
+          data: {
+            conversationID: result.ConversationID,
+            originatorConversationID: result.OriginatorConversationID,
+            responseCode: result.ResponseCode,
+            responseDescription: result.ResponseDescription,
+          },
+        })
+      } else {
+        throw new ApiError(400, `B2B payment failed: ${result.ResponseDescription}`)
+      }
+    } catch (error) {
+      const errorMessage =
+        typeof error.message === "string" ? error.message : "Unknown error occurred during B2B payment"
+
+      logger.error("B2B payment controller error:", {
+        error: errorMessage,
+        receiverShortCode,
+        amount,
+        commandID,
+      })
+
+      throw new ApiError(error.statusCode || 500, errorMessage)
+    }
+  }),
+
   /**
    * Query transaction status
    */
@@ -107,7 +184,7 @@ export const mpesaController = {
       identifierType,
     })
 
-    const result = await mpesaService.queryTransactionStatus({
+    const result = await req.mpesa.queryTransactionStatus({
       transactionID,
       identifierType,
     })
@@ -117,6 +194,7 @@ export const mpesaController = {
         status: "success",
         message: "Transaction status query initiated successfully",
         data: {
+          statusQueryId: result.statusQueryId,
           conversationID: result.ConversationID,
           originatorConversationID: result.OriginatorConversationID,
           responseCode: result.ResponseCode,
@@ -128,6 +206,164 @@ export const mpesaController = {
     }
   }),
 
+  /**
+   * Get the outcome of a transaction status query
+   */
+  getTransactionStatusQuery: catchAsync(async (req, res) => {
+    const { id } = req.params
+
+    // Accept either the status query ID or the conversation IDs returned by M-Pesa
+    const lookups = [{ conversationId: id }, { originatorConversationId: id }]
+
+    if (mongoose.isValidObjectId(id)) {
+      lookups.push({ _id: id })
+    }
+
+    const statusQuery = await StatusQuery.findOne({ ...merchantFilter(req), $or: lookups }).select("-rawResult")
+
+    if (!statusQuery) {
+      throw new ApiError(404, "Transaction status query not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      data: statusQuery,
+    })
+  }),
+
+  /**
+   * Remit tax to KRA
+   */
+  remitTax: catchAsync(async (req, res) => {
+    const { prn, amount, remarks } = req.validatedBody
+
+    logger.info("Tax remittance request received", { prn, amount })
+
+    const result = await req.mpesa.remitTax({ prn, amount, remarks })
+
+    if (result.ResponseCode === "0") {
+      return res.status(200).json({
+        status: "success",
+        message: "Tax remittance initiated successfully",
+        data: {
+          conversationID: result.ConversationID,
+          originatorConversationID: result.OriginatorConversationID,
+          responseCode: result.ResponseCode,
+          responseDescription: result.ResponseDescription,
+        },
+      })
+    } else {
+      throw new ApiError(400, `Tax remittance failed: ${result.ResponseDescription}`)
+    }
+  }),
+
+  /**
+   * Query account balance
+   */
+  queryAccountBalance: catchAsync(async (req, res) => {
+    const { identifierType, remarks } = req.validatedBody
+
+    logger.info("Account balance query received", { identifierType })
+
+    const result = await req.mpesa.queryAccountBalance({ identifierType, remarks })
+
+    if (result.ResponseCode === "0") {
+      return res.status(200).json({
+        status: "success",
+        message: "Account balance query initiated successfully",
+        data: {
+          conversationID: result.ConversationID,
+          originatorConversationID: result.OriginatorConversationID,
+          responseCode: result.ResponseCode,
+          responseDescription: result.ResponseDescription,
+        },
+      })
+    } else {
+      throw new ApiError(400, `Account balance query failed: ${result.ResponseDescription}`)
+    }
+  }),
+
+  /**
+   * Get account balance snapshot history
+   */
+  getAccountBalanceHistory: catchAsync(async (req, res) => {
+    const { status, from, to, page = 1, limit = 10 } = req.query
+
+    // Build query
+    const query = {}
+
+    // Snapshots record the shortcode they were taken for
+    if (req.merchant) {
+      query.shortCode = req.merchant.shortCode
+    }
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    if (from || to) {
+      query.createdAt = {}
+      if (from) query.createdAt.$gte = new Date(from)
+      if (to) query.createdAt.$lte = new Date(to)
+    }
+
+    const total = await BalanceSnapshot.countDocuments(query)
+
+    const snapshots = await BalanceSnapshot.find(query)
+      .select("-rawResult")
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: snapshots.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: snapshots,
+    })
+  }),
+
+  /**
+   * Generate dynamic QR code
+   */
+  generateQRCode: catchAsync(async (req, res) => {
+    const { merchantName, refNo, amount, trxCode, cpi, size } = req.validatedBody
+
+    logger.info("QR code request received", {
+      merchantName,
+      refNo,
+      amount,
+      trxCode,
+    })
+
+    const result = await req.mpesa.generateQRCode({
+      merchantName,
+      refNo,
+      amount,
+      trxCode,
+      cpi,
+      size,
+    })
+
+    if (result.QRCode) {
+      return res.status(200).json({
+        status: "success",
+        message: "QR code generated successfully",
+        data: {
+          qrCodeId: result.qrCodeId,
+          requestID: result.RequestID,
+          qrCode: result.QRCode,
+          responseCode: result.ResponseCode,
+          responseDescription: result.ResponseDescription,
+        },
+      })
+    } else {
+      throw new ApiError(400, `QR code generation failed: ${result.ResponseDescription}`)
+    }
+  }),
+
   /**
    * Query STK Push status
    */
@@ -144,7 +380,7 @@ export const mpesaController = {
       // CRITICAL DEBUG: Log the request
       logger.info(`Controller: About to query STK status for ${checkoutRequestID}`)
 
-      const result = await mpesaService.queryStkStatus(checkoutRequestID)
+      const result = await req.mpesa.queryStkStatus(checkoutRequestID)
 
       // CRITICAL DEBUG: Log the result
       logger.info(`Controller: STK status query result for ${checkoutRequestID}:`, {
@@ -154,7 +390,7 @@ export const mpesaController = {
       })
 
       // Get transaction from database
-      const transaction = await Transaction.findOne({ checkoutRequestID })
+      const transaction = await Transaction.findOne({ ...merchantFilter(req), checkoutRequestID })
 
       // CRITICAL DEBUG: Log the transaction after query
       if (transaction) {
@@ -196,7 +432,7 @@ export const mpesaController = {
         error.response.data.errorMessage.includes("transaction is being processed")
       ) {
         // Get transaction from database
-        const transaction = await Transaction.findOne({ checkoutRequestID })
+        const transaction = await Transaction.findOne({ ...merchantFilter(req), checkoutRequestID })
 
         // Return a 200 response with in-progress status
         return res.status(200).json({
@@ -230,166 +466,302 @@ export const mpesaController = {
    * Handle STK Push callback
    */
   handleStkCallback: catchAsync(async (req, res) => {
-    // Respond immediately to M-Pesa
+    const callback = await callbackService.store("STK", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
     res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
 
-    // Process the callback asynchronously
-    try {
-      const callbackData = req.body.Body.stkCallback
+    await callbackService.process(callback)
+  }),
 
-      logger.info("STK callback received", {
-        requestId: callbackData.CheckoutRequestID,
-        resultCode: callbackData.ResultCode,
-      })
+  /**
+   * Handle B2C result callback
+   */
+  handleB2CResultCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("B2C_RESULT", req.body, req)
 
-      // Log the full callback data for debugging
-      logger.debug("Full STK callback data:", JSON.stringify(callbackData))
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
 
-      // Process the callback
-      const updatedTransaction = await mpesaService.handleStkCallback(callbackData)
+    await callbackService.process(callback)
+  }),
 
-      if (updatedTransaction) {
-        logger.info("STK callback processed successfully", {
-          transactionId: updatedTransaction._id,
-          status: updatedTransaction.status,
-          resultCode: callbackData.ResultCode,
-          resultDesc: callbackData.ResultDesc,
-        })
-      } else {
-        logger.warn("STK callback processing completed but no transaction was updated")
-      }
-    } catch (error) {
-      logger.error("Error processing STK callback:", error.message)
-    }
+  /**
+   * Handle B2C timeout callback
+   */
+  handleB2CTimeoutCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("B2C_TIMEOUT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
   }),
 
   /**
-   * Handle B2C result callback
+   * Handle B2B result callback
    */
-  handleB2CResultCallback: catchAsync(async (req, res) => {
-    // Respond immediately to M-Pesa
+  handleB2BResultCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("B2B_RESULT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
     res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
 
-    // Process the callback asynchronously
-    try {
-      const resultData = req.body.Result
+    await callbackService.process(callback)
+  }),
 
-      logger.info("B2C result callback received", {
-        conversationId: resultData.ConversationID,
-        resultCode: resultData.ResultCode,
-      })
+  /**
+   * Handle B2B timeout callback
+   */
+  handleB2BTimeoutCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("B2B_TIMEOUT", req.body, req)
 
-      if (resultData.ResultCode === 0) {
-        // Payment successful
-        logger.info("B2C payment successful", {
-          conversationId: resultData.ConversationID,
-          transactionId: resultData.TransactionID,
-        })
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
 
-        // Update transaction in database
-        const transaction = await Transaction.findOne({ conversationId: resultData.ConversationID })
-
-        if (transaction) {
-          // Update transaction fields
-          transaction.status = "success"
-          transaction.transactionId = resultData.TransactionID
-          transaction.resultCode = resultData.ResultCode.toString()
-          transaction.resultDesc = resultData.ResultDesc
-          transaction.metadata = {
-            ...transaction.metadata,
-            completedAt: Math.floor(Date.now() / 1000),
-            resultParameters: resultData.ResultParameters,
-          }
-          transaction.updatedAt = Math.floor(Date.now() / 1000)
-
-          await transaction.save()
-          logger.info(`Transaction ${resultData.ConversationID} marked as successful`)
-        } else {
-          logger.warn(`No transaction found for conversation ID: ${resultData.ConversationID}`)
-        }
-      } else {
-        // Payment failed
-        logger.warn("B2C payment failed", {
-          conversationId: resultData.ConversationID,
-          resultCode: resultData.ResultCode,
-          resultDesc: resultData.ResultDesc,
-        })
+    await callbackService.process(callback)
+  }),
 
-        // Update transaction in database
-        const transaction = await Transaction.findOne({ conversationId: resultData.ConversationID })
-
-        if (transaction) {
-          // Update transaction fields
-          transaction.status = "failed"
-          transaction.resultCode = resultData.ResultCode.toString()
-          transaction.resultDesc = resultData.ResultDesc
-          transaction.failureReason = resultData.ResultDesc
-          transaction.metadata = {
-            ...transaction.metadata,
-            completedAt: Math.floor(Date.now() / 1000),
-          }
-          transaction.updatedAt = Math.floor(Date.now() / 1000)
-
-          await transaction.save()
-          logger.info(`Transaction ${resultData.ConversationID} marked as failed`)
-        } else {
-          logger.warn(`No transaction found for conversation ID: ${resultData.ConversationID}`)
-        }
-      }
-    } catch (error) {
-      logger.error("Error processing B2C result callback:", error.message)
-    }
+  /**
+   * Handle tax remittance result callback
+   */
+  handleTaxRemittanceResultCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("TAX_REMITTANCE_RESULT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
   }),
 
   /**
-   * Handle B2C timeout callback
+   * Handle tax remittance timeout callback
    */
-  handleB2CTimeoutCallback: catchAsync(async (req, res) => {
-    // Respond immediately to M-Pesa
+  handleTaxRemittanceTimeoutCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("TAX_REMITTANCE_TIMEOUT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
     res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
 
-    // Process the callback asynchronously
-    try {
-      // Log the timeout
-      logger.warn("B2C timeout callback received", {
-        requestData: req.body,
+    await callbackService.process(callback)
+  }),
+
+  /**
+   * Handle account balance result callback
+   */
+  handleAccountBalanceResultCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("ACCOUNT_BALANCE_RESULT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
+  }),
+
+  /**
+   * Handle account balance timeout callback
+   */
+  handleAccountBalanceTimeoutCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("ACCOUNT_BALANCE_TIMEOUT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
+  }),
+
+  /**
+   * Handle reversal result callback
+   */
+  handleReversalResultCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("REVERSAL_RESULT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
+  }),
+
+  /**
+   * Handle reversal timeout callback
+   */
+  handleReversalTimeoutCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("REVERSAL_TIMEOUT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
+  }),
+
+  /**
+   * Handle transaction status result callback
+   */
+  handleTransactionStatusResultCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("TRANSACTION_STATUS_RESULT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
+  }),
+
+  /**
+   * Handle transaction status timeout callback
+   */
+  handleTransactionStatusTimeoutCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("TRANSACTION_STATUS_TIMEOUT", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
+  }),
+
+  /**
+   * Register C2B validation and confirmation URLs
+   */
+  registerC2BUrls: catchAsync(async (req, res) => {
+    const { shortCode, responseType, confirmationURL, validationURL } = req.validatedBody
+
+    logger.info("C2B URL registration request received", {
+      shortCode,
+      responseType,
+    })
+
+    const result = await req.mpesa.registerC2BUrls({
+      shortCode,
+      responseType,
+      confirmationURL,
+      validationURL,
+    })
+
+    if (result.ResponseCode === "0") {
+      return res.status(200).json({
+        status: "success",
+        message: "C2B URLs registered successfully",
+        data: {
+          originatorConversationID: result.OriginatorCoversationID || result.OriginatorConversationID,
+          responseCode: result.ResponseCode,
+          responseDescription: result.ResponseDescription,
+        },
       })
+    } else {
+      throw new ApiError(400, `C2B URL registration failed: ${result.ResponseDescription}`)
+    }
+  }),
 
-      // Update transaction in database if possible
-      if (req.body.ConversationID || req.body.OriginatorConversationID) {
-        const conversationId = req.body.ConversationID || req.body.OriginatorConversationID
-
-        const transaction = await Transaction.findOne({ conversationId })
-
-        if (transaction) {
-          // Update transaction fields
-          transaction.status = "cancelled"
-          transaction.failureReason = "Timeout - No Response"
-          transaction.metadata = {
-            ...transaction.metadata,
-            completedAt: Math.floor(Date.now() / 1000),
-            timeoutData: req.body,
-          }
-          transaction.updatedAt = Math.floor(Date.now() / 1000)
-
-          await transaction.save()
-          logger.info(`Transaction ${conversationId} marked as cancelled due to timeout`)
-        } else {
-          logger.warn(`No transaction found for conversation ID: ${conversationId}`)
-        }
-      }
-    } catch (error) {
-      logger.error("Error processing B2C timeout callback:", error.message)
+  /**
+   * Simulate C2B payment (sandbox only)
+   */
+  simulateC2B: catchAsync(async (req, res) => {
+    const { phoneNumber, amount, billRefNumber, commandID } = req.validatedBody
+
+    logger.info("C2B simulation request received", {
+      phoneNumber,
+      amount,
+      commandID,
+    })
+
+    const result = await req.mpesa.simulateC2B({
+      phoneNumber: formatPhoneNumber(phoneNumber),
+      amount,
+      billRefNumber,
+      commandID,
+    })
+
+    if (result.ResponseCode === "0") {
+      return res.status(200).json({
+        status: "success",
+        message: "C2B payment simulated successfully",
+        data: {
+          originatorConversationID: result.OriginatorCoversationID || result.OriginatorConversationID,
+          responseCode: result.ResponseCode,
+          responseDescription: result.ResponseDescription,
+        },
+      })
+    } else {
+      throw new ApiError(400, `C2B simulation failed: ${result.ResponseDescription}`)
     }
   }),
 
+  /**
+   * Register for the Pull Transactions API
+   */
+  registerPullTransactions: catchAsync(async (req, res) => {
+    const { nominatedNumber, callbackURL } = req.validatedBody
+
+    logger.info("Pull Transactions registration request received", { nominatedNumber })
+
+    const result = await req.mpesa.registerPullTransactions({ nominatedNumber, callbackURL })
+
+    // Pull Transactions uses 1000 for success
+    if (result.ResponseStatus === "1000" || result.ResponseCode === "1000") {
+      return res.status(200).json({
+        status: "success",
+        message: "Pull Transactions registration successful",
+        data: {
+          responseRefID: result.ResponseRefID,
+          responseStatus: result.ResponseStatus || result.ResponseCode,
+          responseDescription: result.ResponseDescription || result.ResponseMessage,
+        },
+      })
+    } else {
+      throw new ApiError(
+        400,
+        `Pull Transactions registration failed: ${result.ResponseDescription || result.ResponseMessage}`,
+      )
+    }
+  }),
+
+  /**
+   * Backfill missing transactions through the Pull Transactions API
+   */
+  pullTransactions: catchAsync(async (req, res) => {
+    const { startDate, endDate } = req.validatedBody
+
+    logger.info("Pull Transactions request received", { startDate, endDate })
+
+    const summary = await req.mpesa.pullTransactions(startDate, endDate)
+
+    return res.status(200).json({
+      status: "success",
+      message: `Pulled ${summary.fetched} transactions, inserted ${summary.inserted} missing transactions`,
+      data: summary,
+    })
+  }),
+
+  /**
+   * Handle C2B validation callback
+   */
+  handleC2BValidationCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("C2B_VALIDATION", req.body, req)
+
+    await callbackService.process(callback)
+
+    // Accept the payment; M-Pesa completes it and sends the confirmation
+    return res.status(200).json({ ResultCode: "0", ResultDesc: "Accepted" })
+  }),
+
+  /**
+   * Handle C2B confirmation callback
+   */
+  handleC2BConfirmationCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("C2B_CONFIRMATION", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Success" })
+
+    await callbackService.process(callback)
+  }),
+
   /**
    * Get transaction by ID
    */
   getTransactionById: catchAsync(async (req, res) => {
     const { id } = req.params
 
-    const transaction = await Transaction.findById(id)
+    const transaction = await Transaction.findOne({ _id: id, ...merchantFilter(req) })
 
     if (!transaction) {
       throw new ApiError(404, "Transaction not found")
@@ -407,7 +779,7 @@ export const mpesaController = {
   getTransactionsByReference: catchAsync(async (req, res) => {
     const { reference } = req.params
 
-    const transactions = await Transaction.find({ referenceId: reference })
+    const transactions = await Transaction.find({ referenceId: reference, ...merchantFilter(req) })
 
     return res.status(200).json({
       status: "success",
@@ -423,7 +795,7 @@ export const mpesaController = {
     const { status, type, page = 1, limit = 10 } = req.query
 
     // Build query
-    const query = {}
+    const query = merchantFilter(req)
 
     if (status) {
       query.status = status.toLowerCase()
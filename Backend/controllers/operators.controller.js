@@ -0,0 +1,77 @@
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import authService from "../services/auth.service.js"
+import Operator from "../models/mpesa.operator.model.js"
+
+/**
+ * Controller for operator account management
+ */
+export const operatorsController = {
+  /**
+   * Create an operator account
+   */
+  createOperator: catchAsync(async (req, res) => {
+    const params = req.validatedBody
+
+    if (await Operator.exists({ email: params.email.toLowerCase() })) {
+      throw new ApiError(409, `An operator already exists with this email: ${params.email}`)
+    }
+
+    const operator = await authService.createOperator(params)
+
+    return res.status(201).json({
+      status: "success",
+      message: "Operator created successfully",
+      data: operator,
+    })
+  }),
+
+  /**
+   * Get all operators
+   */
+  getAllOperators: catchAsync(async (req, res) => {
+    const { role, status, page = 1, limit = 10 } = req.query
+
+    const query = {}
+
+    if (role) {
+      query.role = role.toLowerCase()
+    }
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    const total = await Operator.countDocuments(query)
+
+    const operators = await Operator.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: operators.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: operators,
+    })
+  }),
+
+  /**
+   * Update an operator's name, role, status or password
+   */
+  updateOperator: catchAsync(async (req, res) => {
+    const operator = await authService.updateOperator(req.validatedParams.id, req.validatedBody)
+
+    if (!operator) {
+      throw new ApiError(404, "Operator not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "Operator updated successfully",
+      data: operator,
+    })
+  }),
+}
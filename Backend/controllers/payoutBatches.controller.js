@@ -0,0 +1,162 @@
+import logger from "../utils/mpesa.logger.js"
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import { merchantFilter } from "../middleware/mpesa.merchant.js"
+import payoutBatchService from "../services/payoutBatch.service.js"
+import PayoutBatch from "../models/mpesa.payoutBatch.model.js"
+
+/**
+ * Controller for bulk B2C payout batches
+ */
+export const payoutBatchesController = {
+  /**
+   * Upload a CSV or JSON payout list
+   * CSV can be sent as a text/csv body (name and commandID in the query string)
+   * or as the `csv` field of a JSON body; JSON lists are sent as `rows`
+   */
+  createBatch: catchAsync(async (req, res) => {
+    let source
+    let data
+    let options
+
+    if (typeof req.body === "string") {
+      source = "csv"
+      data = req.body
+      options = req.query
+    } else if (typeof req.body?.csv === "string") {
+      source = "csv"
+      data = req.body.csv
+      options = req.body
+    } else if (Array.isArray(req.body?.rows)) {
+      source = "json"
+      data = req.body.rows
+      options = req.body
+    } else {
+      throw new ApiError(400, "Upload a CSV body, a `csv` string or a `rows` array")
+    }
+
+    logger.info("Payout batch upload received", { source, name: options.name })
+
+    let batch
+
+    try {
+      batch = await payoutBatchService.createBatch({
+        name: options.name,
+        source,
+        data,
+        commandID: options.commandID,
+        merchant: req.merchant?._id,
+      })
+    } catch (error) {
+      throw new ApiError(400, error.message)
+    }
+
+    return res.status(201).json({
+      status: "success",
+      message:
+        batch.summary.invalidRows > 0
+          ? `Payout batch created with ${batch.summary.invalidRows} invalid rows that will not be sent`
+          : "Payout batch created successfully",
+      data: batch,
+    })
+  }),
+
+  /**
+   * Start dispatching a validated batch
+   */
+  dispatchBatch: catchAsync(async (req, res) => {
+    const { id } = req.params
+    const { concurrency } = req.validatedBody
+
+    const existing = await PayoutBatch.findOne({ _id: id, ...merchantFilter(req) }).select("status summary")
+
+    if (!existing) {
+      throw new ApiError(404, "Payout batch not found")
+    }
+
+    if (existing.summary.validRows === 0) {
+      throw new ApiError(400, "Payout batch has no valid rows to dispatch")
+    }
+
+    const batch = await payoutBatchService.dispatchBatch(id, concurrency)
+
+    if (!batch) {
+      throw new ApiError(409, `Payout batch has already been dispatched (status: ${existing.status})`)
+    }
+
+    return res.status(202).json({
+      status: "success",
+      message: "Payout batch dispatch started",
+      data: {
+        id: batch._id,
+        status: batch.status,
+        concurrency: batch.concurrency,
+        summary: batch.summary,
+      },
+    })
+  }),
+
+  /**
+   * Get all payout batches
+   */
+  getAllBatches: catchAsync(async (req, res) => {
+    const { status, page = 1, limit = 10 } = req.query
+
+    const query = merchantFilter(req)
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    const total = await PayoutBatch.countDocuments(query)
+
+    const batches = await PayoutBatch.find(query)
+      .select("-rows")
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: batches.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: batches,
+    })
+  }),
+
+  /**
+   * Get a payout batch with per-row status
+   */
+  getBatchById: catchAsync(async (req, res) => {
+    const batch = await PayoutBatch.findOne({ _id: req.params.id, ...merchantFilter(req) })
+
+    if (!batch) {
+      throw new ApiError(404, "Payout batch not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      data: batch,
+    })
+  }),
+
+  /**
+   * Download the per-row results of a batch as CSV (default) or JSON
+   */
+  downloadResults: catchAsync(async (req, res) => {
+    const format = req.query.format === "json" ? "json" : "csv"
+    const batch = await PayoutBatch.findOne({ _id: req.params.id, ...merchantFilter(req) })
+
+    if (!batch) {
+      throw new ApiError(404, "Payout batch not found")
+    }
+
+    const contents = payoutBatchService.buildResultsFile(batch, format)
+
+    res.setHeader("Content-Type", format === "json" ? "application/json" : "text/csv")
+    res.setHeader("Content-Disposition", `attachment; filename="payout-batch-${batch._id}-results.${format}"`)
+
+    return res.status(200).send(contents)
+  }),
+}
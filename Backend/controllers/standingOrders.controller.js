@@ -0,0 +1,107 @@
+import callbackService from "../services/callback.service.js"
+import logger from "../utils/mpesa.logger.js"
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import { merchantFilter } from "../middleware/mpesa.merchant.js"
+import StandingOrder from "../models/mpesa.standingOrder.model.js"
+import Transaction from "../models/mpesa.transaction.model.js"
+
+/**
+ * Controller for Ratiba standing orders
+ */
+export const standingOrdersController = {
+  /**
+   * Create a standing order
+   */
+  createStandingOrder: catchAsync(async (req, res) => {
+    const params = req.validatedBody
+
+    logger.info("Standing order request received", {
+      standingOrderName: params.standingOrderName,
+      phoneNumber: params.phoneNumber,
+      amount: params.amount,
+      frequency: params.frequency,
+    })
+
+    if (await StandingOrder.exists({ standingOrderName: params.standingOrderName })) {
+      throw new ApiError(409, `Standing order already exists: ${params.standingOrderName}`)
+    }
+
+    const standingOrder = await req.mpesa.createStandingOrder(params)
+
+    if (standingOrder.status === "failed") {
+      throw new ApiError(400, `Standing order creation failed: ${standingOrder.failureReason}`)
+    }
+
+    return res.status(201).json({
+      status: "success",
+      message: "Standing order created. Awaiting customer approval",
+      data: standingOrder,
+    })
+  }),
+
+  /**
+   * Get all standing orders
+   */
+  getAllStandingOrders: catchAsync(async (req, res) => {
+    const { status, phoneNumber, page = 1, limit = 10 } = req.query
+
+    const query = merchantFilter(req)
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    if (phoneNumber) {
+      query.phoneNumber = phoneNumber
+    }
+
+    const total = await StandingOrder.countDocuments(query)
+
+    const standingOrders = await StandingOrder.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: standingOrders.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: standingOrders,
+    })
+  }),
+
+  /**
+   * Get a standing order with the debits it has executed
+   */
+  getStandingOrder: catchAsync(async (req, res) => {
+    const standingOrder = await StandingOrder.findOne({ _id: req.params.id, ...merchantFilter(req) })
+
+    if (!standingOrder) {
+      throw new ApiError(404, "Standing order not found")
+    }
+
+    const transactions = await Transaction.find({ standingOrder: standingOrder._id }).sort({ createdAt: -1 })
+
+    return res.status(200).json({
+      status: "success",
+      data: {
+        ...standingOrder.toObject(),
+        transactions,
+      },
+    })
+  }),
+
+  /**
+   * Handle Ratiba standing order callback
+   */
+  handleStandingOrderCallback: catchAsync(async (req, res) => {
+    const callback = await callbackService.store("STANDING_ORDER", req.body, req)
+
+    // Respond to M-Pesa once the payload is stored, then process it from the stored record
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" })
+
+    await callbackService.process(callback)
+  }),
+}
@@ -1,6 +1,7 @@
 import logger from "../utils/mpesa.logger.js"
 import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
-import mpesaService from "../services/mpesa.service.js"
+import { merchantFilter } from "../middleware/mpesa.merchant.js"
+import merchantService from "../services/merchant.service.js"
 import Transaction from "../models/mpesa.transaction.model.js"
 
 /**
@@ -15,6 +16,7 @@ export const transactionsController = {
 
     // Find transactions that have timed out but not been handled
     const timedOutTransactions = await Transaction.find({
+      ...merchantFilter(req),
       status: "pending",
       timeoutHandled: false,
       timeoutAt: { $lt: now },
@@ -33,7 +35,8 @@ export const transactionsController = {
             // Add debug logging before querying status
             logger.debug(`[DEBUG] About to query status for transaction ${transaction.checkoutRequestID}`)
 
-            const statusResult = await mpesaService.queryStkStatus(transaction.checkoutRequestID)
+            const mpesa = await merchantService.getMpesaService(transaction.merchant)
+            const statusResult = await mpesa.queryStkStatus(transaction.checkoutRequestID)
 
             // Add debug logging after querying status
             logger.debug(`[DEBUG] Status query result for ${transaction.checkoutRequestID}:`, {
@@ -115,7 +118,7 @@ export const transactionsController = {
   retryTransaction: catchAsync(async (req, res) => {
     const { id } = req.params
 
-    const transaction = await Transaction.findById(id)
+    const transaction = await Transaction.findOne({ _id: id, ...merchantFilter(req) })
 
     if (!transaction) {
       throw new ApiError(404, "Transaction not found")
@@ -126,27 +129,59 @@ export const transactionsController = {
       throw new ApiError(400, `Cannot retry transaction with status: ${transaction.status}`)
     }
 
+    // Retry with the credentials of the merchant that made the original transaction
+    const mpesa = await merchantService.getMpesaService(transaction.merchant)
     let result
 
     if (transaction.transactionType === "STK_PUSH") {
-      // Retry STK Push
-      result = await mpesaService.initiateSTKPush({
+      // Retry STK Push against the same paybill or till
+      const metadata = transaction.metadata || {}
+
+      result = await mpesa.initiateSTKPush({
         phoneNumber: transaction.phoneNumber,
         amount: transaction.amount,
         accountReference: transaction.referenceId,
-        transactionDesc: transaction.metadata?.transactionDesc || "Payment",
+        transactionDesc: metadata.transactionDesc || "Payment",
+        transactionType: metadata.stkTransactionType,
+        storeId: metadata.storeId,
+        tillNumber: metadata.stkTransactionType === "CustomerBuyGoodsOnline" ? metadata.partyB : undefined,
+        storeNumber:
+          metadata.stkTransactionType === "CustomerBuyGoodsOnline" ? metadata.businessShortCode : undefined,
       })
     } else if (transaction.transactionType === "B2C") {
       // Retry B2C payment
       const metadata = transaction.metadata || {}
 
-      result = await mpesaService.sendB2CPayment({
+      result = await mpesa.sendB2CPayment({
         phoneNumber: transaction.phoneNumber,
         amount: transaction.amount,
         commandID: metadata.commandID || "BusinessPayment",
         remarks: metadata.remarks || "Payment",
         occassion: metadata.occassion || "",
       })
+    } else if (transaction.transactionType === "B2B") {
+      // Retry B2B payment
+      const metadata = transaction.metadata || {}
+
+      result = await mpesa.sendB2BPayment({
+        receiverShortCode: metadata.receiverShortCode,
+        amount: transaction.amount,
+        commandID: metadata.commandID || "BusinessPayBill",
+        senderIdentifierType: metadata.senderIdentifierType,
+        receiverIdentifierType: metadata.receiverIdentifierType,
+        accountReference: metadata.accountReference,
+        requester: transaction.phoneNumber,
+        remarks: metadata.remarks || "Payment",
+      })
+    } else if (transaction.transactionType === "TAX_REMITTANCE") {
+      // Retry tax remittance
+      const metadata = transaction.metadata || {}
+
+      result = await mpesa.remitTax({
+        prn: metadata.prn,
+        amount: transaction.amount,
+        remarks: metadata.remarks,
+      })
     } else {
       throw new ApiError(400, `Cannot retry transaction of type: ${transaction.transactionType}`)
     }
@@ -161,12 +196,88 @@ export const transactionsController = {
     })
   }),
 
+  /**
+   * Reverse a completed transaction
+   */
+  reverseTransaction: catchAsync(async (req, res) => {
+    const { id } = req.validatedParams
+    const { amount, remarks } = req.validatedBody
+
+    const transaction = await Transaction.findOne({ _id: id, ...merchantFilter(req) })
+
+    if (!transaction) {
+      throw new ApiError(404, "Transaction not found")
+    }
+
+    // Only completed payments with a receipt can be reversed
+    if (transaction.status !== "success") {
+      throw new ApiError(400, `Cannot reverse transaction with status: ${transaction.status}`)
+    }
+
+    if (transaction.transactionType === "REVERSAL") {
+      throw new ApiError(400, "Cannot reverse a reversal transaction")
+    }
+
+    const receiptNumber = transaction.mpesaReceiptNumber || transaction.transactionId
+
+    if (!receiptNumber) {
+      throw new ApiError(400, "Transaction has no M-Pesa receipt number to reverse")
+    }
+
+    const reversalAmount = amount || transaction.amount
+
+    if (reversalAmount > transaction.amount) {
+      throw new ApiError(400, "Reversal amount cannot exceed the original transaction amount")
+    }
+
+    const pendingReversal = await Transaction.findOne({
+      transactionType: "REVERSAL",
+      originalTransaction: transaction._id,
+      status: "pending",
+    })
+
+    if (pendingReversal) {
+      throw new ApiError(409, `A reversal is already pending for this transaction: ${pendingReversal._id}`)
+    }
+
+    logger.info(`Reversal requested for transaction ${transaction._id}`, {
+      receiptNumber,
+      amount: reversalAmount,
+    })
+
+    const mpesa = await merchantService.getMpesaService(transaction.merchant)
+    const result = await mpesa.reverseTransaction(receiptNumber, reversalAmount, remarks)
+
+    if (result.ResponseCode !== "0") {
+      throw new ApiError(400, `Transaction reversal failed: ${result.ResponseDescription}`)
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "Transaction reversal initiated",
+      data: {
+        transactionId: transaction._id,
+        receiptNumber,
+        amount: reversalAmount,
+        conversationID: result.ConversationID,
+        originatorConversationID: result.OriginatorConversationID,
+        responseCode: result.ResponseCode,
+        responseDescription: result.ResponseDescription,
+      },
+    })
+  }),
+
   /**
    * Get transaction statistics
    */
   getTransactionStats: catchAsync(async (req, res) => {
+    const scope = merchantFilter(req)
+
     // Get counts by status using MongoDB aggregation
     const statusStats = await Transaction.aggregate([
+      {
+        $match: scope,
+      },
       {
         $group: {
           _id: "$status",
@@ -177,6 +288,9 @@ export const transactionsController = {
 
     // Get counts by type using MongoDB aggregation
     const typeStats = await Transaction.aggregate([
+      {
+        $match: scope,
+      },
       {
         $group: {
           _id: "$transactionType",
@@ -188,7 +302,7 @@ export const transactionsController = {
     // Get total amount for successful transactions
     const totalAmountResult = await Transaction.aggregate([
       {
-        $match: { status: "success" },
+        $match: { ...scope, status: "success" },
       },
       {
         $group: {
@@ -204,6 +318,7 @@ export const transactionsController = {
       success: 0,
       failed: 0,
       cancelled: 0,
+      reversed: 0,
     }
 
     statusStats.forEach((stat) => {
@@ -215,6 +330,10 @@ export const transactionsController = {
     const byType = {
       stkPush: 0,
       b2c: 0,
+      c2b: 0,
+      b2b: 0,
+      standingOrder: 0,
+      taxRemittance: 0,
     }
 
     typeStats.forEach((stat) => {
@@ -222,6 +341,14 @@ export const transactionsController = {
         byType.stkPush = stat.count
       } else if (stat._id === "B2C") {
         byType.b2c = stat.count
+      } else if (stat._id === "C2B") {
+        byType.c2b = stat.count
+      } else if (stat._id === "B2B") {
+        byType.b2b = stat.count
+      } else if (stat._id === "STANDING_ORDER") {
+        byType.standingOrder = stat.count
+      } else if (stat._id === "TAX_REMITTANCE") {
+        byType.taxRemittance = stat.count
       }
     })
 
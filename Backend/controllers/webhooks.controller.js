@@ -0,0 +1,167 @@
+import { ApiError, catchAsync } from "../middleware/mpesa.errorHandler.js"
+import webhookService from "../services/webhook.service.js"
+import WebhookEndpoint from "../models/mpesa.webhookEndpoint.model.js"
+import WebhookDelivery from "../models/mpesa.webhookDelivery.model.js"
+import Merchant from "../models/mpesa.merchant.model.js"
+
+/**
+ * Controller for webhook endpoints and their delivery log
+ */
+export const webhooksController = {
+  /**
+   * Register a webhook endpoint
+   * The signing secret is only returned in this response
+   */
+  createWebhookEndpoint: catchAsync(async (req, res) => {
+    const params = req.validatedBody
+
+    if (params.merchant && !(await Merchant.exists({ _id: params.merchant }))) {
+      throw new ApiError(404, "Merchant not found")
+    }
+
+    const { endpoint, secret } = await webhookService.createEndpoint(params)
+
+    return res.status(201).json({
+      status: "success",
+      message: "Webhook endpoint registered successfully. Store the signing secret now; it cannot be retrieved again",
+      data: {
+        endpoint,
+        secret,
+      },
+    })
+  }),
+
+  /**
+   * Get all webhook endpoints
+   */
+  getAllWebhookEndpoints: catchAsync(async (req, res) => {
+    const { status, merchant, event, page = 1, limit = 10 } = req.query
+
+    const query = {}
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    if (merchant) {
+      query.merchant = merchant
+    }
+
+    if (event) {
+      query.events = event.toLowerCase()
+    }
+
+    const total = await WebhookEndpoint.countDocuments(query)
+
+    const endpoints = await WebhookEndpoint.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: endpoints.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: endpoints,
+    })
+  }),
+
+  /**
+   * Update a webhook endpoint's URL, events, description or status
+   */
+  updateWebhookEndpoint: catchAsync(async (req, res) => {
+    const endpoint = await WebhookEndpoint.findByIdAndUpdate(
+      req.validatedParams.id,
+      { $set: req.validatedBody },
+      { new: true, runValidators: true },
+    )
+
+    if (!endpoint) {
+      throw new ApiError(404, "Webhook endpoint not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "Webhook endpoint updated successfully",
+      data: endpoint,
+    })
+  }),
+
+  /**
+   * Get the delivery log with optional filtering
+   */
+  getAllDeliveries: catchAsync(async (req, res) => {
+    const { endpoint, event, status, transaction, page = 1, limit = 10 } = req.query
+
+    const query = {}
+
+    if (endpoint) {
+      query.endpoint = endpoint
+    }
+
+    if (event) {
+      query.event = event.toLowerCase()
+    }
+
+    if (status) {
+      query.status = status.toLowerCase()
+    }
+
+    if (transaction) {
+      query.transaction = transaction
+    }
+
+    const total = await WebhookDelivery.countDocuments(query)
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number.parseInt(page) - 1) * Number.parseInt(limit))
+      .limit(Number.parseInt(limit))
+
+    return res.status(200).json({
+      status: "success",
+      results: deliveries.length,
+      total,
+      page: Number.parseInt(page),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+      data: deliveries,
+    })
+  }),
+
+  /**
+   * Get a delivery with its payload and every attempt
+   */
+  getDelivery: catchAsync(async (req, res) => {
+    const delivery = await WebhookDelivery.findById(req.validatedParams.id)
+
+    if (!delivery) {
+      throw new ApiError(404, "Webhook delivery not found")
+    }
+
+    return res.status(200).json({
+      status: "success",
+      data: delivery,
+    })
+  }),
+
+  /**
+   * Send a delivery again now
+   */
+  redeliver: catchAsync(async (req, res) => {
+    const delivery = await WebhookDelivery.findById(req.validatedParams.id)
+
+    if (!delivery) {
+      throw new ApiError(404, "Webhook delivery not found")
+    }
+
+    await webhookService.redeliver(delivery)
+
+    return res.status(200).json({
+      status: "success",
+      message: delivery.status === "delivered" ? "Webhook delivered" : "Webhook delivery failed",
+      data: delivery,
+    })
+  }),
+}
@@ -19,19 +19,115 @@ export const ENDPOINTS = {
     // Business to Customer (B2C) payment
     B2C: `${BASE_URL}/api/mpesa/b2c`,
     
+    // Bulk B2C payout batches
+    B2C_BATCHES: `${BASE_URL}/api/mpesa/b2c/batches`,
+    GET_B2C_BATCH_BY_ID: (id) => `${BASE_URL}/api/mpesa/b2c/batches/${id}`,
+    DISPATCH_B2C_BATCH: (id) => `${BASE_URL}/api/mpesa/b2c/batches/${id}/dispatch`,
+    DOWNLOAD_B2C_BATCH_RESULTS: (id) => `${BASE_URL}/api/mpesa/b2c/batches/${id}/results`,
+    
+    // Business to Business (B2B) payment
+    B2B: `${BASE_URL}/api/mpesa/b2b`,
+    
+    // KRA tax remittance
+    TAX_REMITTANCE: `${BASE_URL}/api/mpesa/tax-remittance`,
+    
+    // Account balance query
+    ACCOUNT_BALANCE: `${BASE_URL}/api/mpesa/account-balance`,
+    
+    // Account balance snapshot history
+    ACCOUNT_BALANCE_HISTORY: `${BASE_URL}/api/mpesa/account-balance/history`,
+    
     // Transaction status query
     TRANSACTION_STATUS: `${BASE_URL}/api/mpesa/transaction-status`,
     
+    // Get the outcome of a transaction status query
+    GET_TRANSACTION_STATUS_QUERY: (id) => `${BASE_URL}/api/mpesa/transaction-status/${id}`,
+    
+    // Dynamic QR code generation
+    QR_CODE: `${BASE_URL}/api/mpesa/qr`,
+    
+    // Register C2B validation and confirmation URLs
+    C2B_REGISTER: `${BASE_URL}/api/mpesa/c2b/register`,
+    
+    // Simulate a C2B payment (sandbox only)
+    C2B_SIMULATE: `${BASE_URL}/api/mpesa/c2b/simulate`,
+    
+    // Pull Transactions registration and backfill
+    PULL_REGISTER: `${BASE_URL}/api/mpesa/pull/register`,
+    PULL_TRANSACTIONS: `${BASE_URL}/api/mpesa/pull/transactions`,
+    
+    // Bill Manager onboarding and invoicing
+    BILL_MANAGER_OPTIN: `${BASE_URL}/api/mpesa/bill-manager/optin`,
+    BILL_MANAGER_INVOICES: `${BASE_URL}/api/mpesa/bill-manager/invoices`,
+    BILL_MANAGER_BULK_INVOICES: `${BASE_URL}/api/mpesa/bill-manager/invoices/bulk`,
+    GET_INVOICE: (externalReference) => `${BASE_URL}/api/mpesa/bill-manager/invoices/${externalReference}`,
+    CANCEL_INVOICE: (externalReference) => `${BASE_URL}/api/mpesa/bill-manager/invoices/${externalReference}/cancel`,
+    
+    // Ratiba standing orders
+    STANDING_ORDERS: `${BASE_URL}/api/mpesa/standing-orders`,
+    GET_STANDING_ORDER: (id) => `${BASE_URL}/api/mpesa/standing-orders/${id}`,
+    
     // Get all transactions with optional filtering
     GET_ALL_TRANSACTIONS: `${BASE_URL}/api/mpesa/transactions`,
     
     // Get transaction by ID
     GET_TRANSACTION_BY_ID: (id) => `${BASE_URL}/api/mpesa/transactions/${id}`,
     
+    // Reverse a completed transaction
+    REVERSE_TRANSACTION: (id) => `${BASE_URL}/api/mpesa/transactions/${id}/reverse`,
+    
+    // Stored callbacks and their processing state
+    GET_CALLBACKS: `${BASE_URL}/api/mpesa/callbacks`,
+    GET_CALLBACK_BY_ID: (id) => `${BASE_URL}/api/mpesa/callbacks/${id}`,
+    GET_DEAD_LETTER_CALLBACKS: `${BASE_URL}/api/mpesa/callbacks/dead-letter`,
+    REPLAY_CALLBACK: (id) => `${BASE_URL}/api/mpesa/callbacks/${id}/replay`,
+    
     // Get transactions by reference
     GET_TRANSACTIONS_BY_REFERENCE: (reference) => `${BASE_URL}/api/mpesa/transactions/reference/${reference}`,
   },
   
+  // Operator session endpoints
+  auth: {
+    LOGIN: `${BASE_URL}/api/mpesa/auth/login`,
+    REFRESH: `${BASE_URL}/api/mpesa/auth/refresh`,
+    LOGOUT: `${BASE_URL}/api/mpesa/auth/logout`,
+    ME: `${BASE_URL}/api/mpesa/auth/me`,
+  },
+  
+  // Operator management endpoints
+  operators: {
+    OPERATORS: `${BASE_URL}/api/mpesa/operators`,
+    UPDATE_OPERATOR: (id) => `${BASE_URL}/api/mpesa/operators/${id}`,
+  },
+  
+  // API key management endpoints
+  apiKeys: {
+    API_KEYS: `${BASE_URL}/api/mpesa/api-keys`,
+    REVOKE_API_KEY: (id) => `${BASE_URL}/api/mpesa/api-keys/${id}/revoke`,
+  },
+  
+  // Merchant management endpoints
+  merchants: {
+    MERCHANTS: `${BASE_URL}/api/mpesa/merchants`,
+    GET_MERCHANT: (id) => `${BASE_URL}/api/mpesa/merchants/${id}`,
+    ROTATE_API_KEY: (id) => `${BASE_URL}/api/mpesa/merchants/${id}/api-key`,
+  },
+  
+  // Scheduled jobs
+  jobs: {
+    JOBS: `${BASE_URL}/api/mpesa/jobs`,
+    GET_JOB: (id) => `${BASE_URL}/api/mpesa/jobs/${id}`,
+  },
+  
+  // Outbound webhook endpoints and their delivery log
+  webhooks: {
+    WEBHOOKS: `${BASE_URL}/api/mpesa/webhooks`,
+    UPDATE_WEBHOOK: (id) => `${BASE_URL}/api/mpesa/webhooks/${id}`,
+    DELIVERIES: `${BASE_URL}/api/mpesa/webhooks/deliveries`,
+    GET_DELIVERY: (id) => `${BASE_URL}/api/mpesa/webhooks/deliveries/${id}`,
+    REDELIVER: (id) => `${BASE_URL}/api/mpesa/webhooks/deliveries/${id}/redeliver`,
+  },
+  
   // Callback endpoints (for M-Pesa to call)
   CALLBACKS: {
     // STK Push callback
@@ -42,6 +138,48 @@ export const ENDPOINTS = {
     
     // B2C timeout callback
     B2C_TIMEOUT: `${BASE_URL}/api/mpesa/callbacks/b2c/timeout`,
+    
+    // B2B result callback
+    B2B_RESULT: `${BASE_URL}/api/mpesa/callbacks/b2b/result`,
+    
+    // B2B timeout callback
+    B2B_TIMEOUT: `${BASE_URL}/api/mpesa/callbacks/b2b/timeout`,
+    
+    // Tax remittance result callback
+    TAX_REMITTANCE_RESULT: `${BASE_URL}/api/mpesa/callbacks/tax-remittance/result`,
+    
+    // Tax remittance timeout callback
+    TAX_REMITTANCE_TIMEOUT: `${BASE_URL}/api/mpesa/callbacks/tax-remittance/timeout`,
+    
+    // Account balance result callback
+    ACCOUNT_BALANCE_RESULT: `${BASE_URL}/api/mpesa/callbacks/account-balance/result`,
+    
+    // Account balance timeout callback
+    ACCOUNT_BALANCE_TIMEOUT: `${BASE_URL}/api/mpesa/callbacks/account-balance/timeout`,
+    
+    // Reversal result callback
+    REVERSAL_RESULT: `${BASE_URL}/api/mpesa/callbacks/reversal/result`,
+    
+    // Reversal timeout callback
+    REVERSAL_TIMEOUT: `${BASE_URL}/api/mpesa/callbacks/reversal/timeout`,
+    
+    // Transaction status result callback
+    TRANSACTION_STATUS_RESULT: `${BASE_URL}/api/mpesa/callbacks/transaction-status/result`,
+    
+    // Transaction status timeout callback
+    TRANSACTION_STATUS_TIMEOUT: `${BASE_URL}/api/mpesa/callbacks/transaction-status/timeout`,
+    
+    // Bill Manager payment notification callback
+    BILL_MANAGER_PAYMENT: `${BASE_URL}/api/mpesa/callbacks/bill-manager/payment`,
+    
+    // Ratiba standing order callback
+    STANDING_ORDER: `${BASE_URL}/api/mpesa/callbacks/standing-order`,
+    
+    // C2B validation callback
+    C2B_VALIDATION: `${BASE_URL}/api/mpesa/callbacks/c2b/validation`,
+    
+    // C2B confirmation callback
+    C2B_CONFIRMATION: `${BASE_URL}/api/mpesa/callbacks/c2b/confirmation`,
   }
 };
 
@@ -51,17 +189,20 @@ export const ENDPOINTS = {
  * import { ENDPOINTS } from './utils/endpoints.js';
  * import axios from 'axios';
  * 
+ * // Send the API key with every request
+ * const headers = { 'X-API-Key': process.env.MPESA_API_KEY };
+ * 
  * // Make STK Push request
  * const response = await axios.post(ENDPOINTS.mpesa.STK_PUSH, {
  *   phoneNumber: '0112395869',
  *   amount: 1,
  *   accountReference: 'TEST123',
  *   transactionDesc: 'Test Payment'
- * });
+ * }, { headers });
  * 
  * // Get transaction by ID
  * const transactionId = 'abc123';
- * const transaction = await axios.get(ENDPOINTS.mpesa.GET_TRANSACTION_BY_ID(transactionId));
+ * const transaction = await axios.get(ENDPOINTS.mpesa.GET_TRANSACTION_BY_ID(transactionId), { headers });
  */
 
 /**
@@ -76,7 +217,7 @@ export const ENDPOINTS = {
  *   "transactionDesc": "Test Payment"
  * }
  * 
- * 2. B2C Payment
+ * 2. B2C Payment (send an Idempotency-Key header so retries do not pay twice)
  * POST /api/mpesa/b2c
  * {
  *   "phoneNumber": "0112395869",
@@ -92,4 +233,96 @@ export const ENDPOINTS = {
  *   "transactionID": "OEI2AK4Q16",
  *   "identifierType": 1
  * }
+ * 
+ * 4. C2B URL Registration
+ * POST /api/mpesa/c2b/register
+ * {
+ *   "shortCode": "600000",
+ *   "responseType": "Completed"
+ * }
+ * 
+ * 5. C2B Simulation (sandbox only)
+ * POST /api/mpesa/c2b/simulate
+ * {
+ *   "phoneNumber": "254708374149",
+ *   "amount": 10,
+ *   "billRefNumber": "INV001",
+ *   "commandID": "CustomerPayBillOnline"
+ * }
+ * 
+ * 6. B2B Payment
+ * POST /api/mpesa/b2b
+ * {
+ *   "receiverShortCode": "600000",
+ *   "amount": 1500,
+ *   "commandID": "BusinessPayBill",
+ *   "accountReference": "SUPPLIER01",
+ *   "remarks": "Supplier invoice"
+ * }
+ * 
+ * 7. Dynamic QR Code
+ * POST /api/mpesa/qr
+ * {
+ *   "merchantName": "Store 12",
+ *   "refNo": "ORDER123",
+ *   "amount": 500,
+ *   "trxCode": "PB",
+ *   "size": 300
+ * }
+ * 
+ * 8. Bulk B2C Payout Batch (JSON; CSV can be posted as text/csv)
+ * POST /api/mpesa/b2c/batches
+ * {
+ *   "name": "Agent commissions May",
+ *   "commandID": "BusinessPayment",
+ *   "rows": [
+ *     { "phoneNumber": "0712345678", "amount": 250, "remarks": "Commission" }
+ *   ]
+ * }
+ * 
+ * 9. KRA Tax Remittance
+ * POST /api/mpesa/tax-remittance
+ * {
+ *   "prn": "2024050112345",
+ *   "amount": 12500,
+ *   "remarks": "Withholding tax May"
+ * }
+ * 
+ * 10. Create Merchant (send its API key as X-API-Key on payment requests)
+ * POST /api/mpesa/merchants
+ * {
+ *   "name": "Acme Retail",
+ *   "shortCode": "600100",
+ *   "initiatorName": "acmeapi",
+ *   "credentials": {
+ *     "consumerKey": "...",
+ *     "consumerSecret": "...",
+ *     "passkey": "...",
+ *     "initiatorPassword": "..."
+ *   },
+ *   "callbackUrls": {
+ *     "stkPushCallbackUrl": "https://acme.example.com/api/v1/mpesa/callbacks/stk"
+ *   }
+ * }
+ * 
+ * 11. Create API Key (admin scope)
+ * POST /api/mpesa/api-keys
+ * {
+ *   "name": "Checkout service",
+ *   "scopes": ["collect", "read"]
+ * }
+ * 
+ * 12. Operator Login (send the access token as "Authorization: Bearer <token>")
+ * POST /api/mpesa/auth/login
+ * {
+ *   "email": "jane@example.com",
+ *   "password": "a-long-password"
+ * }
+ * 
+ * 13. Register Webhook Endpoint (the signing secret is only returned here)
+ * POST /api/mpesa/webhooks
+ * {
+ *   "url": "https://orders.example.com/mpesa/events",
+ *   "events": ["transaction.succeeded", "transaction.failed", "transaction.cancelled"]
+ * }
  */
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { ApiError, catchAsync } from './mpesa.errorHandler.js';
+import apiKeyService from '../services/apiKey.service.js';
+import authService from '../services/auth.service.js';
+import { clientRateLimit } from './mpesa.rateLimit.js';
+
+/**
+ * Authenticates the X-API-Key header or an operator's Bearer access token when one is sent
+ * Sets req.apiKey and req.operator (null when not sent); routes that need either use requireScope
+ */
+export const authenticate = catchAsync(async (req, res, next) => {
+  const key = req.get('X-API-Key');
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  
+  req.apiKey = null;
+  req.operator = null;
+  
+  if (key) {
+    req.apiKey = await apiKeyService.verifyKey(key);
+    
+    if (!req.apiKey) {
+      throw new ApiError(401, 'Invalid or revoked API key');
+    }
+  } else if (scheme === 'Bearer' && token) {
+    req.operator = await authService.verifyAccessToken(token);
+    
+    if (!req.operator) {
+      throw new ApiError(401, 'Invalid or expired access token');
+    }
+  }
+  
+  next();
+});
+
+/**
+ * Requires an API key or operator with the given scope; operators get the scopes of their role
+ * Admin keys and admin operators pass every scope check. Requests that pass are then rate
+ * limited per client and route
+ * 
+ * @param {string} scope - Scope the route requires (collect, disburse, read, admin)
+ * @returns {Array<Function>} - Express middleware
+ */
+export const requireScope = (scope) => {
+  const checkScope = (req, res, next) => {
+    const principal = req.apiKey || req.operator;
+    
+    if (!principal) {
+      return next(new ApiError(401, 'API key or access token required'));
+    }
+    
+    if (!apiKeyService.hasScope(principal, scope)) {
+      const name = req.operator ? `The ${req.operator.role} role` : 'API key';
+      
+      return next(new ApiError(403, `${name} does not have the ${scope} scope`));
+    }
+    
+    next();
+  };
+  
+  return [checkScope, clientRateLimit];
+};
+
+/**
+ * Requires an operator access token
+ */
+export const requireOperator = (req, res, next) => {
+  if (!req.operator) {
+    return next(new ApiError(401, 'Operator access token required'));
+  }
+  
+  next();
+};
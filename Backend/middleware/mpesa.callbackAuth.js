@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import net from 'net';
+import config from '../config/index.js';
+import { ApiError, catchAsync } from './mpesa.errorHandler.js';
+import { verifySignature } from '../utils/mpesa.encryption.js';
+import RejectedCallback from '../models/mpesa.rejectedCallback.model.js';
+import logger from '../utils/mpesa.logger.js';
+
+// Headers kept with rejected callbacks; anything else may carry credentials
+const STORED_HEADERS = ['user-agent', 'content-type', 'x-forwarded-for', 'x-callback-signature'];
+
+// Operator POSTs under /callbacks (replay); these are authenticated by requireScope instead
+const OPERATOR_ROUTES = /^\/[0-9a-f]{24}\/replay\/?$/i;
+
+/**
+ * Build the callback IP allowlist from addresses and CIDR ranges
+ * 
+ * @param {Array<string>} entries - Addresses or CIDR ranges
+ * @returns {net.BlockList} - Allowlist
+ */
+const buildAllowlist = (entries) => {
+  const allowlist = new net.BlockList();
+  
+  entries.forEach((entry) => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    
+    if (prefix) {
+      allowlist.addSubnet(address, Number.parseInt(prefix, 10), type);
+    } else {
+      allowlist.addAddress(address, type);
+    }
+  });
+  
+  return allowlist;
+};
+
+const allowlist = buildAllowlist(config.callbacks.allowedIps);
+
+/**
+ * Check whether an address is on the allowlist; IPv4-mapped IPv6 addresses are checked as IPv4
+ * 
+ * @param {string} ip - Client address
+ * @returns {boolean} - Whether the address is allowed
+ */
+const isAllowedIp = (ip = '') => {
+  const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+  
+  if (!net.isIP(address)) {
+    return false;
+  }
+  
+  return allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Compare secrets in constant time
+ * 
+ * @param {string} value - Value received
+ * @param {string} secret - Expected value
+ * @returns {boolean} - Whether they match
+ */
+const safeEqual = (value, secret) => {
+  const a = crypto.createHash('sha256').update(String(value)).digest();
+  const b = crypto.createHash('sha256').update(String(secret)).digest();
+  
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Log and store a rejected callback, then refuse it
+ * 
+ * @param {Object} req - Express request
+ * @param {string} reason - Rejection reason
+ */
+const reject = async (req, reason) => {
+  logger.warn(`Callback rejected: ${reason}`, { path: req.path, ip: req.ip });
+  
+  const headers = Object.fromEntries(
+    STORED_HEADERS.filter(name => req.headers[name]).map(name => [name, req.headers[name]])
+  );
+  
+  try {
+    await RejectedCallback.create({
+      path: req.path,
+      ip: req.ip,
+      reason,
+      headers,
+      rawData: req.body
+    });
+  } catch (error) {
+    logger.error('Failed to store rejected callback:', error.message);
+  }
+  
+  throw new ApiError(403, 'Callback rejected');
+};
+
+/**
+ * Authenticates M-Pesa callbacks; mounted on /callbacks
+ * 1. With MPESA_CALLBACK_TOKEN set, the URL must be /callbacks/<token>/...; the token is
+ *    removed before the callback routes are matched
+ * 2. The caller must be on the IP allowlist (Safaricom's callback addresses by default)
+ * 3. With MPESA_CALLBACK_SIGNING_SECRET set, X-Callback-Signature must be the HMAC of the raw body
+ * SKIP_WEBHOOK_VERIFICATION=true turns every check off in development
+ */
+export const authenticateCallback = catchAsync(async (req, res, next) => {
+  // Only M-Pesa's POSTs are callbacks
+  if (req.method !== 'POST' || OPERATOR_ROUTES.test(req.path)) {
+    return next();
+  }
+  
+  if (config.security.skipWebhookVerification && config.env === 'development') {
+    return next();
+  }
+  
+  const { token, ipAllowlistEnabled, signingSecret } = config.callbacks;
+  
+  if (token) {
+    const [, pathToken, ...rest] = req.url.split('/');
+    
+    if (!pathToken || !safeEqual(pathToken, token)) {
+      return reject(req, 'INVALID_TOKEN');
+    }
+    
+    req.url = `/${rest.join('/')}`;
+  }
+  
+  if (ipAllowlistEnabled && !isAllowedIp(req.ip)) {
+    return reject(req, 'IP_NOT_ALLOWED');
+  }
+  
+  if (signingSecret) {
+    const signature = req.get('X-Callback-Signature');
+    
+    if (!signature || !req.rawBody || !verifySignature(req.rawBody, signature, signingSecret)) {
+      return reject(req, 'INVALID_SIGNATURE');
+    }
+  }
+  
+  next();
+});
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { ApiError, catchAsync } from './mpesa.errorHandler.js';
+import { canonicalJson, getRequestClient } from '../utils/mpesa.helpers.js';
+import IdempotencyKey from '../models/mpesa.idempotencyKey.model.js';
+import Transaction from '../models/mpesa.transaction.model.js';
+import logger from '../utils/mpesa.logger.js';
+
+/**
+ * Find the transaction a payment response refers to
+ * 
+ * @param {Object} body - Response body
+ * @returns {Promise<Object|null>} - Transaction
+ */
+const findResponseTransaction = async (body) => {
+  const { checkoutRequestID, conversationID } = body?.data || {};
+  
+  if (checkoutRequestID) {
+    return Transaction.findOne({ checkoutRequestID }).select('_id');
+  }
+  
+  return conversationID ? Transaction.findOne({ conversationId: conversationID }).select('_id') : null;
+};
+
+/**
+ * Makes a payment route safe to retry with the Idempotency-Key header
+ * The first successful response and its transaction are stored against the key. Repeats with
+ * the same key and body replay that response; reusing the key for another request is rejected.
+ * Failed requests release the key so they can be retried, and a key left processing for longer than
+ * the lock timeout (e.g. by a crashed instance) can be taken over. Requests without the header are unaffected
+ */
+export const idempotency = catchAsync(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  
+  if (key === undefined) {
+    return next();
+  }
+  
+  if (!key || key.length > 255) {
+    throw new ApiError(400, 'Idempotency-Key must be between 1 and 255 characters');
+  }
+  
+  const client = getRequestClient(req);
+  const requestHash = crypto.createHash('sha256')
+    .update(canonicalJson({ method: req.method, path: req.route.path, merchant: req.merchant?._id, body: req.body }))
+    .digest('hex');
+  
+  const lockedUntil = new Date(Date.now() + config.idempotency.lockSeconds * 1000);
+  let record;
+  
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      client,
+      method: req.method,
+      path: req.route.path,
+      requestHash,
+      lockedUntil,
+      expiresAt: new Date(Date.now() + config.idempotency.ttlHours * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    
+    const existing = await IdempotencyKey.findOne({ client, key });
+    
+    if (existing && existing.requestHash !== requestHash) {
+      throw new ApiError(422, 'Idempotency-Key has already been used for a different request');
+    }
+    
+    // Take over a key whose request never finished, e.g. because its instance crashed
+    if (existing?.status === 'processing' && existing.lockedUntil <= new Date()) {
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedUntil: existing.lockedUntil },
+        { $set: { lockedUntil } },
+        { new: true }
+      );
+      
+      if (record) {
+        logger.warn(`Taking over Idempotency-Key ${key} after its lock expired`, { client, path: existing.path });
+      }
+    }
+    
+    if (!record) {
+      // A missing record was released by a failed request that finished in the meantime
+      if (!existing || existing.status === 'processing') {
+        res.set('Retry-After', '1');
+        throw new ApiError(409, 'A request with this Idempotency-Key is still being processed');
+      }
+      
+      logger.info(`Replaying response for Idempotency-Key ${key}`, { client, path: existing.path });
+      
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  }
+  
+  // Store the first successful response before it is sent; release the key if the request fails.
+  // Neither happens once the key has been taken over by another request
+  const storeResponse = async (body) => {
+    const held = { _id: record._id, lockedUntil: record.lockedUntil };
+    
+    if (res.statusCode >= 300) {
+      return IdempotencyKey.deleteOne(held);
+    }
+    
+    const transaction = await findResponseTransaction(body);
+    
+    return IdempotencyKey.updateOne(
+      held,
+      {
+        $set: {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: body,
+          transaction: transaction?._id,
+          completedAt: new Date()
+        },
+        $unset: { lockedUntil: 1 }
+      }
+    );
+  };
+  
+  const json = res.json.bind(res);
+  
+  // The response is held until it is stored, so a retry sent as soon as it arrives is replayed
+  res.json = async (body) => {
+    res.json = json;
+    
+    await storeResponse(body).catch((error) => {
+      logger.error(`Failed to store response for Idempotency-Key ${key}:`, error.message);
+    });
+    
+    return json(body);
+  };
+  
+  next();
+});
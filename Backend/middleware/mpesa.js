@@ -1,5 +1,9 @@
 import Joi from 'joi';
 import { ApiError } from './mpesa.errorHandler.js';
+import { MERCHANT_CALLBACK_URL_KEYS } from '../models/mpesa.merchant.model.js';
+import { API_KEY_SCOPES } from '../models/mpesa.apiKey.model.js';
+import { OPERATOR_ROLE_SCOPES } from '../models/mpesa.operator.model.js';
+import { WEBHOOK_EVENTS } from '../models/mpesa.webhookEndpoint.model.js';
 
 /**
  * Middleware factory for request validation
@@ -44,6 +48,172 @@ export const validateRequest = (schema) => {
   };
 };
 
+// Merchant fields, shared by merchant creation and updates
+const merchantSchema = Joi.object({
+  name: Joi.string().max(100)
+    .messages({
+      'string.base': 'Merchant name must be a string',
+      'string.max': 'Merchant name must not exceed 100 characters',
+      'any.required': 'Merchant name is required'
+    }),
+  shortCode: Joi.string().pattern(/^\d{5,7}$/)
+    .messages({
+      'string.pattern.base': 'Shortcode must be a 5 to 7 digit number',
+      'any.required': 'Shortcode is required'
+    }),
+  initiatorName: Joi.string()
+    .messages({
+      'string.base': 'Initiator name must be a string'
+    }),
+  baseUrl: Joi.string().uri()
+    .messages({
+      'string.uri': 'Base URL must be a valid URI'
+    }),
+  credentials: Joi.object({
+    consumerKey: Joi.string()
+      .messages({
+        'string.base': 'Consumer key must be a string',
+        'any.required': 'Consumer key is required'
+      }),
+    consumerSecret: Joi.string()
+      .messages({
+        'string.base': 'Consumer secret must be a string',
+        'any.required': 'Consumer secret is required'
+      }),
+    passkey: Joi.string()
+      .messages({
+        'string.base': 'Passkey must be a string'
+      }),
+    initiatorPassword: Joi.string()
+      .messages({
+        'string.base': 'Initiator password must be a string'
+      }),
+    securityCredential: Joi.string()
+      .messages({
+        'string.base': 'Security credential must be a string'
+      })
+  })
+    .messages({
+      'object.base': 'Credentials must be an object'
+    }),
+  callbackUrls: Joi.object(
+    Object.fromEntries(MERCHANT_CALLBACK_URL_KEYS.map((key) => [key, Joi.string().uri()]))
+  )
+    .messages({
+      'string.uri': 'Callback URLs must be valid URIs'
+    }),
+  stores: Joi.object().pattern(Joi.string(), Joi.object({
+    storeNumber: Joi.string(),
+    tillNumber: Joi.string(),
+    passkey: Joi.string()
+  }))
+    .messages({
+      'object.base': 'Stores must be an object keyed by store ID'
+    })
+});
+
+// Operator account fields
+const operatorSchema = Joi.object({
+  name: Joi.string().max(100)
+    .messages({
+      'any.required': 'Name is required',
+      'string.max': 'Name cannot exceed 100 characters'
+    }),
+  email: Joi.string().email()
+    .messages({
+      'any.required': 'Email is required',
+      'string.email': 'Email must be a valid email address'
+    }),
+  password: Joi.string().min(10).max(72)
+    .messages({
+      'any.required': 'Password is required',
+      'string.min': 'Password must be at least 10 characters',
+      'string.max': 'Password cannot exceed 72 characters'
+    }),
+  role: Joi.string().valid(...Object.keys(OPERATOR_ROLE_SCOPES))
+    .messages({
+      'any.required': 'Role is required',
+      'any.only': `Role must be one of: ${Object.keys(OPERATOR_ROLE_SCOPES).join(', ')}`
+    })
+});
+
+// Webhook endpoint fields, shared by registration and updates
+const webhookEndpointSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['https', 'http'] })
+    .messages({
+      'any.required': 'Webhook URL is required',
+      'string.uri': 'Webhook URL must be a valid http or https URL',
+      'string.uriCustomScheme': 'Webhook URL must be a valid http or https URL'
+    }),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique()
+    .messages({
+      'any.required': 'At least one event is required',
+      'array.min': 'At least one event is required',
+      'array.unique': 'Events must not repeat',
+      'any.only': `Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`
+    }),
+  description: Joi.string().max(200)
+    .messages({
+      'string.max': 'Description cannot exceed 200 characters'
+    })
+});
+
+// Bill Manager invoice fields, shared by single and bulk invoicing
+const invoiceSchema = Joi.object({
+  externalReference: Joi.string().required().max(50)
+    .messages({
+      'string.base': 'External reference must be a string',
+      'string.max': 'External reference must not exceed 50 characters',
+      'any.required': 'External reference is required'
+    }),
+  billedFullName: Joi.string().required()
+    .messages({
+      'string.base': 'Billed full name must be a string',
+      'any.required': 'Billed full name is required'
+    }),
+  billedPhoneNumber: Joi.string().required().min(10).max(12)
+    .messages({
+      'string.base': 'Billed phone number must be a string',
+      'string.min': 'Billed phone number must be at least 10 digits',
+      'string.max': 'Billed phone number must not exceed 12 digits',
+      'any.required': 'Billed phone number is required'
+    }),
+  billedPeriod: Joi.string().required()
+    .messages({
+      'string.base': 'Billed period must be a string',
+      'any.required': 'Billed period is required'
+    }),
+  invoiceName: Joi.string().required()
+    .messages({
+      'string.base': 'Invoice name must be a string',
+      'any.required': 'Invoice name is required'
+    }),
+  dueDate: Joi.date().required()
+    .messages({
+      'date.base': 'Due date must be a valid date',
+      'any.required': 'Due date is required'
+    }),
+  accountReference: Joi.string().required().max(12)
+    .messages({
+      'string.base': 'Account reference must be a string',
+      'string.max': 'Account reference must not exceed 12 characters',
+      'any.required': 'Account reference is required'
+    }),
+  amount: Joi.number().required().min(1)
+    .messages({
+      'number.base': 'Amount must be a number',
+      'number.min': 'Amount must be at least 1',
+      'any.required': 'Amount is required'
+    }),
+  invoiceItems: Joi.array().items(Joi.object({
+    itemName: Joi.string().required(),
+    amount: Joi.number().required().min(0)
+  })).default([])
+    .messages({
+      'array.base': 'Invoice items must be an array'
+    })
+});
+
 /**
  * Validation schemas for different API endpoints
  */
@@ -73,6 +243,41 @@ export const validationSchemas = {
       transactionDesc: Joi.string().default('Payment')
         .messages({
           'string.base': 'Transaction description must be a string'
+        }),
+      transactionType: Joi.string().valid('CustomerPayBillOnline', 'CustomerBuyGoodsOnline')
+        .default('CustomerPayBillOnline')
+        .messages({
+          'any.only': 'Transaction type must be either CustomerPayBillOnline or CustomerBuyGoodsOnline',
+          'string.base': 'Transaction type must be a string'
+        }),
+      storeId: Joi.string()
+        .messages({
+          'string.base': 'Store ID must be a string'
+        }),
+      tillNumber: Joi.string().pattern(/^\d{5,7}$/)
+        .when('transactionType', {
+          is: 'CustomerBuyGoodsOnline',
+          then: Joi.when('storeId', {
+            not: Joi.exist(),
+            then: Joi.required()
+          }),
+          otherwise: Joi.forbidden()
+        })
+        .messages({
+          'string.base': 'Till number must be a string',
+          'string.pattern.base': 'Till number must be a 5 to 7 digit number',
+          'any.required': 'Till number or store ID is required for CustomerBuyGoodsOnline',
+          'any.unknown': 'Till number is only allowed for CustomerBuyGoodsOnline'
+        }),
+      storeNumber: Joi.string().pattern(/^\d{5,7}$/)
+        .when('transactionType', {
+          is: 'CustomerBuyGoodsOnline',
+          otherwise: Joi.forbidden()
+        })
+        .messages({
+          'string.base': 'Store number must be a string',
+          'string.pattern.base': 'Store number must be a 5 to 7 digit number',
+          'any.unknown': 'Store number is only allowed for CustomerBuyGoodsOnline'
         })
     }).required()
   }),
@@ -110,6 +315,527 @@ export const validationSchemas = {
     }).required()
   }),
   
+  // B2B payment validation schema
+  b2b: Joi.object({
+    body: Joi.object({
+      receiverShortCode: Joi.string().required().pattern(/^\d{5,7}$/)
+        .messages({
+          'string.base': 'Receiver shortcode must be a string',
+          'string.pattern.base': 'Receiver shortcode must be a 5 to 7 digit number',
+          'any.required': 'Receiver shortcode is required'
+        }),
+      amount: Joi.number().required().min(1)
+        .messages({
+          'number.base': 'Amount must be a number',
+          'number.min': 'Amount must be at least 1',
+          'any.required': 'Amount is required'
+        }),
+      commandID: Joi.string().valid('BusinessPayBill', 'BusinessBuyGoods')
+        .default('BusinessPayBill')
+        .messages({
+          'any.only': 'Command ID must be either BusinessPayBill or BusinessBuyGoods',
+          'string.base': 'Command ID must be a string'
+        }),
+      senderIdentifierType: Joi.number().valid(1, 2, 4).default(4)
+        .messages({
+          'any.only': 'Sender identifier type must be 1, 2, or 4',
+          'number.base': 'Sender identifier type must be a number'
+        }),
+      receiverIdentifierType: Joi.number().valid(1, 2, 4).default(4)
+        .messages({
+          'any.only': 'Receiver identifier type must be 1, 2, or 4',
+          'number.base': 'Receiver identifier type must be a number'
+        }),
+      accountReference: Joi.string().max(13)
+        .when('commandID', {
+          is: 'BusinessPayBill',
+          then: Joi.required(),
+          otherwise: Joi.optional().allow('')
+        })
+        .messages({
+          'string.base': 'Account reference must be a string',
+          'string.max': 'Account reference must not exceed 13 characters',
+          'any.required': 'Account reference is required for BusinessPayBill payments'
+        }),
+      requester: Joi.string().min(10).max(12)
+        .messages({
+          'string.base': 'Requester phone number must be a string',
+          'string.min': 'Requester phone number must be at least 10 digits',
+          'string.max': 'Requester phone number must not exceed 12 digits'
+        }),
+      remarks: Joi.string().max(100).default('Payment')
+        .messages({
+          'string.base': 'Remarks must be a string',
+          'string.max': 'Remarks must not exceed 100 characters'
+        })
+    }).required()
+  }),
+  
+  // KRA tax remittance validation schema
+  taxRemittance: Joi.object({
+    body: Joi.object({
+      prn: Joi.string().required().pattern(/^\d{10,20}$/)
+        .messages({
+          'string.base': 'PRN must be a string',
+          'string.pattern.base': 'PRN must be the 10 to 20 digit KRA payment registration number',
+          'any.required': 'PRN is required'
+        }),
+      amount: Joi.number().required().min(1)
+        .messages({
+          'number.base': 'Amount must be a number',
+          'number.min': 'Amount must be at least 1',
+          'any.required': 'Amount is required'
+        }),
+      remarks: Joi.string().max(100).default('Tax remittance')
+        .messages({
+          'string.base': 'Remarks must be a string',
+          'string.max': 'Remarks must not exceed 100 characters'
+        })
+    }).required()
+  }),
+  
+  // Account balance query validation schema
+  accountBalance: Joi.object({
+    body: Joi.object({
+      identifierType: Joi.number().valid(1, 2, 4).default(4)
+        .messages({
+          'any.only': 'Identifier type must be 1, 2, or 4',
+          'number.base': 'Identifier type must be a number'
+        }),
+      remarks: Joi.string().max(100).default('Account balance query')
+        .messages({
+          'string.base': 'Remarks must be a string',
+          'string.max': 'Remarks must not exceed 100 characters'
+        })
+    }).default({})
+  }),
+  
+  // Transaction reversal validation schema
+  reversal: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'Transaction ID must be a valid ID',
+          'string.length': 'Transaction ID must be a valid ID',
+          'any.required': 'Transaction ID is required'
+        })
+    }),
+    body: Joi.object({
+      amount: Joi.number().min(1)
+        .messages({
+          'number.base': 'Amount must be a number',
+          'number.min': 'Amount must be at least 1'
+        }),
+      remarks: Joi.string().max(100).default('Transaction reversal')
+        .messages({
+          'string.base': 'Remarks must be a string',
+          'string.max': 'Remarks must not exceed 100 characters'
+        })
+    }).default({})
+  }),
+  
+  // Merchant creation validation schema
+  merchantCreate: Joi.object({
+    body: merchantSchema.keys({
+      credentials: merchantSchema.extract('credentials')
+        .fork(['consumerKey', 'consumerSecret'], (schema) => schema.required())
+        .required()
+        .messages({
+          'any.required': 'Credentials are required'
+        })
+    }).fork(['name', 'shortCode'], (schema) => schema.required()).required()
+  }),
+  
+  // Merchant update validation schema
+  merchantUpdate: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'Merchant ID must be a valid ID',
+          'string.length': 'Merchant ID must be a valid ID'
+        })
+    }),
+    body: merchantSchema.keys({
+      status: Joi.string().valid('active', 'suspended')
+        .messages({
+          'any.only': 'Status must be either active or suspended'
+        })
+    }).min(1).required()
+      .messages({
+        'object.min': 'At least one field to update is required'
+      })
+  }),
+  
+  // Merchant ID validation schema
+  merchantId: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'Merchant ID must be a valid ID',
+          'string.length': 'Merchant ID must be a valid ID'
+        })
+    })
+  }),
+  
+  // API key creation validation schema
+  apiKeyCreate: Joi.object({
+    body: Joi.object({
+      name: Joi.string().required().max(100)
+        .messages({
+          'any.required': 'Key name is required',
+          'string.max': 'Key name cannot exceed 100 characters'
+        }),
+      scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required()
+        .messages({
+          'any.required': 'At least one scope is required',
+          'array.min': 'At least one scope is required',
+          'array.unique': 'Scopes must not repeat',
+          'any.only': `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`
+        }),
+      merchant: Joi.string().hex().length(24)
+        .messages({
+          'string.hex': 'Merchant ID must be a valid ID',
+          'string.length': 'Merchant ID must be a valid ID'
+        }),
+      rateLimit: Joi.number().integer().min(1)
+        .messages({
+          'number.base': 'Rate limit must be a number',
+          'number.integer': 'Rate limit must be a whole number',
+          'number.min': 'Rate limit must be at least 1'
+        }),
+      expiresAt: Joi.date().greater('now')
+        .messages({
+          'date.greater': 'Expiry date must be in the future'
+        })
+    }).required()
+  }),
+  
+  // API key ID validation schema
+  apiKeyId: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'API key ID must be a valid ID',
+          'string.length': 'API key ID must be a valid ID'
+        })
+    })
+  }),
+  
+  // Operator login validation schema
+  login: Joi.object({
+    body: Joi.object({
+      email: Joi.string().email().required()
+        .messages({
+          'any.required': 'Email is required',
+          'string.email': 'Email must be a valid email address'
+        }),
+      password: Joi.string().required()
+        .messages({
+          'any.required': 'Password is required'
+        })
+    }).required()
+  }),
+  
+  // Token refresh validation schema
+  refreshToken: Joi.object({
+    body: Joi.object({
+      refreshToken: Joi.string().required()
+        .messages({
+          'any.required': 'Refresh token is required'
+        })
+    }).required()
+  }),
+  
+  // Operator creation validation schema
+  operatorCreate: Joi.object({
+    body: operatorSchema.fork(['name', 'email', 'password', 'role'], (schema) => schema.required()).required()
+  }),
+  
+  // Operator update validation schema
+  operatorUpdate: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'Operator ID must be a valid ID',
+          'string.length': 'Operator ID must be a valid ID'
+        })
+    }),
+    body: operatorSchema.keys({
+      email: Joi.forbidden()
+        .messages({
+          'any.unknown': 'Email cannot be changed'
+        }),
+      status: Joi.string().valid('active', 'disabled')
+        .messages({
+          'any.only': 'Status must be either active or disabled'
+        })
+    }).min(1).required()
+      .messages({
+        'object.min': 'At least one field to update is required'
+      })
+  }),
+  
+  // Callback ID validation schema
+  callbackId: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'Callback ID must be a valid ID',
+          'string.length': 'Callback ID must be a valid ID'
+        })
+    })
+  }),
+  
+  // Webhook endpoint registration validation schema
+  webhookEndpointCreate: Joi.object({
+    body: webhookEndpointSchema.fork(['url', 'events'], (schema) => schema.required()).keys({
+      merchant: Joi.string().hex().length(24)
+        .messages({
+          'string.hex': 'Merchant ID must be a valid ID',
+          'string.length': 'Merchant ID must be a valid ID'
+        })
+    }).required()
+  }),
+  
+  // Webhook endpoint update validation schema
+  webhookEndpointUpdate: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'Webhook endpoint ID must be a valid ID',
+          'string.length': 'Webhook endpoint ID must be a valid ID'
+        })
+    }),
+    body: webhookEndpointSchema.keys({
+      status: Joi.string().valid('active', 'disabled')
+        .messages({
+          'any.only': 'Status must be either active or disabled'
+        })
+    }).min(1).required()
+      .messages({
+        'object.min': 'At least one field to update is required'
+      })
+  }),
+  
+  // Webhook delivery ID validation schema
+  webhookDeliveryId: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'Webhook delivery ID must be a valid ID',
+          'string.length': 'Webhook delivery ID must be a valid ID'
+        })
+    })
+  }),
+  
+  // Job ID validation schema
+  jobId: Joi.object({
+    params: Joi.object({
+      id: Joi.string().hex().length(24).required()
+        .messages({
+          'string.hex': 'Job ID must be a valid ID',
+          'string.length': 'Job ID must be a valid ID'
+        })
+    })
+  }),
+  
+  // Dynamic QR code validation schema
+  qrCode: Joi.object({
+    body: Joi.object({
+      merchantName: Joi.string().required().max(22)
+        .messages({
+          'string.base': 'Merchant name must be a string',
+          'string.max': 'Merchant name must not exceed 22 characters',
+          'any.required': 'Merchant name is required'
+        }),
+      refNo: Joi.string().required().max(12)
+        .messages({
+          'string.base': 'Reference number must be a string',
+          'string.max': 'Reference number must not exceed 12 characters',
+          'any.required': 'Reference number is required'
+        }),
+      amount: Joi.number().required().min(1)
+        .messages({
+          'number.base': 'Amount must be a number',
+          'number.min': 'Amount must be at least 1',
+          'any.required': 'Amount is required'
+        }),
+      trxCode: Joi.string().valid('BG', 'PB', 'WA', 'SM', 'SB').default('PB')
+        .messages({
+          'any.only': 'Transaction code must be one of BG, PB, WA, SM, or SB',
+          'string.base': 'Transaction code must be a string'
+        }),
+      cpi: Joi.string()
+        .messages({
+          'string.base': 'Credit party identifier must be a string'
+        }),
+      size: Joi.number().integer().min(100).max(1000).default(300)
+        .messages({
+          'number.base': 'Size must be a number',
+          'number.min': 'Size must be at least 100 pixels',
+          'number.max': 'Size must not exceed 1000 pixels'
+        })
+    }).required()
+  }),
+  
+  // Payout batch dispatch validation schema
+  payoutBatchDispatch: Joi.object({
+    body: Joi.object({
+      concurrency: Joi.number().integer().min(1).max(20)
+        .messages({
+          'number.base': 'Concurrency must be a number',
+          'number.min': 'Concurrency must be at least 1',
+          'number.max': 'Concurrency must not exceed 20'
+        })
+    }).default({})
+  }),
+  
+  // Pull Transactions registration validation schema
+  pullRegister: Joi.object({
+    body: Joi.object({
+      nominatedNumber: Joi.string().min(10).max(12)
+        .messages({
+          'string.base': 'Nominated number must be a string',
+          'string.min': 'Nominated number must be at least 10 digits',
+          'string.max': 'Nominated number must not exceed 12 digits'
+        }),
+      callbackURL: Joi.string().uri()
+        .messages({
+          'string.uri': 'Callback URL must be a valid URI',
+          'string.base': 'Callback URL must be a string'
+        })
+    }).default({})
+  }),
+  
+  // Pull Transactions query validation schema
+  pullTransactions: Joi.object({
+    body: Joi.object({
+      startDate: Joi.date().required()
+        .messages({
+          'date.base': 'Start date must be a valid date',
+          'any.required': 'Start date is required'
+        }),
+      endDate: Joi.date().min(Joi.ref('startDate')).default(() => new Date())
+        .messages({
+          'date.base': 'End date must be a valid date',
+          'date.min': 'End date must not be before the start date'
+        })
+    }).required()
+  }),
+  
+  // Bill Manager onboarding validation schema
+  billManagerOptIn: Joi.object({
+    body: Joi.object({
+      email: Joi.string().email().required()
+        .messages({
+          'string.email': 'Email must be a valid email address',
+          'any.required': 'Email is required'
+        }),
+      officialContact: Joi.string().required().min(10).max(12)
+        .messages({
+          'string.base': 'Official contact must be a string',
+          'string.min': 'Official contact must be at least 10 digits',
+          'string.max': 'Official contact must not exceed 12 digits',
+          'any.required': 'Official contact is required'
+        }),
+      sendReminders: Joi.boolean().default(true)
+        .messages({
+          'boolean.base': 'Send reminders must be a boolean'
+        }),
+      logo: Joi.string().uri()
+        .messages({
+          'string.uri': 'Logo must be a valid URI'
+        }),
+      callbackURL: Joi.string().uri()
+        .messages({
+          'string.uri': 'Callback URL must be a valid URI',
+          'string.base': 'Callback URL must be a string'
+        })
+    }).required()
+  }),
+  
+  // Bill Manager single invoice validation schema
+  invoice: Joi.object({
+    body: invoiceSchema.required()
+  }),
+  
+  // Bill Manager bulk invoice validation schema
+  bulkInvoices: Joi.object({
+    body: Joi.object({
+      invoices: Joi.array().items(invoiceSchema).min(1).max(1000).required()
+        .unique('externalReference')
+        .messages({
+          'array.base': 'Invoices must be an array',
+          'array.min': 'At least one invoice is required',
+          'array.max': 'A bulk request must not exceed 1000 invoices',
+          'array.unique': 'Each invoice must have a unique external reference',
+          'any.required': 'Invoices are required'
+        })
+    }).required()
+  }),
+  
+  // Ratiba standing order validation schema
+  standingOrder: Joi.object({
+    body: Joi.object({
+      standingOrderName: Joi.string().required().max(100)
+        .messages({
+          'string.base': 'Standing order name must be a string',
+          'string.max': 'Standing order name must not exceed 100 characters',
+          'any.required': 'Standing order name is required'
+        }),
+      phoneNumber: Joi.string().required().min(10).max(12)
+        .messages({
+          'string.base': 'Phone number must be a string',
+          'string.min': 'Phone number must be at least 10 digits',
+          'string.max': 'Phone number must not exceed 12 digits',
+          'any.required': 'Phone number is required'
+        }),
+      amount: Joi.number().required().min(1)
+        .messages({
+          'number.base': 'Amount must be a number',
+          'number.min': 'Amount must be at least 1',
+          'any.required': 'Amount is required'
+        }),
+      frequency: Joi.string()
+        .valid('one_off', 'daily', 'weekly', 'monthly', 'bi_monthly', 'quarterly', 'half_yearly', 'yearly')
+        .required()
+        .messages({
+          'any.only': 'Frequency must be one of one_off, daily, weekly, monthly, bi_monthly, quarterly, half_yearly, or yearly',
+          'any.required': 'Frequency is required'
+        }),
+      startDate: Joi.date().required()
+        .messages({
+          'date.base': 'Start date must be a valid date',
+          'any.required': 'Start date is required'
+        }),
+      endDate: Joi.date().min(Joi.ref('startDate')).required()
+        .messages({
+          'date.base': 'End date must be a valid date',
+          'date.min': 'End date must not be before the start date',
+          'any.required': 'End date is required'
+        }),
+      accountReference: Joi.string().required().max(12)
+        .messages({
+          'string.base': 'Account reference must be a string',
+          'string.max': 'Account reference must not exceed 12 characters',
+          'any.required': 'Account reference is required'
+        }),
+      transactionDesc: Joi.string().max(13)
+        .messages({
+          'string.base': 'Transaction description must be a string',
+          'string.max': 'Transaction description must not exceed 13 characters'
+        }),
+      receiverType: Joi.string().valid('paybill', 'till').default('paybill')
+        .messages({
+          'any.only': 'Receiver type must be either paybill or till'
+        }),
+      businessShortCode: Joi.string()
+        .messages({
+          'string.base': 'Business shortcode must be a string'
+        })
+    }).required()
+  }),
+  
   // C2B URL registration validation schema
   c2bRegister: Joi.object({
     body: Joi.object({
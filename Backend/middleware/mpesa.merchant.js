@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { ApiError, catchAsync } from './mpesa.errorHandler.js';
+import merchantService from '../services/merchant.service.js';
+import Merchant from '../models/mpesa.merchant.model.js';
+
+/**
+ * Resolves the merchant a request acts for
+ * Keys bound to a merchant always act for it; platform keys and unauthenticated requests
+ * may select one with X-Merchant-Id. Sets req.merchant (null for the default merchant from
+ * config.mpesa) and req.mpesa, the MpesaService using that merchant's credentials
+ */
+export const resolveMerchant = catchAsync(async (req, res, next) => {
+  const merchantId = req.get('X-Merchant-Id');
+  const keyMerchant = req.apiKey?.merchant;
+  
+  let merchant = null;
+  
+  if (keyMerchant) {
+    if (merchantId && merchantId !== String(keyMerchant)) {
+      throw new ApiError(403, 'API key is not valid for this merchant');
+    }
+    
+    merchant = await Merchant.findById(keyMerchant);
+    
+    if (!merchant) {
+      throw new ApiError(401, 'API key merchant no longer exists');
+    }
+  } else if (merchantId) {
+    if (!mongoose.isValidObjectId(merchantId)) {
+      throw new ApiError(400, 'Invalid merchant ID');
+    }
+    
+    merchant = await Merchant.findById(merchantId);
+    
+    if (!merchant) {
+      throw new ApiError(404, 'Merchant not found');
+    }
+  }
+  
+  if (merchant && merchant.status !== 'active') {
+    throw new ApiError(403, `Merchant is ${merchant.status}`);
+  }
+  
+  req.merchant = merchant;
+  req.mpesa = await merchantService.getMpesaService(merchant);
+  
+  next();
+});
+
+/**
+ * Query filter that scopes reads to the request's merchant
+ * Requests for the default merchant only see records without a merchant, never those of other merchants
+ * 
+ * @param {Object} req - Express request
+ * @returns {Object} - Mongo filter
+ */
+export const merchantFilter = (req) => {
+  // null also matches records where the field is unset
+  return { merchant: req.merchant ? req.merchant._id : null };
+};
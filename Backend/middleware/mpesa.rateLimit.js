@@ -0,0 +1,68 @@
+import { rateLimit } from 'express-rate-limit';
+import config from '../config/index.js';
+import { ApiError } from './mpesa.errorHandler.js';
+import { MongoRateLimitStore } from '../utils/mpesa.rateLimitStore.js';
+import { formatPhoneNumber, getRequestClient } from '../utils/mpesa.helpers.js';
+import logger from '../utils/mpesa.logger.js';
+
+const { rateLimit: limits } = config;
+
+/**
+ * Options shared by every limiter
+ * Blocked requests go through the error handler as 429s; Retry-After is set by express-rate-limit
+ * 
+ * @param {string} message - Message for blocked requests
+ * @returns {Object} - express-rate-limit options
+ */
+const baseOptions = (message) => ({
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  // A store outage should not take payments down with it
+  passOnStoreError: true,
+  skip: () => !limits.enabled,
+  handler: (req, res, next) => {
+    logger.warn(`Rate limit exceeded: ${message}`, { path: req.path, method: req.method });
+    next(new ApiError(429, `${message}. Retry after ${res.get('Retry-After')} seconds`));
+  }
+});
+
+/**
+ * Limits each client on each route
+ * Must run at route level, after authentication, so the route path and client are known.
+ * The limit is the route's entry in RATE_LIMIT_ROUTES, the API key's own limit or the default,
+ * whichever is lowest
+ */
+export const clientRateLimit = rateLimit({
+  ...baseOptions('Too many requests'),
+  windowMs: limits.windowMs,
+  store: new MongoRateLimitStore('client:'),
+  keyGenerator: (req) => `${getRequestClient(req)}:${req.method} ${req.route.path}`,
+  limit: (req) => {
+    const routeLimit = limits.routes[`${req.method} ${req.route.path}`];
+    
+    return Math.min(routeLimit ?? Infinity, req.apiKey?.rateLimit ?? limits.max);
+  }
+});
+
+/**
+ * Limits login attempts from each IP address
+ */
+export const loginRateLimit = rateLimit({
+  ...baseOptions('Too many login attempts'),
+  windowMs: limits.windowMs,
+  limit: limits.loginMax,
+  store: new MongoRateLimitStore('login:'),
+  keyGenerator: (req) => req.ip
+});
+
+/**
+ * Limits STK Push prompts sent to one customer phone number, whichever client sends them
+ * Must run after request validation
+ */
+export const stkPushPhoneRateLimit = rateLimit({
+  ...baseOptions('Too many payment prompts sent to this phone number'),
+  windowMs: limits.stkPushPhoneWindowMs,
+  limit: limits.stkPushPhoneMax,
+  store: new MongoRateLimitStore('stk-phone:'),
+  keyGenerator: (req) => formatPhoneNumber(req.validatedBody.phoneNumber)
+});
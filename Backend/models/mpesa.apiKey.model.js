@@ -0,0 +1,73 @@
+import mongoose from "mongoose"
+
+export const API_KEY_SCOPES = ["collect", "disburse", "read", "admin"]
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // Public part of the key, used to look it up before the hash is checked
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // bcrypt hash of the full key
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: API_KEY_SCOPES,
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "An API key needs at least one scope",
+      },
+    },
+    // Keys bound to a merchant can only act for that merchant
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
+    // Requests per rate limit window on each route, replacing the configured default
+    rateLimit: {
+      type: Number,
+      min: 1,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["active", "revoked"],
+      default: "active",
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Never expose the key hash in responses
+apiKeySchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.keyHash
+    return ret
+  },
+})
+
+// Add indexes for faster queries
+apiKeySchema.index({ merchant: 1, status: 1 })
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema)
+
+export default ApiKey
@@ -0,0 +1,47 @@
+import mongoose from "mongoose"
+
+const accountBalanceSchema = new mongoose.Schema(
+  {
+    accountName: String,
+    currency: String,
+    currentBalance: Number,
+    availableBalance: Number,
+    reservedBalance: Number,
+    unclearedBalance: Number,
+  },
+  { _id: false },
+)
+
+const balanceSnapshotSchema = new mongoose.Schema(
+  {
+    shortCode: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["pending", "success", "failed", "cancelled"],
+      default: "pending",
+    },
+    conversationId: String,
+    originatorConversationId: String,
+    resultCode: String,
+    resultDesc: String,
+    accounts: [accountBalanceSchema],
+    completedTime: String,
+    rawResult: mongoose.Schema.Types.Mixed,
+    remarks: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Add indexes for faster queries
+balanceSnapshotSchema.index({ conversationId: 1 })
+balanceSnapshotSchema.index({ shortCode: 1, createdAt: -1 })
+
+const BalanceSnapshot = mongoose.model("BalanceSnapshot", balanceSnapshotSchema)
+
+export default BalanceSnapshot
@@ -4,7 +4,25 @@ const callbackSchema = new mongoose.Schema({
   callbackType: {
     type: String,
     required: true,
-    enum: ['STK', 'B2C_RESULT', 'B2C_TIMEOUT', 'C2B_VALIDATION', 'C2B_CONFIRMATION']
+    enum: [
+      'STK',
+      'B2C_RESULT',
+      'B2C_TIMEOUT',
+      'B2B_RESULT',
+      'B2B_TIMEOUT',
+      'TAX_REMITTANCE_RESULT',
+      'TAX_REMITTANCE_TIMEOUT',
+      'ACCOUNT_BALANCE_RESULT',
+      'ACCOUNT_BALANCE_TIMEOUT',
+      'REVERSAL_RESULT',
+      'REVERSAL_TIMEOUT',
+      'TRANSACTION_STATUS_RESULT',
+      'TRANSACTION_STATUS_TIMEOUT',
+      'C2B_VALIDATION',
+      'C2B_CONFIRMATION',
+      'BILL_PAYMENT',
+      'STANDING_ORDER'
+    ]
   },
   requestId: {
     type: String
@@ -22,14 +40,34 @@ const callbackSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Address the callback was received from
+  sourceIp: {
+    type: String
+  },
   processed: {
     type: Boolean,
     default: false
   },
+  processedAt: {
+    type: Date
+  },
+  // Number of times processing has been attempted
+  attempts: {
+    type: Number,
+    default: 0
+  },
   processingErrors: [{
     message: String,
     timestamp: Date
-  }]
+  }],
+  // When the retry schedule should next pick the callback up; unset once it is processed
+  nextRetryAt: {
+    type: Date
+  },
+  // Set when retries are exhausted; the callback then waits for a manual replay
+  deadLetteredAt: {
+    type: Date
+  }
 }, {
   timestamps: true
 });
@@ -38,7 +76,8 @@ const callbackSchema = new mongoose.Schema({
 callbackSchema.index({ callbackType: 1 });
 callbackSchema.index({ requestId: 1 }, { sparse: true });
 callbackSchema.index({ transactionId: 1 }, { sparse: true });
-callbackSchema.index({ processed: 1 });
+callbackSchema.index({ processed: 1, createdAt: -1 });
+callbackSchema.index({ nextRetryAt: 1 }, { sparse: true });
 
 const Callback = mongoose.model('Callback', callbackSchema);
 
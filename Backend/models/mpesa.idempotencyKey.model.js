@@ -0,0 +1,55 @@
+import mongoose from "mongoose"
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    // Idempotency-Key header sent by the client
+    key: {
+      type: String,
+      required: true,
+    },
+    // API key, operator or IP address that sent the key; keys are unique per client
+    client: {
+      type: String,
+      required: true,
+    },
+    // Route and SHA-256 of the request body, compared on every reuse of the key
+    method: String,
+    path: String,
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    // While processing, another request may take the key over once this passes
+    lockedUntil: Date,
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    completedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Add indexes for faster queries
+idempotencyKeySchema.index({ client: 1, key: 1 }, { unique: true })
+idempotencyKeySchema.index({ transaction: 1 })
+// Expired keys are removed by MongoDB
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema)
+
+export default IdempotencyKey
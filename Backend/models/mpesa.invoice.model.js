@@ -0,0 +1,101 @@
+import mongoose from "mongoose"
+
+const invoiceItemSchema = new mongoose.Schema(
+  {
+    itemName: String,
+    amount: Number,
+  },
+  { _id: false },
+)
+
+const invoicePaymentSchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    receiptNumber: String,
+    amount: Number,
+    phoneNumber: String,
+    paidAt: Date,
+  },
+  { _id: false },
+)
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // Merchant the invoice belongs to; unset for the default merchant from config.mpesa
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
+    externalReference: {
+      type: String,
+      required: true,
+    },
+    billedFullName: {
+      type: String,
+      required: true,
+    },
+    billedPhoneNumber: {
+      type: String,
+      required: true,
+    },
+    billedPeriod: {
+      type: String,
+      required: true,
+    },
+    invoiceName: {
+      type: String,
+      required: true,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    accountReference: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    invoiceItems: [invoiceItemSchema],
+    status: {
+      type: String,
+      required: true,
+      enum: ["pending", "sent", "partially_paid", "paid", "cancelled", "failed"],
+      default: "pending",
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    payments: [invoicePaymentSchema],
+    // Transactions created when the invoice was paid
+    transactions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Transaction",
+      },
+    ],
+    failureReason: String,
+    sentAt: Date,
+    cancelledAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// External references are unique per merchant
+invoiceSchema.index({ merchant: 1, externalReference: 1 }, { unique: true })
+
+// Add indexes for faster queries
+invoiceSchema.index({ accountReference: 1, status: 1 })
+invoiceSchema.index({ billedPhoneNumber: 1 })
+
+const Invoice = mongoose.model("Invoice", invoiceSchema)
+
+export default Invoice
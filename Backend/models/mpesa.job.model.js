@@ -0,0 +1,61 @@
+import mongoose from "mongoose"
+
+export const JOB_STATUSES = ["scheduled", "running", "completed", "failed", "cancelled"]
+
+const jobSchema = new mongoose.Schema(
+  {
+    // Handler that runs the job, e.g. stk.poll
+    type: {
+      type: String,
+      required: true,
+    },
+    // Identifies the job within its type (e.g. the checkout request ID) so it can be replaced or cancelled
+    key: String,
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: JOB_STATUSES,
+      default: "scheduled",
+    },
+    // When the job is next due
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    // Failed runs since the job last succeeded
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // Instance holding the job while it runs, and when its lease expires
+    lockedBy: String,
+    lockedUntil: Date,
+    lastError: String,
+    lastRunAt: Date,
+    completedAt: Date,
+    // Completed, failed and cancelled jobs are removed after the retention period
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// A key identifies one job per type
+jobSchema.index({ type: 1, key: 1 }, { unique: true, partialFilterExpression: { key: { $exists: true } } })
+
+// Add indexes for faster queries
+jobSchema.index({ status: 1, runAt: 1 })
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const Job = mongoose.model("Job", jobSchema)
+
+export default Job
@@ -0,0 +1,85 @@
+import mongoose from "mongoose"
+
+// config.mpesa callback URL keys a merchant can override
+export const MERCHANT_CALLBACK_URL_KEYS = [
+  "stkPushCallbackUrl",
+  "b2cResultUrl",
+  "b2cQueueTimeoutUrl",
+  "b2bResultUrl",
+  "b2bQueueTimeoutUrl",
+  "accountBalanceResultUrl",
+  "accountBalanceQueueTimeoutUrl",
+  "reversalResultUrl",
+  "reversalQueueTimeoutUrl",
+  "transactionStatusResultUrl",
+  "transactionStatusQueueTimeoutUrl",
+  "taxRemittanceResultUrl",
+  "taxRemittanceQueueTimeoutUrl",
+  "c2bValidationUrl",
+  "c2bConfirmationUrl",
+  "billManagerCallbackUrl",
+  "standingOrderCallbackUrl",
+  "pullCallbackUrl",
+]
+
+// Secrets are stored encrypted with the encrypt/decrypt helpers
+const merchantCredentialsSchema = new mongoose.Schema(
+  {
+    consumerKey: String,
+    consumerSecret: String,
+    passkey: String,
+    initiatorPassword: String,
+    securityCredential: String,
+  },
+  { _id: false },
+)
+
+const merchantSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    shortCode: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    initiatorName: String,
+    // Daraja environment; defaults to MPESA_BASE_URL
+    baseUrl: String,
+    credentials: {
+      type: merchantCredentialsSchema,
+      required: true,
+      select: false,
+    },
+    callbackUrls: new mongoose.Schema(
+      Object.fromEntries(MERCHANT_CALLBACK_URL_KEYS.map((key) => [key, String])),
+      { _id: false },
+    ),
+    // Buy Goods stores, in the same shape as MPESA_STORES
+    stores: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      required: true,
+      enum: ["active", "suspended"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Never expose credentials in responses
+merchantSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.credentials
+    return ret
+  },
+})
+
+const Merchant = mongoose.model("Merchant", merchantSchema)
+
+export default Merchant
@@ -0,0 +1,69 @@
+import mongoose from "mongoose"
+
+// API scopes granted to each operator role
+export const OPERATOR_ROLE_SCOPES = {
+  viewer: ["read"],
+  finance: ["collect", "disburse", "read"],
+  admin: ["admin"],
+}
+
+const operatorSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    // bcrypt hash of the password
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    role: {
+      type: String,
+      required: true,
+      enum: Object.keys(OPERATOR_ROLE_SCOPES),
+      default: "viewer",
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["active", "disabled"],
+      default: "active",
+    },
+    // Incremented on logout and password changes to invalidate issued tokens
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    lastLoginAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Scopes the operator's role grants, checked the same way as API key scopes
+operatorSchema.virtual("scopes").get(function () {
+  return OPERATOR_ROLE_SCOPES[this.role] || []
+})
+
+// Never expose the password hash in responses
+operatorSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.passwordHash
+    delete ret.tokenVersion
+    return ret
+  },
+})
+
+const Operator = mongoose.model("Operator", operatorSchema)
+
+export default Operator
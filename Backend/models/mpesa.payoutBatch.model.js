@@ -0,0 +1,85 @@
+import mongoose from "mongoose"
+
+const payoutRowSchema = new mongoose.Schema(
+  {
+    rowNumber: {
+      type: Number,
+      required: true,
+    },
+    phoneNumber: String,
+    amount: Number,
+    remarks: String,
+    occassion: String,
+    commandID: String,
+    // invalid rows are never sent; queued rows wait for dispatch; sending rows are being sent;
+    // submitted rows await a result callback; unknown rows got no answer and are reconciled by status query
+    status: {
+      type: String,
+      required: true,
+      enum: ["invalid", "queued", "sending", "submitted", "unknown", "success", "failed", "cancelled"],
+      default: "queued",
+    },
+    validationErrors: [String],
+    conversationId: String,
+    originatorConversationId: String,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    receiptNumber: String,
+    failureReason: String,
+  },
+  { _id: false },
+)
+
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    // Merchant the payouts are sent from; unset for the default merchant from config.mpesa
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["csv", "json"],
+      required: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["validated", "processing", "dispatched", "completed"],
+      default: "validated",
+    },
+    rows: [payoutRowSchema],
+    summary: {
+      totalRows: { type: Number, default: 0 },
+      validRows: { type: Number, default: 0 },
+      invalidRows: { type: Number, default: 0 },
+      totalAmount: { type: Number, default: 0 },
+      submitted: { type: Number, default: 0 },
+      succeeded: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      cancelled: { type: Number, default: 0 },
+      unknown: { type: Number, default: 0 },
+    },
+    concurrency: Number,
+    dispatchedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Add indexes for faster queries
+payoutBatchSchema.index({ status: 1, createdAt: -1 })
+payoutBatchSchema.index({ merchant: 1, createdAt: -1 })
+payoutBatchSchema.index({ "rows.conversationId": 1 }, { sparse: true })
+
+const PayoutBatch = mongoose.model("PayoutBatch", payoutBatchSchema)
+
+export default PayoutBatch
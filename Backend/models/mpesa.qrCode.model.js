@@ -0,0 +1,59 @@
+import mongoose from "mongoose"
+
+const qrCodeSchema = new mongoose.Schema(
+  {
+    // Merchant that generated the QR code; unset for the default merchant from config.mpesa
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
+    merchantName: {
+      type: String,
+      required: true,
+    },
+    referenceNumber: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // BG: Buy Goods, PB: Pay Bill, WA: Withdraw at Agent, SM: Send Money, SB: Send to Business
+    trxCode: {
+      type: String,
+      required: true,
+      enum: ["BG", "PB", "WA", "SM", "SB"],
+    },
+    // Credit party identifier (till, paybill, agent, phone or business number)
+    cpi: {
+      type: String,
+      required: true,
+    },
+    size: Number,
+    requestId: String,
+    status: {
+      type: String,
+      required: true,
+      enum: ["generated", "paid", "failed"],
+      default: "generated",
+    },
+    failureReason: String,
+    // C2B transaction that paid this QR code
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    paidAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Add indexes for faster queries
+qrCodeSchema.index({ referenceNumber: 1, status: 1 })
+
+const QRCode = mongoose.model("QRCode", qrCodeSchema)
+
+export default QRCode
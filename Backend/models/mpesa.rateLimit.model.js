@@ -0,0 +1,27 @@
+import mongoose from "mongoose"
+
+// Request counter for one rate limit key and window
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  hits: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// Add indexes for faster queries
+// Expired windows are removed by MongoDB
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema)
+
+export default RateLimit
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Callbacks that failed authentication, kept for investigation
+const rejectedCallbackSchema = new mongoose.Schema({
+  // Callback path; a valid secret token is removed before later checks
+  path: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['INVALID_TOKEN', 'IP_NOT_ALLOWED', 'INVALID_SIGNATURE']
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  rawData: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+rejectedCallbackSchema.index({ reason: 1, createdAt: -1 });
+rejectedCallbackSchema.index({ ip: 1 });
+
+const RejectedCallback = mongoose.model('RejectedCallback', rejectedCallbackSchema);
+
+export default RejectedCallback;
@@ -0,0 +1,84 @@
+import mongoose from "mongoose"
+
+const standingOrderSchema = new mongoose.Schema(
+  {
+    // Merchant the standing order belongs to; unset for the default merchant from config.mpesa
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
+    standingOrderName: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    phoneNumber: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    frequency: {
+      type: String,
+      required: true,
+      enum: ["one_off", "daily", "weekly", "monthly", "bi_monthly", "quarterly", "half_yearly", "yearly"],
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    // Paybill or till the debits are paid to
+    receiverType: {
+      type: String,
+      required: true,
+      enum: ["paybill", "till"],
+      default: "paybill",
+    },
+    businessShortCode: {
+      type: String,
+      required: true,
+    },
+    accountReference: {
+      type: String,
+      required: true,
+    },
+    transactionDesc: String,
+    status: {
+      type: String,
+      required: true,
+      enum: ["pending", "active", "failed"],
+      default: "pending",
+    },
+    // Reference returned when the standing order is created, echoed on its callbacks
+    responseRefId: String,
+    resultCode: String,
+    resultDesc: String,
+    failureReason: String,
+    activatedAt: Date,
+    lastExecutedAt: Date,
+    executionCount: {
+      type: Number,
+      default: 0,
+    },
+    metadata: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Add indexes for faster queries
+standingOrderSchema.index({ responseRefId: 1 }, { sparse: true })
+standingOrderSchema.index({ phoneNumber: 1 })
+standingOrderSchema.index({ status: 1 })
+standingOrderSchema.index({ merchant: 1 })
+
+const StandingOrder = mongoose.model("StandingOrder", standingOrderSchema)
+
+export default StandingOrder
@@ -0,0 +1,59 @@
+import mongoose from "mongoose"
+
+const statusQuerySchema = new mongoose.Schema(
+  {
+    // Merchant that made the query; unset for the default merchant from config.mpesa
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
+    // The M-Pesa transaction ID (receipt number), or the OriginatorConversationID, that was queried
+    queriedTransactionId: {
+      type: String,
+      required: true,
+    },
+    identifierType: Number,
+    status: {
+      type: String,
+      required: true,
+      enum: ["pending", "completed", "failed", "cancelled"],
+      default: "pending",
+    },
+    conversationId: String,
+    originatorConversationId: String,
+    resultCode: String,
+    resultDesc: String,
+    // Parsed result parameters (receipt, parties, amount, status)
+    result: {
+      receiptNumber: String,
+      transactionStatus: String,
+      amount: Number,
+      debitPartyName: String,
+      creditPartyName: String,
+      debitAccountType: String,
+      debitPartyCharges: String,
+      transactionReason: String,
+      reasonType: String,
+      initiatedTime: String,
+      finalisedTime: String,
+    },
+    // Stored transaction the result was reconciled onto, if any
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    rawResult: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Add indexes for faster queries
+statusQuerySchema.index({ conversationId: 1 })
+statusQuerySchema.index({ originatorConversationId: 1 })
+statusQuerySchema.index({ queriedTransactionId: 1 })
+
+const StatusQuery = mongoose.model("StatusQuery", statusQuerySchema)
+
+export default StatusQuery
@@ -1,11 +1,19 @@
 import mongoose from "mongoose"
 
+// Transaction types that always involve a customer phone number
+const CUSTOMER_TRANSACTION_TYPES = ["STK_PUSH", "B2C", "C2B", "STANDING_ORDER"]
+
 const transactionSchema = new mongoose.Schema(
   {
+    // Merchant the transaction belongs to; unset for the default merchant from config.mpesa
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
     transactionType: {
       type: String,
       required: true,
-      enum: ["STK_PUSH", "B2C", "C2B"],
+      enum: ["STK_PUSH", "B2C", "C2B", "B2B", "REVERSAL", "STANDING_ORDER", "TAX_REMITTANCE"],
     },
     amount: {
       type: Number,
@@ -13,7 +21,9 @@ const transactionSchema = new mongoose.Schema(
     },
     phoneNumber: {
       type: String,
-      required: true,
+      required: function () {
+        return CUSTOMER_TRANSACTION_TYPES.includes(this.transactionType)
+      },
     },
     referenceId: {
       type: String,
@@ -22,7 +32,7 @@ const transactionSchema = new mongoose.Schema(
     status: {
       type: String,
       required: true,
-      enum: ["pending", "success", "failed", "cancelled"],
+      enum: ["pending", "success", "failed", "cancelled", "reversed"],
       default: "pending",
     },
     checkoutRequestID: String,
@@ -34,6 +44,16 @@ const transactionSchema = new mongoose.Schema(
     mpesaReceiptNumber: String,
     transactionId: String,
     failureReason: String,
+    // Set on REVERSAL transactions to the transaction being reversed
+    originalTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    // Set on STANDING_ORDER transactions to the standing order that executed the debit
+    standingOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StandingOrder",
+    },
     timeoutAt: Number,
     timeoutHandled: {
       type: Boolean,
@@ -80,10 +100,20 @@ transactionSchema.pre("save", function (next) {
   next()
 })
 
+// A receipt is stored once per transaction type, so a C2B confirmation and the Pull Transactions
+// backfill (or a repeated confirmation) cannot both insert the same payment
+transactionSchema.index(
+  { transactionType: 1, mpesaReceiptNumber: 1 },
+  { unique: true, partialFilterExpression: { mpesaReceiptNumber: { $type: "string" } } },
+)
+
 // Add indexes for faster queries
 transactionSchema.index({ checkoutRequestID: 1 })
 transactionSchema.index({ phoneNumber: 1 })
 transactionSchema.index({ status: 1 })
+transactionSchema.index({ originalTransaction: 1 }, { sparse: true })
+transactionSchema.index({ standingOrder: 1 }, { sparse: true })
+transactionSchema.index({ merchant: 1, createdAt: -1 })
 transactionSchema.index({ createdAt: -1 })
 
 const Transaction = mongoose.model("Transaction", transactionSchema)
@@ -0,0 +1,67 @@
+import mongoose from "mongoose"
+import { WEBHOOK_EVENTS } from "./mpesa.webhookEndpoint.model.js"
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
+    // Same for every delivery of an event, so receivers can discard duplicates
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+      enum: WEBHOOK_EVENTS,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    // Body sent on every attempt
+    payload: {
+      type: Object,
+      required: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+    },
+    attempts: [
+      {
+        attemptedAt: Date,
+        responseStatus: Number,
+        error: String,
+        durationMs: Number,
+      },
+    ],
+    // When the retry schedule should next send the delivery; unset once it is delivered or failed
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// An event is delivered to each endpoint once, however many times its transaction is updated
+webhookDeliverySchema.index({ endpoint: 1, eventId: 1 }, { unique: true })
+
+// Add indexes for faster queries
+webhookDeliverySchema.index({ merchant: 1, createdAt: -1 })
+webhookDeliverySchema.index({ transaction: 1 })
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 })
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema)
+
+export default WebhookDelivery
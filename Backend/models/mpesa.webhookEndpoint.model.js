@@ -0,0 +1,61 @@
+import mongoose from "mongoose"
+
+export const WEBHOOK_EVENTS = ["transaction.succeeded", "transaction.failed", "transaction.cancelled", "payout.completed"]
+
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    // Events sent to the endpoint
+    events: {
+      type: [
+        {
+          type: String,
+          enum: WEBHOOK_EVENTS,
+        },
+      ],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "A webhook endpoint needs at least one event",
+      },
+    },
+    // Key for the HMAC signature on every delivery
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Endpoints receive events for this merchant's transactions; unset for the default merchant
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Merchant",
+    },
+    description: String,
+    status: {
+      type: String,
+      required: true,
+      enum: ["active", "disabled"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Never expose the signing secret in responses
+webhookEndpointSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.secret
+    return ret
+  },
+})
+
+// Add indexes for faster queries
+webhookEndpointSchema.index({ merchant: 1, status: 1 })
+
+const WebhookEndpoint = mongoose.model("WebhookEndpoint", webhookEndpointSchema)
+
+export default WebhookEndpoint
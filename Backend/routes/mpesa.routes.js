@@ -1,117 +1,771 @@
 import express from "express"
+import config from "../config/index.js"
 import { mpesaController } from "../controllers/mpesa.controller.js"
 import { transactionsController } from "../controllers/transactions.controller.js"
+import { payoutBatchesController } from "../controllers/payoutBatches.controller.js"
+import { billManagerController } from "../controllers/billManager.controller.js"
+import { standingOrdersController } from "../controllers/standingOrders.controller.js"
+import { merchantsController } from "../controllers/merchants.controller.js"
+import { apiKeysController } from "../controllers/apiKeys.controller.js"
+import { authController } from "../controllers/auth.controller.js"
+import { operatorsController } from "../controllers/operators.controller.js"
+import { callbacksController } from "../controllers/callbacks.controller.js"
+import { webhooksController } from "../controllers/webhooks.controller.js"
+import { jobsController } from "../controllers/jobs.controller.js"
 import { validateRequest, validationSchemas } from "../middleware/mpesa.js"
+import { resolveMerchant } from "../middleware/mpesa.merchant.js"
+import { authenticate, requireScope, requireOperator } from "../middleware/mpesa.auth.js"
+import { loginRateLimit, stkPushPhoneRateLimit } from "../middleware/mpesa.rateLimit.js"
+import { idempotency } from "../middleware/mpesa.idempotency.js"
+import { authenticateCallback } from "../middleware/mpesa.callbackAuth.js"
 
 const router = express.Router()
 
+// Check the secret token, source IP and signature of M-Pesa callbacks
+router.use("/callbacks", authenticateCallback)
+
+// Verify the X-API-Key header or operator access token; each route below declares the scope it requires
+// (callbacks are checked by authenticateCallback instead). Operators get the scopes of their role: viewer (read), finance (collect,
+// disburse, read) or admin
+router.use(authenticate)
+
+// Select the merchant from the API key or X-Merchant-Id header (default merchant when neither applies)
+router.use(resolveMerchant)
+
 /**
- * @route   POST /api/mpesa/stk-push
- * @desc    Initiate STK Push payment
+ * @route   POST /api/mpesa/auth/login
+ * @desc    Log an operator in
  * @access  Public
  */
-router.post("/stk-push", validateRequest(validationSchemas.stkPush), mpesaController.initiateSTKPush)
+router.post("/auth/login", loginRateLimit, validateRequest(validationSchemas.login), authController.login)
+
+/**
+ * @route   POST /api/mpesa/auth/refresh
+ * @desc    Issue new tokens from a refresh token
+ * @access  Public
+ */
+router.post("/auth/refresh", validateRequest(validationSchemas.refreshToken), authController.refresh)
+
+/**
+ * @route   POST /api/mpesa/auth/logout
+ * @desc    End all of the operator's sessions
+ * @access  Private (operator)
+ */
+router.post("/auth/logout", requireOperator, authController.logout)
+
+/**
+ * @route   GET /api/mpesa/auth/me
+ * @desc    Get the logged-in operator
+ * @access  Private (operator)
+ */
+router.get("/auth/me", requireOperator, authController.getProfile)
+
+/**
+ * @route   POST /api/mpesa/operators
+ * @desc    Create an operator account
+ * @access  Private (scope: admin)
+ */
+router.post(
+  "/operators",
+  requireScope("admin"),
+  validateRequest(validationSchemas.operatorCreate),
+  operatorsController.createOperator,
+)
+
+/**
+ * @route   GET /api/mpesa/operators
+ * @desc    Get all operators
+ * @access  Private (scope: admin)
+ */
+router.get("/operators", requireScope("admin"), operatorsController.getAllOperators)
+
+/**
+ * @route   PATCH /api/mpesa/operators/:id
+ * @desc    Update an operator's name, role, status or password
+ * @access  Private (scope: admin)
+ */
+router.patch(
+  "/operators/:id",
+  requireScope("admin"),
+  validateRequest(validationSchemas.operatorUpdate),
+  operatorsController.updateOperator,
+)
+
+/**
+ * @route   POST /api/mpesa/api-keys
+ * @desc    Issue an API key
+ * @access  Private (scope: admin)
+ */
+router.post(
+  "/api-keys",
+  requireScope("admin"),
+  validateRequest(validationSchemas.apiKeyCreate),
+  apiKeysController.createApiKey,
+)
+
+/**
+ * @route   GET /api/mpesa/api-keys
+ * @desc    Get all API keys
+ * @access  Private (scope: admin)
+ */
+router.get("/api-keys", requireScope("admin"), apiKeysController.getAllApiKeys)
+
+/**
+ * @route   POST /api/mpesa/api-keys/:id/revoke
+ * @desc    Revoke an API key
+ * @access  Private (scope: admin)
+ */
+router.post(
+  "/api-keys/:id/revoke",
+  requireScope("admin"),
+  validateRequest(validationSchemas.apiKeyId),
+  apiKeysController.revokeApiKey,
+)
+
+/**
+ * @route   POST /api/mpesa/merchants
+ * @desc    Create a merchant and its API key
+ * @access  Private (scope: admin)
+ */
+router.post(
+  "/merchants",
+  requireScope("admin"),
+  validateRequest(validationSchemas.merchantCreate),
+  merchantsController.createMerchant,
+)
+
+/**
+ * @route   GET /api/mpesa/merchants
+ * @desc    Get all merchants
+ * @access  Private (scope: admin)
+ */
+router.get("/merchants", requireScope("admin"), merchantsController.getAllMerchants)
+
+/**
+ * @route   GET /api/mpesa/merchants/:id
+ * @desc    Get a merchant
+ * @access  Private (scope: admin)
+ */
+router.get(
+  "/merchants/:id",
+  requireScope("admin"),
+  validateRequest(validationSchemas.merchantId),
+  merchantsController.getMerchant,
+)
+
+/**
+ * @route   PATCH /api/mpesa/merchants/:id
+ * @desc    Update a merchant's details, credentials, callback URLs or status
+ * @access  Private (scope: admin)
+ */
+router.patch(
+  "/merchants/:id",
+  requireScope("admin"),
+  validateRequest(validationSchemas.merchantUpdate),
+  merchantsController.updateMerchant,
+)
+
+/**
+ * @route   POST /api/mpesa/merchants/:id/api-key
+ * @desc    Replace a merchant's API key
+ * @access  Private (scope: admin)
+ */
+router.post(
+  "/merchants/:id/api-key",
+  requireScope("admin"),
+  validateRequest(validationSchemas.merchantId),
+  merchantsController.rotateApiKey,
+)
+
+/**
+ * @route   POST /api/mpesa/webhooks
+ * @desc    Register a webhook endpoint for transaction events
+ * @access  Private (scope: admin)
+ */
+router.post(
+  "/webhooks",
+  requireScope("admin"),
+  validateRequest(validationSchemas.webhookEndpointCreate),
+  webhooksController.createWebhookEndpoint,
+)
+
+/**
+ * @route   GET /api/mpesa/webhooks
+ * @desc    Get all webhook endpoints (?status, merchant, event)
+ * @access  Private (scope: admin)
+ */
+router.get("/webhooks", requireScope("admin"), webhooksController.getAllWebhookEndpoints)
+
+/**
+ * @route   GET /api/mpesa/webhooks/deliveries
+ * @desc    Get the webhook delivery log (?endpoint, event, status, transaction)
+ * @access  Private (scope: admin)
+ */
+router.get("/webhooks/deliveries", requireScope("admin"), webhooksController.getAllDeliveries)
+
+/**
+ * @route   GET /api/mpesa/webhooks/deliveries/:id
+ * @desc    Get a webhook delivery and its attempts
+ * @access  Private (scope: admin)
+ */
+router.get(
+  "/webhooks/deliveries/:id",
+  requireScope("admin"),
+  validateRequest(validationSchemas.webhookDeliveryId),
+  webhooksController.getDelivery,
+)
+
+/**
+ * @route   POST /api/mpesa/webhooks/deliveries/:id/redeliver
+ * @desc    Send a webhook delivery again
+ * @access  Private (scope: admin)
+ */
+router.post(
+  "/webhooks/deliveries/:id/redeliver",
+  requireScope("admin"),
+  validateRequest(validationSchemas.webhookDeliveryId),
+  webhooksController.redeliver,
+)
+
+/**
+ * @route   PATCH /api/mpesa/webhooks/:id
+ * @desc    Update a webhook endpoint's URL, events, description or status
+ * @access  Private (scope: admin)
+ */
+router.patch(
+  "/webhooks/:id",
+  requireScope("admin"),
+  validateRequest(validationSchemas.webhookEndpointUpdate),
+  webhooksController.updateWebhookEndpoint,
+)
+
+/**
+ * @route   POST /api/mpesa/stk-push
+ * @desc    Initiate STK Push payment (supports Idempotency-Key)
+ * @access  Private (scope: collect)
+ */
+router.post(
+  "/stk-push",
+  requireScope("collect"),
+  validateRequest(validationSchemas.stkPush),
+  idempotency,
+  stkPushPhoneRateLimit,
+  mpesaController.initiateSTKPush,
+)
 
 /**
  * @route   POST /api/mpesa/stk-status
  * @desc    Query STK Push status
- * @access  Public
+ * @access  Private (scope: read)
  */
-router.post("/stk-status", validateRequest(validationSchemas.stkStatus), mpesaController.queryStkStatus)
+router.post(
+  "/stk-status",
+  requireScope("read"),
+  validateRequest(validationSchemas.stkStatus),
+  mpesaController.queryStkStatus,
+)
 
 /**
  * @route   POST /api/mpesa/b2c
- * @desc    Send B2C payment
- * @access  Public
+ * @desc    Send B2C payment (supports Idempotency-Key)
+ * @access  Private (scope: disburse)
  */
-router.post("/b2c", validateRequest(validationSchemas.b2c), mpesaController.sendB2CPayment)
+router.post(
+  "/b2c",
+  requireScope("disburse"),
+  validateRequest(validationSchemas.b2c),
+  idempotency,
+  mpesaController.sendB2CPayment,
+)
+
+/**
+ * @route   POST /api/mpesa/b2c/batches
+ * @desc    Upload a CSV or JSON list of B2C payouts
+ * @access  Private (scope: disburse)
+ */
+router.post(
+  "/b2c/batches",
+  requireScope("disburse"),
+  express.text({ type: "text/csv", limit: "2mb" }),
+  payoutBatchesController.createBatch,
+)
+
+/**
+ * @route   GET /api/mpesa/b2c/batches
+ * @desc    Get all payout batches
+ * @access  Private (scope: read)
+ */
+router.get("/b2c/batches", requireScope("read"), payoutBatchesController.getAllBatches)
+
+/**
+ * @route   GET /api/mpesa/b2c/batches/:id
+ * @desc    Get a payout batch with per-row status
+ * @access  Private (scope: read)
+ */
+router.get("/b2c/batches/:id", requireScope("read"), payoutBatchesController.getBatchById)
+
+/**
+ * @route   POST /api/mpesa/b2c/batches/:id/dispatch
+ * @desc    Dispatch a validated payout batch
+ * @access  Private (scope: disburse)
+ */
+router.post(
+  "/b2c/batches/:id/dispatch",
+  requireScope("disburse"),
+  validateRequest(validationSchemas.payoutBatchDispatch),
+  payoutBatchesController.dispatchBatch,
+)
+
+/**
+ * @route   GET /api/mpesa/b2c/batches/:id/results
+ * @desc    Download payout batch results (?format=csv|json)
+ * @access  Private (scope: read)
+ */
+router.get("/b2c/batches/:id/results", requireScope("read"), payoutBatchesController.downloadResults)
+
+/**
+ * @route   POST /api/mpesa/b2b
+ * @desc    Send B2B payment to a paybill or till
+ * @access  Private (scope: disburse)
+ */
+router.post("/b2b", requireScope("disburse"), validateRequest(validationSchemas.b2b), mpesaController.sendB2BPayment)
+
+/**
+ * @route   POST /api/mpesa/tax-remittance
+ * @desc    Remit tax to KRA
+ * @access  Private (scope: disburse)
+ */
+router.post(
+  "/tax-remittance",
+  requireScope("disburse"),
+  validateRequest(validationSchemas.taxRemittance),
+  mpesaController.remitTax,
+)
 
 /**
  * @route   POST /api/mpesa/transaction-status
  * @desc    Query transaction status
- * @access  Public
+ * @access  Private (scope: read)
  */
 router.post(
   "/transaction-status",
+  requireScope("read"),
   validateRequest(validationSchemas.transactionStatus),
   mpesaController.queryTransactionStatus,
 )
 
+/**
+ * @route   GET /api/mpesa/transaction-status/:id
+ * @desc    Get the outcome of a transaction status query
+ * @access  Private (scope: read)
+ */
+router.get("/transaction-status/:id", requireScope("read"), mpesaController.getTransactionStatusQuery)
+
+/**
+ * @route   POST /api/mpesa/account-balance
+ * @desc    Query the shortcode's account balances
+ * @access  Private (scope: read)
+ */
+router.post(
+  "/account-balance",
+  requireScope("read"),
+  validateRequest(validationSchemas.accountBalance),
+  mpesaController.queryAccountBalance,
+)
+
+/**
+ * @route   GET /api/mpesa/account-balance/history
+ * @desc    Get account balance snapshot history
+ * @access  Private (scope: read)
+ */
+router.get("/account-balance/history", requireScope("read"), mpesaController.getAccountBalanceHistory)
+
+/**
+ * @route   POST /api/mpesa/qr
+ * @desc    Generate a dynamic M-Pesa QR code
+ * @access  Private (scope: collect)
+ */
+router.post("/qr", requireScope("collect"), validateRequest(validationSchemas.qrCode), mpesaController.generateQRCode)
+
+/**
+ * @route   POST /api/mpesa/c2b/register
+ * @desc    Register C2B validation and confirmation URLs
+ * @access  Private (scope: collect)
+ */
+router.post(
+  "/c2b/register",
+  requireScope("collect"),
+  validateRequest(validationSchemas.c2bRegister),
+  mpesaController.registerC2BUrls,
+)
+
+/**
+ * @route   POST /api/mpesa/c2b/simulate
+ * @desc    Simulate a C2B payment (not available in production)
+ * @access  Private (scope: collect)
+ */
+if (config.env !== "production") {
+  router.post(
+    "/c2b/simulate",
+    requireScope("collect"),
+    validateRequest(validationSchemas.c2bSimulate),
+    mpesaController.simulateC2B,
+  )
+}
+
+/**
+ * @route   POST /api/mpesa/pull/register
+ * @desc    Register the shortcode for the Pull Transactions API
+ * @access  Private (scope: collect)
+ */
+router.post(
+  "/pull/register",
+  requireScope("collect"),
+  validateRequest(validationSchemas.pullRegister),
+  mpesaController.registerPullTransactions,
+)
+
+/**
+ * @route   POST /api/mpesa/pull/transactions
+ * @desc    Backfill missing transactions for a date range
+ * @access  Private (scope: read)
+ */
+router.post(
+  "/pull/transactions",
+  requireScope("read"),
+  validateRequest(validationSchemas.pullTransactions),
+  mpesaController.pullTransactions,
+)
+
+/**
+ * @route   POST /api/mpesa/bill-manager/optin
+ * @desc    Onboard the shortcode to Bill Manager
+ * @access  Private (scope: collect)
+ */
+router.post(
+  "/bill-manager/optin",
+  requireScope("collect"),
+  validateRequest(validationSchemas.billManagerOptIn),
+  billManagerController.optIn,
+)
+
+/**
+ * @route   POST /api/mpesa/bill-manager/invoices
+ * @desc    Create and send a single invoice
+ * @access  Private (scope: collect)
+ */
+router.post(
+  "/bill-manager/invoices",
+  requireScope("collect"),
+  validateRequest(validationSchemas.invoice),
+  billManagerController.createInvoice,
+)
+
+/**
+ * @route   POST /api/mpesa/bill-manager/invoices/bulk
+ * @desc    Create and send invoices in bulk
+ * @access  Private (scope: collect)
+ */
+router.post(
+  "/bill-manager/invoices/bulk",
+  requireScope("collect"),
+  validateRequest(validationSchemas.bulkInvoices),
+  billManagerController.createBulkInvoices,
+)
+
+/**
+ * @route   GET /api/mpesa/bill-manager/invoices
+ * @desc    Get all invoices
+ * @access  Private (scope: read)
+ */
+router.get("/bill-manager/invoices", requireScope("read"), billManagerController.getAllInvoices)
+
+/**
+ * @route   GET /api/mpesa/bill-manager/invoices/:externalReference
+ * @desc    Get an invoice with its payment transactions
+ * @access  Private (scope: read)
+ */
+router.get("/bill-manager/invoices/:externalReference", requireScope("read"), billManagerController.getInvoice)
+
+/**
+ * @route   POST /api/mpesa/bill-manager/invoices/:externalReference/cancel
+ * @desc    Cancel an invoice
+ * @access  Private (scope: collect)
+ */
+router.post(
+  "/bill-manager/invoices/:externalReference/cancel",
+  requireScope("collect"),
+  billManagerController.cancelInvoice,
+)
+
+/**
+ * @route   POST /api/mpesa/standing-orders
+ * @desc    Create a Ratiba standing order
+ * @access  Private (scope: collect)
+ */
+router.post(
+  "/standing-orders",
+  requireScope("collect"),
+  validateRequest(validationSchemas.standingOrder),
+  standingOrdersController.createStandingOrder,
+)
+
+/**
+ * @route   GET /api/mpesa/standing-orders
+ * @desc    Get all standing orders
+ * @access  Private (scope: read)
+ */
+router.get("/standing-orders", requireScope("read"), standingOrdersController.getAllStandingOrders)
+
+/**
+ * @route   GET /api/mpesa/standing-orders/:id
+ * @desc    Get a standing order with its executed debits
+ * @access  Private (scope: read)
+ */
+router.get("/standing-orders/:id", requireScope("read"), standingOrdersController.getStandingOrder)
+
 /**
  * @route   GET /api/mpesa/transactions
  * @desc    Get all transactions
- * @access  Public
+ * @access  Private (scope: read)
  */
-router.get("/transactions", mpesaController.getAllTransactions)
+router.get("/transactions", requireScope("read"), mpesaController.getAllTransactions)
+
+// Registered before /transactions/:id, which would otherwise match "stats" as an ID
+/**
+ * @route   GET /api/mpesa/transactions/stats
+ * @desc    Get transaction statistics
+ * @access  Private (scope: read)
+ */
+router.get("/transactions/stats", requireScope("read"), transactionsController.getTransactionStats)
 
 /**
  * @route   GET /api/mpesa/transactions/:id
  * @desc    Get transaction by ID
- * @access  Public
+ * @access  Private (scope: read)
  */
-router.get("/transactions/:id", mpesaController.getTransactionById)
+router.get("/transactions/:id", requireScope("read"), mpesaController.getTransactionById)
 
 /**
  * @route   GET /api/mpesa/transactions/reference/:reference
  * @desc    Get transactions by reference
- * @access  Public
+ * @access  Private (scope: read)
  */
-router.get("/transactions/reference/:reference", mpesaController.getTransactionsByReference)
+router.get("/transactions/reference/:reference", requireScope("read"), mpesaController.getTransactionsByReference)
 
 /**
  * @route   POST /api/mpesa/transactions/check-pending
  * @desc    Check and process pending transactions
- * @access  Public
+ * @access  Private (scope: admin)
  */
-router.post("/transactions/check-pending", transactionsController.checkPendingTransactions)
+router.post("/transactions/check-pending", requireScope("admin"), transactionsController.checkPendingTransactions)
 
 /**
  * @route   POST /api/mpesa/transactions/:id/retry
  * @desc    Retry a failed transaction
- * @access  Public
+ * @access  Private (scope: disburse)
  */
-router.post("/transactions/:id/retry", transactionsController.retryTransaction)
+router.post("/transactions/:id/retry", requireScope("disburse"), transactionsController.retryTransaction)
 
 /**
- * @route   GET /api/mpesa/transactions/stats
- * @desc    Get transaction statistics
- * @access  Public
+ * @route   POST /api/mpesa/transactions/:id/reverse
+ * @desc    Reverse a completed transaction
+ * @access  Private (scope: disburse)
+ */
+router.post(
+  "/transactions/:id/reverse",
+  requireScope("disburse"),
+  validateRequest(validationSchemas.reversal),
+  transactionsController.reverseTransaction,
+)
+
+/**
+ * @route   GET /api/mpesa/jobs
+ * @desc    Get scheduled jobs (?type, status, key)
+ * @access  Private (scope: admin)
+ */
+router.get("/jobs", requireScope("admin"), jobsController.getAllJobs)
+
+/**
+ * @route   GET /api/mpesa/jobs/:id
+ * @desc    Get a scheduled job
+ * @access  Private (scope: admin)
+ */
+router.get("/jobs/:id", requireScope("admin"), validateRequest(validationSchemas.jobId), jobsController.getJob)
+
+/**
+ * @route   GET /api/mpesa/callbacks
+ * @desc    Get stored callbacks (?callbackType, processed, requestId, transactionId, startDate, endDate)
+ * @access  Private (scope: admin)
  */
-router.get("/transactions/stats", transactionsController.getTransactionStats)
+router.get("/callbacks", requireScope("admin"), callbacksController.getAllCallbacks)
+
+/**
+ * @route   GET /api/mpesa/callbacks/dead-letter
+ * @desc    Get callbacks that failed processing (?callbackType, exhausted)
+ * @access  Private (scope: admin)
+ */
+router.get("/callbacks/dead-letter", requireScope("admin"), callbacksController.getDeadLetters)
+
+/**
+ * @route   GET /api/mpesa/callbacks/:id
+ * @desc    Get a stored callback and its processing state
+ * @access  Private (scope: admin)
+ */
+router.get(
+  "/callbacks/:id",
+  requireScope("admin"),
+  validateRequest(validationSchemas.callbackId),
+  callbacksController.getCallback,
+)
+
+/**
+ * @route   POST /api/mpesa/callbacks/:id/replay
+ * @desc    Run a stored callback through its handler again
+ * @access  Private (scope: admin)
+ */
+router.post(
+  "/callbacks/:id/replay",
+  requireScope("admin"),
+  validateRequest(validationSchemas.callbackId),
+  callbacksController.replayCallback,
+)
 
 /**
  * @route   POST /api/mpesa/callbacks/stk
  * @desc    STK Push callback URL
- * @access  Public
+ * @access  M-Pesa (callback authentication)
  */
 router.post("/callbacks/stk", mpesaController.handleStkCallback)
 
 /**
  * @route   POST /api/mpesa/callbacks/b2c/result
  * @desc    B2C result callback URL
- * @access  Public
+ * @access  M-Pesa (callback authentication)
  */
 router.post("/callbacks/b2c/result", mpesaController.handleB2CResultCallback)
 
 /**
  * @route   POST /api/mpesa/callbacks/b2c/timeout
  * @desc    B2C timeout callback URL
- * @access  Public
+ * @access  M-Pesa (callback authentication)
  */
 router.post("/callbacks/b2c/timeout", mpesaController.handleB2CTimeoutCallback)
 
+/**
+ * @route   POST /api/mpesa/callbacks/b2b/result
+ * @desc    B2B result callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/b2b/result", mpesaController.handleB2BResultCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/b2b/timeout
+ * @desc    B2B timeout callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/b2b/timeout", mpesaController.handleB2BTimeoutCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/tax-remittance/result
+ * @desc    Tax remittance result callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/tax-remittance/result", mpesaController.handleTaxRemittanceResultCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/tax-remittance/timeout
+ * @desc    Tax remittance timeout callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/tax-remittance/timeout", mpesaController.handleTaxRemittanceTimeoutCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/account-balance/result
+ * @desc    Account balance result callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/account-balance/result", mpesaController.handleAccountBalanceResultCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/account-balance/timeout
+ * @desc    Account balance timeout callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/account-balance/timeout", mpesaController.handleAccountBalanceTimeoutCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/reversal/result
+ * @desc    Reversal result callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/reversal/result", mpesaController.handleReversalResultCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/reversal/timeout
+ * @desc    Reversal timeout callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/reversal/timeout", mpesaController.handleReversalTimeoutCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/transaction-status/result
+ * @desc    Transaction status result callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/transaction-status/result", mpesaController.handleTransactionStatusResultCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/transaction-status/timeout
+ * @desc    Transaction status timeout callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/transaction-status/timeout", mpesaController.handleTransactionStatusTimeoutCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/bill-manager/payment
+ * @desc    Bill Manager payment notification callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/bill-manager/payment", billManagerController.handlePaymentNotification)
+
+/**
+ * @route   POST /api/mpesa/callbacks/standing-order
+ * @desc    Ratiba standing order callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/standing-order", standingOrdersController.handleStandingOrderCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/c2b/validation
+ * @desc    C2B validation callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/c2b/validation", mpesaController.handleC2BValidationCallback)
+
+/**
+ * @route   POST /api/mpesa/callbacks/c2b/confirmation
+ * @desc    C2B confirmation callback URL
+ * @access  M-Pesa (callback authentication)
+ */
+router.post("/callbacks/c2b/confirmation", mpesaController.handleC2BConfirmationCallback)
+
 /**
  * @route   POST /api/mpesa/transactions/fix-incorrect
  * @desc    Fix transactions incorrectly marked as failed
- * @access  Public
+ * @access  Private (scope: admin)
  */
-router.post("/transactions/fix-incorrect", transactionsController.fixIncorrectTransactions)
+router.post("/transactions/fix-incorrect", requireScope("admin"), transactionsController.fixIncorrectTransactions)
 
 /**
  * @route   GET /api/mpesa/transactions/debug/:checkoutRequestID
  * @desc    Debug a specific transaction
- * @access  Public
+ * @access  Private (scope: admin)
  */
-router.get("/transactions/debug/:checkoutRequestID", transactionsController.debugTransactionStatus)
+router.get(
+  "/transactions/debug/:checkoutRequestID",
+  requireScope("admin"),
+  transactionsController.debugTransactionStatus,
+)
 
 export default router
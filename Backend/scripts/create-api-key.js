@@ -0,0 +1,56 @@
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import path from "path"
+import { fileURLToPath } from "url"
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Load environment variables before the service reads the config
+dotenv.config({ path: path.resolve(__dirname, "../.env") })
+
+const { default: apiKeyService } = await import("../services/apiKey.service.js")
+const { API_KEY_SCOPES } = await import("../models/mpesa.apiKey.model.js")
+
+// Usage: npm run create-api-key -- <name> [scopes, comma separated; default admin]
+async function createApiKey() {
+  const [name, scopeList = "admin"] = process.argv.slice(2)
+  const scopes = scopeList.split(",").map((scope) => scope.trim())
+
+  if (!name) {
+    console.error("Usage: npm run create-api-key -- <name> [scopes]")
+    return false
+  }
+
+  const invalid = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope))
+
+  if (invalid.length > 0) {
+    console.error(`Invalid scopes: ${invalid.join(", ")}. Valid scopes: ${API_KEY_SCOPES.join(", ")}`)
+    return false
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      family: 4,
+    })
+
+    const { apiKey, key } = await apiKeyService.createKey({ name, scopes })
+
+    console.log(`Created API key ${apiKey.name} (${apiKey._id}) with scopes: ${scopes.join(", ")}`)
+    console.log(`\n${key}\n`)
+    console.log("Store the key now; it cannot be retrieved again")
+
+    await mongoose.connection.close()
+
+    return true
+  } catch (error) {
+    console.error("Failed to create API key:", error.message)
+    return false
+  }
+}
+
+createApiKey().then((success) => {
+  process.exit(success ? 0 : 1)
+})
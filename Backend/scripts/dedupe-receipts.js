@@ -0,0 +1,106 @@
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import path from "path"
+import { fileURLToPath } from "url"
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Load environment variables before the model reads the config
+dotenv.config({ path: path.resolve(__dirname, "../.env") })
+
+const { default: Transaction } = await import("../models/mpesa.transaction.model.js")
+
+// Which duplicate to keep: the row that reflects the settled payment wins over pending and failed ones
+const STATUS_RANK = ["reversed", "success", "pending", "failed", "cancelled"]
+
+/**
+ * Pick the transaction to keep from rows sharing a receipt number
+ * Ties go to the oldest row, which is the one API clients saw first
+ *
+ * @param {Array<Object>} rows - Duplicate transactions
+ * @returns {Object} - Transaction to keep
+ */
+function pickKeeper(rows) {
+  return [...rows].sort(
+    (a, b) => STATUS_RANK.indexOf(a.status) - STATUS_RANK.indexOf(b.status) || a.createdAt - b.createdAt,
+  )[0]
+}
+
+// Usage: npm run dedupe-receipts -- [--dry-run]
+// Removes duplicate receipts so the unique { transactionType, mpesaReceiptNumber } index can be built
+async function dedupeReceipts() {
+  const dryRun = process.argv.includes("--dry-run")
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      family: 4,
+      autoIndex: false,
+    })
+
+    const groups = await Transaction.aggregate([
+      { $match: { mpesaReceiptNumber: { $type: "string" } } },
+      {
+        $group: {
+          _id: { transactionType: "$transactionType", mpesaReceiptNumber: "$mpesaReceiptNumber" },
+          ids: { $push: "$_id" },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ])
+
+    let removed = 0
+
+    for (const group of groups) {
+      const rows = await Transaction.find({ _id: { $in: group.ids } }).lean()
+      const keeper = pickKeeper(rows)
+      const duplicates = rows.filter((row) => !row._id.equals(keeper._id))
+
+      console.log(
+        `${group._id.transactionType} ${group._id.mpesaReceiptNumber}: keeping ${keeper._id} (${keeper.status}), ` +
+          `removing ${duplicates.map((row) => `${row._id} (${row.status})`).join(", ")}`,
+      )
+
+      if (dryRun) {
+        continue
+      }
+
+      // Keep metadata only the duplicates recorded, e.g. the payer name from a C2B confirmation
+      const metadata = Object.assign({}, ...duplicates.map((row) => row.metadata), keeper.metadata)
+
+      if (Object.keys(metadata).length > 0) {
+        await Transaction.updateOne({ _id: keeper._id }, { $set: { metadata } })
+      }
+
+      const result = await Transaction.deleteMany({ _id: { $in: duplicates.map((row) => row._id) } })
+      removed += result.deletedCount
+    }
+
+    console.log(`Found ${groups.length} duplicated receipts${dryRun ? " (dry run, nothing removed)" : `; removed ${removed} rows`}`)
+
+    if (!dryRun) {
+      // The receipt index is replaced by the unique one and is no longer declared on the schema
+      if (await Transaction.collection.indexExists("mpesaReceiptNumber_1")) {
+        await Transaction.collection.dropIndex("mpesaReceiptNumber_1")
+        console.log("Dropped index mpesaReceiptNumber_1")
+      }
+
+      await Transaction.createIndexes()
+      console.log("Built transaction indexes")
+    }
+
+    await mongoose.connection.close()
+
+    return true
+  } catch (error) {
+    console.error("Failed to dedupe receipts:", error.message)
+    return false
+  }
+}
+
+dedupeReceipts().then((success) => {
+  process.exit(success ? 0 : 1)
+})
@@ -2,15 +2,35 @@ import app from './app.js';
 import config from './config/index.js';
 import logger from './utils/mpesa.logger.js';
 import { connectDB } from './models/mpesa.db.js';
+import merchantService from './services/merchant.service.js';
+import callbackService from './services/callback.service.js';
+import webhookService from './services/webhook.service.js';
+import payoutBatchService from './services/payoutBatch.service.js';
+import scheduler from './services/scheduler.service.js';
 
 const PORT = config.server.port || 5000;
 
 // Connect to MongoDB
-connectDB().then(() => {
+connectDB().then(async () => {
   // Start the server after successful database connection
   app.listen(PORT, () => {
     logger.info(`Server running in ${config.env} mode on port ${PORT}`);
   });
+
+  // Backfill missed callbacks on a schedule, if configured
+  await merchantService.startPullTransactionsSchedule();
+
+  // Retry callbacks that failed processing
+  await callbackService.startRetrySchedule();
+
+  // Retry webhook deliveries to merchant endpoints
+  await webhookService.startRetrySchedule();
+
+  // Carry on dispatching payout batches that were left in processing
+  await payoutBatchService.resumeDispatches();
+
+  // Run due jobs, including STK Push polls and timeouts left over from before a restart
+  scheduler.start();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,139 @@
+import crypto from "crypto"
+import bcrypt from "bcryptjs"
+import config from "../config/index.js"
+import logger from "../utils/mpesa.logger.js"
+import ApiKey from "../models/mpesa.apiKey.model.js"
+
+// How long a verified key is trusted before its hash is checked again
+const VERIFIED_KEY_TTL_MS = 60 * 1000
+
+/**
+ * API Key Service
+ * Issues, verifies and revokes scoped API keys. Keys have the form mpk_<prefix>_<secret>;
+ * only the prefix and a bcrypt hash of the whole key are stored
+ */
+class ApiKeyService {
+  constructor() {
+    // Recently verified keys keyed by SHA-256 of the key, so bcrypt does not run on every request
+    this._verified = new Map()
+  }
+
+  /**
+   * Issue a new API key
+   *
+   * @param {Object} params - Key parameters
+   * @param {string} params.name - Label for the key
+   * @param {Array<string>} params.scopes - Scopes (collect, disburse, read, admin)
+   * @param {string} params.merchant - Merchant the key is bound to (unset for platform keys)
+   * @param {number} params.rateLimit - Optional requests per rate limit window
+   * @param {Date} params.expiresAt - Optional expiry
+   * @returns {Promise<Object>} - The stored key and the plain key (only returned here)
+   */
+  async createKey({ name, scopes, merchant, rateLimit, expiresAt }) {
+    const prefix = crypto.randomBytes(6).toString("hex")
+    const key = `mpk_${prefix}_${crypto.randomBytes(24).toString("hex")}`
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash: await bcrypt.hash(key, config.security.saltRounds),
+      scopes,
+      merchant,
+      rateLimit,
+      expiresAt,
+    })
+
+    logger.info(`API key ${apiKey.name} (${prefix}) created with scopes: ${scopes.join(", ")}`)
+
+    return { apiKey, key }
+  }
+
+  /**
+   * Verify an API key
+   *
+   * @param {string} key - Key sent by the client
+   * @returns {Promise<Object|null>} - The active key, or null if it is unknown, revoked or expired
+   */
+  async verifyKey(key) {
+    const [type, prefix] = String(key).split("_")
+
+    if (type !== "mpk" || !prefix) {
+      return null
+    }
+
+    const fingerprint = crypto.createHash("sha256").update(String(key)).digest("hex")
+    const cached = this._verified.get(fingerprint)
+
+    const apiKey = await ApiKey.findOne({ prefix, status: "active" }).select("+keyHash")
+
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      this._verified.delete(fingerprint)
+      return null
+    }
+
+    if (!cached || cached.expiresAt <= Date.now() || cached.keyHash !== apiKey.keyHash) {
+      if (!(await bcrypt.compare(String(key), apiKey.keyHash))) {
+        return null
+      }
+
+      this._verified.set(fingerprint, { keyHash: apiKey.keyHash, expiresAt: Date.now() + VERIFIED_KEY_TTL_MS })
+    }
+
+    // Record usage at most once a minute
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } }).catch((error) => {
+        logger.warn(`Failed to record API key usage for ${prefix}:`, error.message)
+      })
+    }
+
+    return apiKey
+  }
+
+  /**
+   * Revoke an API key
+   *
+   * @param {string} apiKeyId - API key ID
+   * @returns {Promise<Object|null>} - Revoked key
+   */
+  async revokeKey(apiKeyId) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: apiKeyId, status: "active" },
+      { $set: { status: "revoked", revokedAt: new Date() } },
+      { new: true },
+    )
+
+    if (apiKey) {
+      logger.info(`API key ${apiKey.name} (${apiKey.prefix}) revoked`)
+    }
+
+    return apiKey
+  }
+
+  /**
+   * Revoke every active key of a merchant
+   *
+   * @param {string} merchantId - Merchant ID
+   * @returns {Promise<number>} - Number of keys revoked
+   */
+  async revokeMerchantKeys(merchantId) {
+    const result = await ApiKey.updateMany(
+      { merchant: merchantId, status: "active" },
+      { $set: { status: "revoked", revokedAt: new Date() } },
+    )
+
+    return result.modifiedCount
+  }
+
+  /**
+   * Check whether a key or operator grants a scope; admin grants every scope
+   *
+   * @param {Object} apiKey - API key, or operator with role scopes
+   * @param {string} scope - Required scope
+   * @returns {boolean} - Whether the scope is granted
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes("admin") || apiKey.scopes.includes(scope)
+  }
+}
+
+export default new ApiKeyService()
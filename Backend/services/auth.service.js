@@ -0,0 +1,171 @@
+import bcrypt from "bcryptjs"
+import jwt from "jsonwebtoken"
+import config from "../config/index.js"
+import logger from "../utils/mpesa.logger.js"
+import Operator from "../models/mpesa.operator.model.js"
+
+/**
+ * Auth Service
+ * Operator accounts and their JWT sessions. Access tokens authenticate requests; refresh
+ * tokens issue new access tokens. Both carry the operator's token version, so logging out
+ * or changing the password invalidates every token issued before
+ */
+class AuthService {
+  /**
+   * Create an operator account
+   *
+   * @param {Object} params - Operator parameters
+   * @param {string} params.name - Operator name
+   * @param {string} params.email - Login email
+   * @param {string} params.password - Plain password
+   * @param {string} params.role - Role (viewer, finance, admin)
+   * @returns {Promise<Object>} - Operator
+   */
+  async createOperator({ password, ...fields }) {
+    const operator = await Operator.create({
+      ...fields,
+      passwordHash: await bcrypt.hash(password, config.security.saltRounds),
+    })
+
+    logger.info(`Operator ${operator.email} created with role ${operator.role}`)
+
+    return operator
+  }
+
+  /**
+   * Update an operator's name, role, status or password
+   * Changing the role, status or password ends the operator's sessions
+   *
+   * @param {string} operatorId - Operator ID
+   * @param {Object} params - Fields to update
+   * @returns {Promise<Object|null>} - Updated operator
+   */
+  async updateOperator(operatorId, { password, ...fields }) {
+    const operator = await Operator.findById(operatorId)
+
+    if (!operator) {
+      return null
+    }
+
+    operator.set(fields)
+
+    if (password) {
+      operator.passwordHash = await bcrypt.hash(password, config.security.saltRounds)
+    }
+
+    if (password || operator.isModified("role") || operator.isModified("status")) {
+      operator.tokenVersion += 1
+    }
+
+    await operator.save()
+
+    logger.info(`Operator ${operator.email} updated`)
+
+    return operator
+  }
+
+  /**
+   * Log an operator in
+   *
+   * @param {string} email - Login email
+   * @param {string} password - Plain password
+   * @returns {Promise<Object|null>} - The operator and its tokens, or null if the login is invalid
+   */
+  async login(email, password) {
+    const operator = await Operator.findOne({ email: String(email).toLowerCase() }).select("+passwordHash")
+
+    if (!operator || operator.status !== "active" || !(await bcrypt.compare(String(password), operator.passwordHash))) {
+      logger.warn(`Failed login for ${email}`)
+      return null
+    }
+
+    operator.lastLoginAt = new Date()
+    await operator.save()
+
+    logger.info(`Operator ${operator.email} logged in`)
+
+    return { operator, ...this._issueTokens(operator) }
+  }
+
+  /**
+   * Issue new tokens from a refresh token
+   *
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object|null>} - The operator and new tokens, or null if the token is invalid
+   */
+  async refresh(refreshToken) {
+    const operator = await this._verifyToken(refreshToken, "refresh")
+
+    return operator ? { operator, ...this._issueTokens(operator) } : null
+  }
+
+  /**
+   * End all of an operator's sessions
+   *
+   * @param {string} operatorId - Operator ID
+   * @returns {Promise<void>}
+   */
+  async logout(operatorId) {
+    await Operator.updateOne({ _id: operatorId }, { $inc: { tokenVersion: 1 } })
+  }
+
+  /**
+   * Verify an access token
+   *
+   * @param {string} accessToken - Access token
+   * @returns {Promise<Object|null>} - The active operator, or null if the token is invalid
+   */
+  verifyAccessToken(accessToken) {
+    return this._verifyToken(accessToken, "access")
+  }
+
+  /**
+   * Sign an access and refresh token pair
+   *
+   * @param {Object} operator - Operator
+   * @returns {Object} - Tokens
+   */
+  _issueTokens(operator) {
+    const payload = { sub: String(operator._id), role: operator.role, ver: operator.tokenVersion }
+
+    return {
+      accessToken: jwt.sign({ ...payload, type: "access" }, config.security.jwtSecret, {
+        expiresIn: config.security.tokenExpiry,
+      }),
+      refreshToken: jwt.sign({ ...payload, type: "refresh" }, config.security.jwtSecret, {
+        expiresIn: config.security.refreshTokenExpiry,
+      }),
+    }
+  }
+
+  /**
+   * Verify a token of the given type and load its operator
+   *
+   * @param {string} token - JWT
+   * @param {string} type - Expected token type (access or refresh)
+   * @returns {Promise<Object|null>} - The active operator, or null
+   */
+  async _verifyToken(token, type) {
+    let payload
+
+    try {
+      payload = jwt.verify(String(token), config.security.jwtSecret)
+    } catch (error) {
+      return null
+    }
+
+    if (payload.type !== type) {
+      return null
+    }
+
+    const operator = await Operator.findById(payload.sub)
+
+    if (!operator || operator.status !== "active" || operator.tokenVersion !== payload.ver) {
+      return null
+    }
+
+    return operator
+  }
+}
+
+export default new AuthService()
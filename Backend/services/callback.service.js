@@ -0,0 +1,540 @@
+import config from "../config/index.js"
+import logger from "../utils/mpesa.logger.js"
+import { parseResultParameters } from "../utils/mpesa.helpers.js"
+import mpesaService from "./mpesa.service.js"
+import merchantService from "./merchant.service.js"
+import payoutBatchService from "./payoutBatch.service.js"
+import webhookService from "./webhook.service.js"
+import scheduler from "./scheduler.service.js"
+import Callback from "../models/mpesa.callback.model.js"
+import Transaction from "../models/mpesa.transaction.model.js"
+import BalanceSnapshot from "../models/mpesa.balance.model.js"
+import StatusQuery from "../models/mpesa.statusQuery.model.js"
+
+// Longest wait between retries of a failed callback
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000
+
+// Callbacks reprocessed per scheduled run
+const RETRY_BATCH_SIZE = 50
+
+/**
+ * Callback Service
+ * Stores every inbound callback before it is acknowledged, then processes it from the stored
+ * record so a crash or a processing error never loses what M-Pesa sent. Failed callbacks are
+ * retried with exponential backoff until retryMaxAttempts, then wait in the dead-letter view
+ */
+class CallbackService {
+  constructor() {
+    // Processor for each callback type; each receives the stored payload
+    this._processors = {
+      STK: (payload) => this._processStk(payload),
+      B2C_RESULT: (payload) => this._processB2CResult(payload),
+      B2C_TIMEOUT: (payload) => this._processB2CTimeout(payload),
+      B2B_RESULT: (payload) => this._processPaymentResult("B2B", payload),
+      B2B_TIMEOUT: (payload) => this._processTransactionTimeout("B2B", payload),
+      TAX_REMITTANCE_RESULT: (payload) => this._processPaymentResult("TAX_REMITTANCE", payload),
+      TAX_REMITTANCE_TIMEOUT: (payload) => this._processTransactionTimeout("TAX_REMITTANCE", payload),
+      ACCOUNT_BALANCE_RESULT: (payload) => mpesaService.handleAccountBalanceResult(payload.Result),
+      ACCOUNT_BALANCE_TIMEOUT: (payload) => this._processQueryTimeout(BalanceSnapshot, "balance snapshot", payload),
+      REVERSAL_RESULT: (payload) => this._processReversalResult(payload),
+      REVERSAL_TIMEOUT: (payload) => this._processTransactionTimeout("REVERSAL", payload),
+      TRANSACTION_STATUS_RESULT: (payload) => mpesaService.handleTransactionStatusResult(payload.Result),
+      TRANSACTION_STATUS_TIMEOUT: (payload) => this._processQueryTimeout(StatusQuery, "status query", payload),
+      C2B_VALIDATION: (payload) => this._processC2B("handleC2BValidation", payload),
+      C2B_CONFIRMATION: (payload) => this._processC2B("handleC2BConfirmation", payload),
+      BILL_PAYMENT: (payload) => this._processBillPayment(payload),
+      STANDING_ORDER: (payload) => mpesaService.handleStandingOrderCallback(payload),
+    }
+  }
+
+  /**
+   * Store an inbound callback
+   *
+   * @param {string} callbackType - Callback type
+   * @param {Object} payload - Body as received
+   * @param {Object} req - Express request the callback arrived on
+   * @returns {Promise<Object>} - Stored callback
+   */
+  async store(callbackType, payload, req) {
+    return Callback.create({
+      callbackType,
+      ...this._describe(callbackType, payload),
+      rawData: payload,
+      sourceIp: req?.ip,
+      // Leased to the inline process() call, which sets the real next retry. The retry schedule only
+      // picks the callback up if processing never records an outcome, e.g. after a crash
+      nextRetryAt: new Date(Date.now() + MAX_RETRY_DELAY_MS),
+    })
+  }
+
+  /**
+   * Process a stored callback and record the outcome on it
+   * Errors are recorded rather than thrown, since M-Pesa has already been answered
+   *
+   * @param {Object} callback - Stored callback
+   * @returns {Promise<Object>} - The callback with its processing state updated
+   */
+  async process(callback) {
+    callback.attempts += 1
+
+    try {
+      await this._processors[callback.callbackType](callback.rawData)
+
+      callback.processed = true
+      callback.processedAt = new Date()
+      callback.nextRetryAt = undefined
+      callback.deadLetteredAt = undefined
+
+      logger.info(`${callback.callbackType} callback ${callback._id} processed successfully`)
+    } catch (error) {
+      logger.error(`Error processing ${callback.callbackType} callback ${callback._id}:`, error.message)
+
+      callback.processingErrors.push({ message: error.message, timestamp: new Date() })
+
+      if (callback.attempts >= config.callbacks.retryMaxAttempts) {
+        callback.nextRetryAt = undefined
+        callback.deadLetteredAt = callback.deadLetteredAt || new Date()
+
+        logger.error(`Callback ${callback._id} moved to dead letters after ${callback.attempts} attempts`)
+      } else {
+        callback.nextRetryAt = new Date(Date.now() + this._retryDelay(callback.attempts))
+      }
+    }
+
+    await callback.save().catch((saveError) => {
+      logger.error(`Failed to record processing state of callback ${callback._id}:`, saveError.message)
+    })
+
+    return callback
+  }
+
+  /**
+   * Run a stored callback through its handler again, whether or not its retries have run out
+   *
+   * @param {Object} callback - Stored callback
+   * @returns {Promise<Object>} - The callback with its processing state updated
+   */
+  async replay(callback) {
+    logger.info(`Replaying ${callback.callbackType} callback ${callback._id}`)
+
+    return this.process(callback)
+  }
+
+  /**
+   * Reprocess failed callbacks that are due for a retry
+   * Each callback is claimed before processing so concurrent runs never process it twice
+   *
+   * @returns {Promise<Object>} - Counts of callbacks retried, processed and still failing
+   */
+  async retryFailedCallbacks() {
+    const summary = { retried: 0, processed: 0, failed: 0 }
+
+    while (summary.retried < RETRY_BATCH_SIZE) {
+      const now = new Date()
+
+      const callback = await Callback.findOneAndUpdate(
+        { processed: false, nextRetryAt: { $lte: now } },
+        // Hold the claim for the longest retry delay; process() sets the real next retry
+        { $set: { nextRetryAt: new Date(now.getTime() + MAX_RETRY_DELAY_MS) } },
+        { sort: { nextRetryAt: 1 }, new: true },
+      )
+
+      if (!callback) {
+        break
+      }
+
+      await this.process(callback)
+
+      summary.retried++
+      summary[callback.processed ? "processed" : "failed"]++
+    }
+
+    if (summary.retried > 0) {
+      logger.info("Failed callbacks retried", summary)
+    }
+
+    return summary
+  }
+
+  /**
+   * Start the scheduled retry of failed callbacks
+   * Runs every `retryIntervalSeconds`
+   *
+   * @returns {Promise<boolean>} - Whether the schedule was started
+   */
+  async startRetrySchedule() {
+    const intervalSeconds = config.callbacks.retryIntervalSeconds
+
+    const job = await scheduler.every("callbacks.retry", intervalSeconds * 1000, () => this.retryFailedCallbacks())
+
+    if (job) {
+      logger.info(`Scheduled callback retries every ${intervalSeconds} seconds`)
+    }
+
+    return Boolean(job)
+  }
+
+  /**
+   * Delay before the next retry: the base delay doubled for each failed attempt, up to an hour
+   *
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  _retryDelay(attempts) {
+    return Math.min(config.callbacks.retryBaseDelaySeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+  }
+
+  /**
+   * Pull the identifiers and result out of a payload for indexing
+   *
+   * @param {string} callbackType - Callback type
+   * @param {Object} payload - Body as received
+   * @returns {Object} - requestId, transactionId, resultCode and resultDesc where present
+   */
+  _describe(callbackType, payload = {}) {
+    switch (callbackType) {
+      case "STK": {
+        const stkCallback = payload.Body?.stkCallback || {}
+        return {
+          requestId: stkCallback.CheckoutRequestID,
+          resultCode: stkCallback.ResultCode?.toString(),
+          resultDesc: stkCallback.ResultDesc,
+        }
+      }
+      case "C2B_VALIDATION":
+      case "C2B_CONFIRMATION":
+        return { requestId: payload.BillRefNumber, transactionId: payload.TransID }
+      case "BILL_PAYMENT":
+        return { requestId: payload.accountReference, transactionId: payload.transactionId }
+      case "STANDING_ORDER":
+        return {
+          requestId: payload.ResponseHeader?.responseRefID,
+          resultCode: payload.ResponseHeader?.responseCode?.toString(),
+          resultDesc: payload.ResponseHeader?.responseDescription,
+        }
+      default: {
+        // Result and timeout callbacks
+        const result = payload.Result || payload
+        return {
+          requestId: result.ConversationID || result.OriginatorConversationID,
+          transactionId: result.TransactionID,
+          resultCode: result.ResultCode?.toString(),
+          resultDesc: result.ResultDesc,
+        }
+      }
+    }
+  }
+
+  /**
+   * Conversation ID of a timeout callback
+   *
+   * @param {Object} payload - Timeout payload
+   * @returns {string} - Conversation ID
+   */
+  _timeoutConversationId(payload) {
+    const timeoutData = payload.Result || payload
+    const conversationId = timeoutData.ConversationID || timeoutData.OriginatorConversationID
+
+    if (!conversationId) {
+      throw new Error("Timeout callback has no conversation ID")
+    }
+
+    return conversationId
+  }
+
+  /**
+   * Process an STK Push callback
+   *
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async _processStk(payload) {
+    const callbackData = payload.Body.stkCallback
+
+    logger.info("STK callback received", {
+      requestId: callbackData.CheckoutRequestID,
+      resultCode: callbackData.ResultCode,
+    })
+
+    const transaction = await mpesaService.handleStkCallback(callbackData)
+
+    if (!transaction) {
+      throw new Error(`No transaction found for checkout request ID: ${callbackData.CheckoutRequestID}`)
+    }
+
+    return transaction
+  }
+
+  /**
+   * Process a B2C result callback
+   *
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async _processB2CResult(payload) {
+    const resultData = payload.Result
+
+    logger.info("B2C result callback received", {
+      conversationId: resultData.ConversationID,
+      resultCode: resultData.ResultCode,
+    })
+
+    const lookups = [{ conversationId: resultData.ConversationID }]
+
+    // Payouts whose B2C response never arrived are only known by their OriginatorConversationID
+    if (resultData.OriginatorConversationID) {
+      lookups.push({ transactionType: "B2C", originatorConversationId: resultData.OriginatorConversationID })
+    }
+
+    const transaction = await Transaction.findOne({ $or: lookups })
+
+    if (!transaction) {
+      throw new Error(`No transaction found for conversation ID: ${resultData.ConversationID}`)
+    }
+
+    transaction.resultCode = resultData.ResultCode.toString()
+    transaction.resultDesc = resultData.ResultDesc
+    transaction.updatedAt = Math.floor(Date.now() / 1000)
+
+    transaction.conversationId = transaction.conversationId || resultData.ConversationID
+
+    if (resultData.ResultCode === 0) {
+      // Payment successful
+      transaction.status = "success"
+      transaction.transactionId = resultData.TransactionID
+      transaction.metadata = {
+        ...transaction.metadata,
+        completedAt: Math.floor(Date.now() / 1000),
+        resultParameters: resultData.ResultParameters,
+      }
+    } else {
+      // Payment failed
+      logger.warn("B2C payment failed", {
+        conversationId: resultData.ConversationID,
+        resultCode: resultData.ResultCode,
+        resultDesc: resultData.ResultDesc,
+      })
+
+      transaction.status = "failed"
+      transaction.failureReason = resultData.ResultDesc
+      transaction.metadata = {
+        ...transaction.metadata,
+        completedAt: Math.floor(Date.now() / 1000),
+      }
+    }
+
+    await transaction.save()
+    logger.info(`Transaction ${resultData.ConversationID} marked as ${transaction.status}`)
+
+    await payoutBatchService.recordTransactionResult(transaction)
+    await webhookService.notifyTransaction(transaction)
+
+    return transaction
+  }
+
+  /**
+   * Process a B2C timeout callback
+   *
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async _processB2CTimeout(payload) {
+    const transaction = await this._processTransactionTimeout("B2C", payload)
+
+    await payoutBatchService.recordTransactionResult(transaction)
+    await webhookService.notifyTransaction(transaction)
+
+    return transaction
+  }
+
+  /**
+   * Process a B2B or tax remittance result callback
+   *
+   * @param {string} transactionType - Transaction type (B2B or TAX_REMITTANCE)
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async _processPaymentResult(transactionType, payload) {
+    const resultData = payload.Result
+
+    logger.info(`${transactionType} result callback received`, {
+      conversationId: resultData.ConversationID,
+      resultCode: resultData.ResultCode,
+    })
+
+    const transaction = await Transaction.findOne({
+      transactionType,
+      conversationId: resultData.ConversationID,
+    })
+
+    if (!transaction) {
+      throw new Error(`No ${transactionType} transaction found for conversation ID: ${resultData.ConversationID}`)
+    }
+
+    transaction.resultCode = resultData.ResultCode.toString()
+    transaction.resultDesc = resultData.ResultDesc
+    transaction.updatedAt = Math.floor(Date.now() / 1000)
+
+    if (resultData.ResultCode === 0) {
+      transaction.status = "success"
+      transaction.transactionId = resultData.TransactionID
+      transaction.mpesaReceiptNumber = resultData.TransactionID
+      transaction.metadata = {
+        ...transaction.metadata,
+        completedAt: Math.floor(Date.now() / 1000),
+        resultParameters: parseResultParameters(resultData.ResultParameters),
+      }
+    } else {
+      logger.warn(`${transactionType} payment failed`, {
+        conversationId: resultData.ConversationID,
+        resultCode: resultData.ResultCode,
+        resultDesc: resultData.ResultDesc,
+      })
+
+      transaction.status = "failed"
+      transaction.failureReason = resultData.ResultDesc
+      transaction.metadata = {
+        ...transaction.metadata,
+        completedAt: Math.floor(Date.now() / 1000),
+      }
+    }
+
+    await transaction.save()
+    logger.info(`${transactionType} transaction ${resultData.ConversationID} marked as ${transaction.status}`)
+
+    return transaction
+  }
+
+  /**
+   * Process a reversal result callback
+   *
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Updated reversal
+   */
+  async _processReversalResult(payload) {
+    const reversal = await mpesaService.handleReversalResult(payload.Result)
+
+    if (!reversal) {
+      throw new Error(`No reversal transaction found for conversation ID: ${payload.Result.ConversationID}`)
+    }
+
+    return reversal
+  }
+
+  /**
+   * Cancel the transaction a timeout callback refers to, if it is still pending
+   *
+   * @param {string} transactionType - Transaction type
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async _processTransactionTimeout(transactionType, payload) {
+    logger.warn(`${transactionType} timeout callback received`, {
+      requestData: payload,
+    })
+
+    const conversationId = this._timeoutConversationId(payload)
+
+    const transaction = await Transaction.findOne({
+      transactionType,
+      $or: [{ conversationId }, { originatorConversationId: conversationId }],
+    })
+
+    if (!transaction) {
+      throw new Error(`No ${transactionType} transaction found for conversation ID: ${conversationId}`)
+    }
+
+    // A late or replayed timeout never overrides a result that has already arrived
+    if (transaction.status !== "pending") {
+      logger.info(`${transactionType} transaction ${conversationId} is already ${transaction.status}; timeout ignored`)
+      return transaction
+    }
+
+    transaction.status = "cancelled"
+    transaction.failureReason = "Timeout - No Response"
+    transaction.metadata = {
+      ...transaction.metadata,
+      completedAt: Math.floor(Date.now() / 1000),
+      timeoutData: payload,
+    }
+    transaction.updatedAt = Math.floor(Date.now() / 1000)
+
+    await transaction.save()
+    logger.info(`${transactionType} transaction ${conversationId} marked as cancelled due to timeout`)
+
+    return transaction
+  }
+
+  /**
+   * Cancel the balance snapshot or status query a timeout callback refers to
+   *
+   * @param {Object} Model - BalanceSnapshot or StatusQuery
+   * @param {string} label - Record name for messages
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Updated record
+   */
+  async _processQueryTimeout(Model, label, payload) {
+    logger.warn(`Timeout callback received for ${label}`, {
+      requestData: payload,
+    })
+
+    const conversationId = this._timeoutConversationId(payload)
+
+    const record = await Model.findOne({
+      $or: [{ conversationId }, { originatorConversationId: conversationId }],
+    })
+
+    if (!record) {
+      throw new Error(`No ${label} found for conversation ID: ${conversationId}`)
+    }
+
+    record.status = "cancelled"
+    record.resultDesc = "Timeout - No Response"
+    record.rawResult = payload
+    await record.save()
+
+    logger.info(`${label} ${conversationId} marked as cancelled due to timeout`)
+
+    return record
+  }
+
+  /**
+   * Process a C2B validation or confirmation with the service of the merchant that was paid
+   *
+   * @param {string} handler - MpesaService handler name
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Handler result
+   */
+  async _processC2B(handler, payload) {
+    logger.info(`C2B callback received for ${handler}`, {
+      transID: payload.TransID,
+      amount: payload.TransAmount,
+      billRefNumber: payload.BillRefNumber,
+    })
+
+    // The shortcode identifies which merchant was paid
+    const mpesa = await merchantService.getMpesaServiceForShortCode(payload.BusinessShortCode)
+
+    return mpesa[handler](payload)
+  }
+
+  /**
+   * Process a Bill Manager payment notification
+   *
+   * @param {Object} payload - Callback payload
+   * @returns {Promise<Object>} - Handler result
+   */
+  async _processBillPayment(payload) {
+    logger.info("Bill Manager payment notification received", {
+      transactionId: payload.transactionId,
+      accountReference: payload.accountReference,
+      paidAmount: payload.paidAmount,
+    })
+
+    const mpesa = await merchantService.getMpesaServiceForShortCode(payload.shortCode)
+
+    return mpesa.handleBillPaymentNotification(payload)
+  }
+}
+
+export default new CallbackService()
@@ -0,0 +1,262 @@
+import config from "../config/index.js"
+import logger from "../utils/mpesa.logger.js"
+import { encrypt, decrypt } from "../utils/mpesa.encryption.js"
+import mpesaService, { MpesaService } from "./mpesa.service.js"
+import apiKeyService from "./apiKey.service.js"
+import scheduler from "./scheduler.service.js"
+import Merchant from "../models/mpesa.merchant.model.js"
+
+// Merchant credential fields stored encrypted
+const SECRET_FIELDS = ["consumerKey", "consumerSecret", "passkey", "initiatorPassword", "securityCredential"]
+
+// Scopes granted to the API key issued with a merchant
+const MERCHANT_KEY_SCOPES = ["collect", "disburse", "read"]
+
+/**
+ * Merchant Service
+ * Stores per-shortcode credentials and builds an MpesaService for each merchant
+ */
+class MerchantService {
+  constructor() {
+    // MpesaService instances keyed by merchant ID, rebuilt when the merchant changes
+    this._services = new Map()
+
+    // STK Push polls and timeouts run on the service of the merchant that sent the push
+    scheduler.register("stk.poll", async (job) => {
+      const service = await this.getMpesaService(job.data.merchant)
+
+      return service.pollStkStatus(job.data)
+    })
+
+    scheduler.register("stk.timeout", async (job) => {
+      const service = await this.getMpesaService(job.data.merchant)
+
+      return service.expireStkTransaction(job.data.checkoutRequestID)
+    })
+  }
+
+  /**
+   * Encrypt the secret fields that are present
+   *
+   * @param {Object} credentials - Plain credentials
+   * @returns {Object} - Encrypted credentials
+   */
+  _encryptCredentials(credentials = {}) {
+    const encrypted = {}
+
+    for (const field of SECRET_FIELDS) {
+      if (credentials[field]) {
+        encrypted[field] = encrypt(String(credentials[field]))
+      }
+    }
+
+    return encrypted
+  }
+
+  /**
+   * Create a merchant with a new API key
+   *
+   * @param {Object} params - Merchant fields; secrets are passed in plain text under credentials
+   * @returns {Promise<Object>} - The merchant and its API key (only returned here)
+   */
+  async createMerchant({ credentials, ...fields }) {
+    const merchant = await Merchant.create({
+      ...fields,
+      credentials: this._encryptCredentials(credentials),
+    })
+
+    logger.info(`Merchant ${merchant.name} created for shortcode ${merchant.shortCode}`)
+
+    const { key } = await this._issueApiKey(merchant)
+
+    return { merchant, apiKey: key }
+  }
+
+  /**
+   * Update a merchant; secrets and callback URLs that are passed replace the stored ones
+   *
+   * @param {string} merchantId - Merchant ID
+   * @param {Object} params - Fields to update
+   * @returns {Promise<Object|null>} - Updated merchant
+   */
+  async updateMerchant(merchantId, { credentials, callbackUrls, ...fields }) {
+    const merchant = await Merchant.findById(merchantId).select("+credentials")
+
+    if (!merchant) {
+      return null
+    }
+
+    merchant.set(fields)
+
+    if (callbackUrls) {
+      merchant.callbackUrls = { ...merchant.callbackUrls?.toObject(), ...callbackUrls }
+    }
+
+    if (credentials) {
+      merchant.credentials = {
+        ...merchant.credentials.toObject(),
+        ...this._encryptCredentials(credentials),
+      }
+    }
+
+    await merchant.save()
+    this._services.delete(String(merchant._id))
+
+    logger.info(`Merchant ${merchant.name} updated`)
+
+    return merchant
+  }
+
+  /**
+   * Issue an API key bound to a merchant
+   *
+   * @param {Object} merchant - Merchant
+   * @returns {Promise<Object>} - The stored key and the plain key
+   */
+  _issueApiKey(merchant) {
+    return apiKeyService.createKey({
+      name: `${merchant.name} merchant key`,
+      scopes: MERCHANT_KEY_SCOPES,
+      merchant: merchant._id,
+    })
+  }
+
+  /**
+   * Replace a merchant's API key; the merchant's existing keys are revoked
+   *
+   * @param {string} merchantId - Merchant ID
+   * @returns {Promise<Object|null>} - The merchant and its new API key
+   */
+  async rotateApiKey(merchantId) {
+    const merchant = await Merchant.findById(merchantId)
+
+    if (!merchant) {
+      return null
+    }
+
+    await apiKeyService.revokeMerchantKeys(merchant._id)
+    const { key } = await this._issueApiKey(merchant)
+
+    return { merchant, apiKey: key }
+  }
+
+  /**
+   * Get the MpesaService for a merchant
+   * Falls back to the default service built from config.mpesa when no merchant is given
+   *
+   * @param {Object|string} merchant - Merchant document or ID
+   * @returns {Promise<MpesaService>} - Service using the merchant's credentials
+   */
+  async getMpesaService(merchant) {
+    if (!merchant) {
+      return mpesaService
+    }
+
+    const merchantId = String(merchant._id || merchant)
+    const cached = this._services.get(merchantId)
+
+    // Documents loaded by the caller avoid a lookup when the merchant has not changed
+    if (cached && merchant.updatedAt && cached.updatedAt === merchant.updatedAt.getTime()) {
+      return cached.service
+    }
+
+    const record = await Merchant.findById(merchantId).select("+credentials")
+
+    if (!record) {
+      throw new Error(`Merchant not found: ${merchantId}`)
+    }
+
+    if (cached && cached.updatedAt === record.updatedAt.getTime()) {
+      return cached.service
+    }
+
+    const service = new MpesaService(this._toServiceConfig(record))
+    this._services.set(merchantId, { service, updatedAt: record.updatedAt.getTime() })
+
+    return service
+  }
+
+  /**
+   * Start the scheduled Pull Transactions backfill
+   * Every `pullIntervalMinutes` one job backfills the default merchant and then each active merchant,
+   * so a merchant whose pull fails does not hold up the others
+   *
+   * @returns {Promise<boolean>} - Whether the schedule was started
+   */
+  async startPullTransactionsSchedule() {
+    const intervalMinutes = config.mpesa.pullIntervalMinutes
+
+    const job = await scheduler.every("transactions.pull", intervalMinutes * 60 * 1000, async () => {
+      const merchants = await Merchant.find({ status: "active" }).select("_id shortCode updatedAt")
+
+      for (const merchant of [null, ...merchants]) {
+        try {
+          const service = await this.getMpesaService(merchant)
+          await service.pullRecentTransactions()
+        } catch (error) {
+          logger.error(`Pull Transactions backfill failed for ${merchant?.shortCode || "the default merchant"}: ${error.message}`)
+        }
+      }
+    })
+
+    if (job) {
+      logger.info(`Scheduled Pull Transactions backfill every ${intervalMinutes} minutes`)
+    }
+
+    return Boolean(job)
+  }
+
+  /**
+   * Get the MpesaService for the merchant that owns a shortcode
+   * Used for callbacks, which only identify the merchant by shortcode
+   *
+   * @param {string} shortCode - Business shortcode
+   * @returns {Promise<MpesaService>} - Merchant service, or the default service
+   */
+  async getMpesaServiceForShortCode(shortCode) {
+    const merchant = shortCode ? await Merchant.findOne({ shortCode: String(shortCode) }).select("_id") : null
+
+    return this.getMpesaService(merchant)
+  }
+
+  /**
+   * Build the MpesaService configuration for a merchant
+   *
+   * @param {Object} merchant - Merchant document with credentials selected
+   * @returns {Object} - Configuration overriding config.mpesa
+   */
+  _toServiceConfig(merchant) {
+    const serviceConfig = {
+      merchantId: merchant._id,
+      shortCode: merchant.shortCode,
+      // MPESA_CERTIFICATE_PATH belongs to the default merchant; merchants use the certificate for their baseUrl
+      certificatePath: null,
+    }
+
+    for (const field of SECRET_FIELDS) {
+      serviceConfig[field] = merchant.credentials?.[field] ? decrypt(merchant.credentials[field]) : undefined
+    }
+
+    if (merchant.initiatorName) {
+      serviceConfig.initiatorName = merchant.initiatorName
+    }
+
+    if (merchant.baseUrl) {
+      serviceConfig.baseUrl = merchant.baseUrl
+    }
+
+    if (merchant.stores) {
+      serviceConfig.stores = merchant.stores
+    }
+
+    for (const [key, url] of Object.entries(merchant.callbackUrls?.toObject() || {})) {
+      if (url) {
+        serviceConfig[key] = url
+      }
+    }
+
+    return serviceConfig
+  }
+}
+
+export default new MerchantService()
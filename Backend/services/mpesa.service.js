@@ -1,23 +1,69 @@
 import axios from "axios"
 import config from "../config/index.js"
 import logger from "../utils/mpesa.logger.js"
-import { generateBasicAuthString, generateStkPushPassword } from "../utils/mpesa.encryption.js"
-import { generateTimestamp, formatPhoneNumber, generateTransactionReference } from "../utils/mpesa.helpers.js"
-import { setTransactionTimeout, clearTransactionTimeout } from "../utils/mpesa.timer.js"
-import Transaction from "../models/mpesa.transaction.model.js" 
+import {
+  generateBasicAuthString,
+  generateStkPushPassword,
+  generateSecurityCredential,
+  getMpesaCertificatePath,
+  loadMpesaCertificate,
+} from "../utils/mpesa.encryption.js"
+import {
+  generateTimestamp,
+  formatPhoneNumber,
+  generateTransactionReference,
+  formatPullDate,
+  formatRatibaDate,
+  parseResultParameters,
+  parseAccountBalance,
+} from "../utils/mpesa.helpers.js"
+import scheduler from "./scheduler.service.js"
+import webhookService from "./webhook.service.js"
+import Transaction from "../models/mpesa.transaction.model.js"
+import BalanceSnapshot from "../models/mpesa.balance.model.js"
+import StatusQuery from "../models/mpesa.statusQuery.model.js"
+import QRCode from "../models/mpesa.qrCode.model.js"
+import Invoice from "../models/mpesa.invoice.model.js"
+import StandingOrder from "../models/mpesa.standingOrder.model.js"
+
+// Wait before the first STK Push status poll, on top of the polling interval
+const STK_POLL_START_DELAY_SECONDS = 5
+
+// Ratiba frequency codes
+const STANDING_ORDER_FREQUENCIES = {
+  one_off: "1",
+  daily: "2",
+  weekly: "3",
+  monthly: "4",
+  bi_monthly: "5",
+  quarterly: "6",
+  half_yearly: "7",
+  yearly: "8",
+}
+
 /**
  * M-Pesa API Service
  * Handles all interactions with the M-Pesa API
  */
 class MpesaService {
-  constructor() {
-    this.baseUrl = config.mpesa.baseUrl
-    this.consumerKey = config.mpesa.consumerKey
-    this.consumerSecret = config.mpesa.consumerSecret
-    this.shortCode = config.mpesa.shortCode
-    this.passkey = config.mpesa.passkey
-    this.initiatorName = config.mpesa.initiatorName
-    this.securityCredential = config.mpesa.securityCredential
+  /**
+   * @param {Object} merchant - Merchant credentials and callback URLs overriding config.mpesa
+   *   (see merchantService.getMpesaService); omitted for the default merchant
+   */
+  constructor(merchant = {}) {
+    this.config = { ...config.mpesa, ...merchant }
+    this.merchantId = merchant.merchantId
+    this.baseUrl = this.config.baseUrl
+    this.consumerKey = this.config.consumerKey
+    this.consumerSecret = this.config.consumerSecret
+    this.shortCode = this.config.shortCode
+    this.passkey = this.config.passkey
+    this.initiatorName = this.config.initiatorName
+    this.initiatorPassword = this.config.initiatorPassword
+
+    // Security credential derived from the initiator password, regenerated when the password changes
+    this._securityCredential = null
+    this._securityCredentialPassword = null
 
     // Create axios instance with base URL
     this.api = axios.create({
@@ -37,7 +83,26 @@ class MpesaService {
         })
         return response
       },
-      (error) => {
+      async (error) => {
+        const request = error.config
+
+        // A 401 on a Bearer request means the cached token was revoked or expired early;
+        // drop it and replay the request once with a fresh token
+        if (
+          error.response?.status === 401 &&
+          request &&
+          !request._tokenRetried &&
+          String(request.headers?.Authorization || "").startsWith("Bearer ")
+        ) {
+          logger.warn("M-Pesa API rejected access token, refreshing and retrying:", { url: request.url })
+
+          this.invalidateAccessToken()
+          request._tokenRetried = true
+          request.headers.Authorization = `Bearer ${await this.getAccessToken()}`
+
+          return this.api(request)
+        }
+
         logger.error("M-Pesa API Error:", {
           url: error.config?.url,
           status: error.response?.status,
@@ -48,16 +113,39 @@ class MpesaService {
       },
     )
 
-    // Initialize polling intervals map
-    this._pollingIntervals = new Map()
+    // Cached OAuth token and the in-flight refresh shared by concurrent callers
+    this._accessToken = null
+    this._accessTokenExpiresAt = 0
+    this._accessTokenRequest = null
   }
 
   /**
    * Get OAuth token for API authentication
+   * Tokens are cached until shortly before they expire, and concurrent callers
+   * share a single refresh request
    *
    * @returns {Promise<string>} - Access token
    */
   async getAccessToken() {
+    if (this._accessToken && Date.now() < this._accessTokenExpiresAt) {
+      return this._accessToken
+    }
+
+    if (!this._accessTokenRequest) {
+      this._accessTokenRequest = this._requestAccessToken().finally(() => {
+        this._accessTokenRequest = null
+      })
+    }
+
+    return this._accessTokenRequest
+  }
+
+  /**
+   * Request a new OAuth token and cache it
+   *
+   * @returns {Promise<string>} - Access token
+   */
+  async _requestAccessToken() {
     try {
       const auth = generateBasicAuthString(this.consumerKey, this.consumerSecret)
 
@@ -67,13 +155,105 @@ class MpesaService {
         },
       })
 
-      return response.data.access_token
+      const expiresIn = Number.parseInt(response.data.expires_in, 10) || 3599
+      const refreshMargin = Math.min(this.config.tokenRefreshMarginSeconds, expiresIn / 2)
+
+      this._accessToken = response.data.access_token
+      this._accessTokenExpiresAt = Date.now() + (expiresIn - refreshMargin) * 1000
+
+      logger.debug(`M-Pesa access token refreshed, valid for ${expiresIn} seconds`)
+
+      return this._accessToken
     } catch (error) {
       logger.error("Failed to get access token:", error.message)
       throw new Error("Failed to authenticate with M-Pesa API")
     }
   }
 
+  /**
+   * Drop the cached OAuth token so the next call fetches a new one
+   */
+  invalidateAccessToken() {
+    this._accessToken = null
+    this._accessTokenExpiresAt = 0
+  }
+
+  /**
+   * SecurityCredential for initiator requests (B2C, B2B, reversal, status and balance queries)
+   * Derived from the initiator password and the Safaricom certificate; falls back to
+   * the pre-computed MPESA_SECURITY_CREDENTIAL when no password is configured
+   *
+   * @returns {string} - Security credential
+   */
+  get securityCredential() {
+    if (!this.initiatorPassword) {
+      return this.config.securityCredential
+    }
+
+    if (this._securityCredentialPassword !== this.initiatorPassword) {
+      this._securityCredential = generateSecurityCredential(
+        this.initiatorPassword,
+        loadMpesaCertificate(getMpesaCertificatePath(this.baseUrl, this.config.certificatePath)),
+      )
+      this._securityCredentialPassword = this.initiatorPassword
+
+      logger.info("M-Pesa security credential generated from initiator password")
+    }
+
+    return this._securityCredential
+  }
+
+  /**
+   * Rotate the initiator password
+   * The security credential is regenerated on the next initiator request
+   *
+   * @param {string} initiatorPassword - New initiator password
+   */
+  rotateInitiatorPassword(initiatorPassword) {
+    if (!initiatorPassword) {
+      throw new Error("Initiator password is required")
+    }
+
+    this.initiatorPassword = initiatorPassword
+    logger.info("M-Pesa initiator password rotated")
+  }
+
+  /**
+   * Resolve the shortcodes and passkey used for an STK Push
+   * Buy Goods payments collect into a till (PartyB) while the password is built
+   * from the head office store number the till sits under
+   *
+   * @param {Object} params - STK Push target
+   * @param {string} params.transactionType - CustomerPayBillOnline or CustomerBuyGoodsOnline
+   * @param {string} params.storeId - Configured store ID (see config.mpesa.stores)
+   * @param {string} params.tillNumber - Till number to collect into
+   * @param {string} params.storeNumber - Store number used as BusinessShortCode for the password
+   * @returns {Object} - BusinessShortCode, PartyB and passkey
+   */
+  _resolveStkCredentials({ transactionType = "CustomerPayBillOnline", storeId, tillNumber, storeNumber } = {}) {
+    if (transactionType !== "CustomerBuyGoodsOnline") {
+      return { businessShortCode: this.shortCode, partyB: this.shortCode, passkey: this.passkey }
+    }
+
+    const store = storeId ? this.config.stores[storeId] : {}
+
+    if (!store) {
+      throw new Error(`Unknown store: ${storeId}`)
+    }
+
+    const partyB = tillNumber || store.tillNumber
+
+    if (!partyB) {
+      throw new Error("A till number is required for CustomerBuyGoodsOnline")
+    }
+
+    return {
+      businessShortCode: storeNumber || store.storeNumber || this.shortCode,
+      partyB,
+      passkey: store.passkey || this.passkey,
+    }
+  }
+
   /**
    * Initiate STK Push request (Lipa Na M-Pesa Online)
    *
@@ -82,26 +262,45 @@ class MpesaService {
    * @param {number} params.amount - Amount to charge
    * @param {string} params.accountReference - Account reference
    * @param {string} params.transactionDesc - Transaction description
+   * @param {string} params.transactionType - CustomerPayBillOnline (default) or CustomerBuyGoodsOnline
+   * @param {string} params.storeId - Configured store to collect into (Buy Goods only)
+   * @param {string} params.tillNumber - Till number to collect into (Buy Goods only)
+   * @param {string} params.storeNumber - Head office store number for the password (Buy Goods only)
    * @returns {Promise<Object>} - STK Push response
    */
-  async initiateSTKPush({ phoneNumber, amount, accountReference, transactionDesc }) {
+  async initiateSTKPush({
+    phoneNumber,
+    amount,
+    accountReference,
+    transactionDesc,
+    transactionType = "CustomerPayBillOnline",
+    storeId,
+    tillNumber,
+    storeNumber,
+  }) {
     try {
+      const { businessShortCode, partyB, passkey } = this._resolveStkCredentials({
+        transactionType,
+        storeId,
+        tillNumber,
+        storeNumber,
+      })
       const token = await this.getAccessToken()
       const timestamp = generateTimestamp()
-      const password = generateStkPushPassword(this.shortCode, this.passkey, timestamp)
+      const password = generateStkPushPassword(businessShortCode, passkey, timestamp)
 
       const formattedPhone = formatPhoneNumber(phoneNumber)
 
       const requestBody = {
-        BusinessShortCode: this.shortCode,
+        BusinessShortCode: businessShortCode,
         Password: password,
         Timestamp: timestamp,
-        TransactionType: "CustomerPayBillOnline",
+        TransactionType: transactionType,
         Amount: Math.round(amount),
         PartyA: formattedPhone,
-        PartyB: this.shortCode,
+        PartyB: partyB,
         PhoneNumber: formattedPhone,
-        CallBackURL: config.mpesa.stkPushCallbackUrl,
+        CallBackURL: this.config.stkPushCallbackUrl,
         AccountReference: accountReference,
         TransactionDesc: transactionDesc || "Payment",
       }
@@ -110,6 +309,8 @@ class MpesaService {
         phoneNumber: formattedPhone,
         amount,
         reference: accountReference,
+        transactionType,
+        partyB,
       })
 
       const response = await this.api.post("/mpesa/stkpush/v1/processrequest", requestBody, {
@@ -126,6 +327,7 @@ class MpesaService {
         // Create transaction record
         const transaction = new Transaction({
           transactionType: "STK_PUSH",
+          merchant: this.merchantId,
           amount,
           phoneNumber: formattedPhone,
           referenceId: accountReference,
@@ -137,6 +339,10 @@ class MpesaService {
           metadata: {
             timestamp,
             transactionDesc,
+            stkTransactionType: transactionType,
+            businessShortCode,
+            partyB,
+            storeId,
             initiatedAt: now,
           },
         })
@@ -149,13 +355,13 @@ class MpesaService {
           logger.error("Failed to save transaction to database:", dbError)
         }
 
-        // Set timeout for this transaction
-        this.setTransactionTimeout(response.data.CheckoutRequestID)
-
-        // Start polling for status after a short delay (5 seconds)
-        setTimeout(() => {
-          this.startStatusPolling(response.data.CheckoutRequestID)
-        }, 5000)
+        // Expire the transaction if no result arrives, and poll its status meanwhile
+        try {
+          await this.setTransactionTimeout(response.data.CheckoutRequestID)
+          await this.startStatusPolling(response.data.CheckoutRequestID)
+        } catch (jobError) {
+          logger.error(`Failed to schedule status checks for ${response.data.CheckoutRequestID}:`, jobError.message)
+        }
       }
 
       return response.data
@@ -167,137 +373,81 @@ class MpesaService {
 
   /**
    * Start polling for STK Push status
+   * Polls are stored as a job, so they carry on after a restart
    *
    * @param {string} checkoutRequestID - The checkout request ID
    * @param {number} intervalSeconds - Polling interval in seconds
    * @param {number} maxAttempts - Maximum number of polling attempts
+   * @returns {Promise<Object>} - Scheduled poll job
    */
-  startStatusPolling(checkoutRequestID, intervalSeconds = 5, maxAttempts = 12) {
-    let attempts = 0
-
-    const pollInterval = setInterval(async () => {
-      attempts++
+  async startStatusPolling(checkoutRequestID, intervalSeconds = 5, maxAttempts = 12) {
+    return scheduler.schedule(
+      "stk.poll",
+      { checkoutRequestID, merchant: this.merchantId, intervalSeconds, maxAttempts, attempt: 0 },
+      // Give the customer a head start before the first poll
+      { key: checkoutRequestID, delayMs: (STK_POLL_START_DELAY_SECONDS + intervalSeconds) * 1000 },
+    )
+  }
 
-      try {
-        // Check if transaction is still pending
-        const transaction = await Transaction.findOne({ checkoutRequestID })
+  /**
+   * Run one STK Push status poll; called by the stk.poll job
+   *
+   * @param {Object} poll - Poll job data
+   * @returns {Promise<Object|undefined>} - The next poll, or undefined once polling is done
+   */
+  async pollStkStatus(poll) {
+    const { checkoutRequestID, intervalSeconds, maxAttempts } = poll
+    const attempts = poll.attempt + 1
 
-        if (!transaction) {
-          clearInterval(pollInterval)
-          this._pollingIntervals.delete(checkoutRequestID)
-          return
-        }
+    // Check if transaction is still pending
+    const transaction = await Transaction.findOne({ checkoutRequestID })
 
-        // If transaction is no longer pending, stop polling and clear timeout
-        if (transaction.status !== "pending") {
-          clearInterval(pollInterval)
-          this._pollingIntervals.delete(checkoutRequestID)
-          clearTransactionTimeout(checkoutRequestID) // Clear the timeout since we have a definitive status
-          logger.info(`Stopping polling for ${checkoutRequestID} as status is now ${transaction.status}`)
-          return
-        }
+    if (!transaction) {
+      return
+    }
 
-        logger.info(`Polling STK status for ${checkoutRequestID} (attempt ${attempts}/${maxAttempts})`)
+    // If transaction is no longer pending, stop polling and clear timeout
+    if (transaction.status !== "pending") {
+      await this.clearTransactionTimeout(checkoutRequestID)
+      logger.info(`Stopping polling for ${checkoutRequestID} as status is now ${transaction.status}`)
+      return
+    }
 
-        // Query status from M-Pesa
-        try {
-          await this.queryStkStatus(checkoutRequestID)
-
-          // Check if the status has been updated
-          const updatedTransaction = await Transaction.findOne({ checkoutRequestID })
-
-          if (updatedTransaction && updatedTransaction.status !== "pending") {
-            // Status has changed, clear the timeout and stop polling
-            clearInterval(pollInterval)
-            this._pollingIntervals.delete(checkoutRequestID)
-            clearTransactionTimeout(checkoutRequestID)
-            logger.info(
-              `Transaction ${checkoutRequestID} status updated to ${updatedTransaction.status}, stopping polling`,
-            )
-            return
-          }
-        } catch (error) {
-          // Check if this is a "transaction is being processed" error
-          if (
-            error.response &&
-            error.response.data &&
-            error.response.data.errorMessage &&
-            error.response.data.errorMessage.includes("transaction is being processed")
-          ) {
-            // This is normal - the transaction is still in progress
-            logger.info(`Transaction ${checkoutRequestID} is still being processed`)
-
-            // Continue polling - don't count this as an error
-            if (attempts >= maxAttempts) {
-              clearInterval(pollInterval)
-              this._pollingIntervals.delete(checkoutRequestID)
-
-              // Check if transaction is still pending after all attempts
-              const updatedTransaction = await Transaction.findOne({ checkoutRequestID })
-
-              if (updatedTransaction && updatedTransaction.status === "pending") {
-                // Mark as cancelled due to timeout if still pending
-                try {
-                  updatedTransaction.status = "cancelled"
-                  updatedTransaction.failureReason = "Timeout - No Response"
-                  updatedTransaction.timeoutHandled = true
-                  updatedTransaction.updatedAt = Math.floor(Date.now() / 1000)
-                  await updatedTransaction.save()
-
-                  logger.info(
-                    `Transaction ${checkoutRequestID} marked as cancelled after ${maxAttempts} polling attempts`,
-                  )
-                } catch (updateError) {
-                  logger.error(`Error updating transaction ${checkoutRequestID} status:`, updateError)
-                }
-              }
-            }
-          } else {
-            // This is an actual error, log it but continue polling
-            logger.warn(`Error querying STK status for ${checkoutRequestID}: ${error.message}`)
-          }
-        }
-      } catch (error) {
-        logger.warn(`Error in polling cycle for ${checkoutRequestID}: ${error.message}`)
+    logger.info(`Polling STK status for ${checkoutRequestID} (attempt ${attempts}/${maxAttempts})`)
 
-        // If we encounter an error and reached max attempts, stop polling
-        if (attempts >= maxAttempts) {
-          clearInterval(pollInterval)
-          this._pollingIntervals.delete(checkoutRequestID)
-        }
-      }
+    // Query status from M-Pesa
+    try {
+      await this.queryStkStatus(checkoutRequestID)
 
-      // If we've reached max attempts, stop polling
-      if (attempts >= maxAttempts) {
-        clearInterval(pollInterval)
-        this._pollingIntervals.delete(checkoutRequestID)
+      // Check if the status has been updated
+      const updatedTransaction = await Transaction.findOne({ checkoutRequestID })
 
-        // Check if transaction is still pending after all attempts
-        try {
-          const updatedTransaction = await Transaction.findOne({ checkoutRequestID })
-
-          if (updatedTransaction && updatedTransaction.status === "pending") {
-            // Mark as cancelled due to timeout if still pending
-            try {
-              updatedTransaction.status = "cancelled"
-              updatedTransaction.failureReason = "Timeout - No Response"
-              updatedTransaction.timeoutHandled = true
-              updatedTransaction.updatedAt = Math.floor(Date.now() / 1000)
-              await updatedTransaction.save()
-
-              logger.info(`Transaction ${checkoutRequestID} marked as cancelled after ${maxAttempts} polling attempts`)
-            } catch (updateError) {
-              logger.error(`Error updating transaction ${checkoutRequestID} status:`, updateError)
-            }
-          }
-        } catch (error) {
-          logger.error(`Error updating transaction ${checkoutRequestID} after polling timeout: ${error.message}`)
-        }
+      if (updatedTransaction && updatedTransaction.status !== "pending") {
+        // Status has changed, clear the timeout and stop polling
+        await this.clearTransactionTimeout(checkoutRequestID)
+        logger.info(`Transaction ${checkoutRequestID} status updated to ${updatedTransaction.status}, stopping polling`)
+        return
+      }
+    } catch (error) {
+      if (error.response?.data?.errorMessage?.includes("transaction is being processed")) {
+        // This is normal - the transaction is still in progress
+        logger.info(`Transaction ${checkoutRequestID} is still being processed`)
+      } else {
+        // This is an actual error, log it but continue polling
+        logger.warn(`Error querying STK status for ${checkoutRequestID}: ${error.message}`)
       }
-    }, intervalSeconds * 1000)
+    }
+
+    // If we've reached max attempts, stop polling and cancel the transaction if still pending
+    if (attempts >= maxAttempts) {
+      await this._cancelPendingTransaction(checkoutRequestID, `after ${maxAttempts} polling attempts`)
+      return
+    }
 
-    // Store the interval ID to clear it if needed
-    this._pollingIntervals.set(checkoutRequestID, pollInterval)
+    return {
+      runAt: new Date(Date.now() + intervalSeconds * 1000),
+      data: { ...poll, attempt: attempts },
+    }
   }
 
   /**
@@ -305,92 +455,130 @@ class MpesaService {
    *
    * @param {string} checkoutRequestID - The checkout request ID
    */
-  stopStatusPolling(checkoutRequestID) {
-    if (this._pollingIntervals && this._pollingIntervals.has(checkoutRequestID)) {
-      clearInterval(this._pollingIntervals.get(checkoutRequestID))
-      this._pollingIntervals.delete(checkoutRequestID)
+  async stopStatusPolling(checkoutRequestID) {
+    if (await scheduler.cancel("stk.poll", checkoutRequestID)) {
       logger.info(`Stopped polling for transaction ${checkoutRequestID}`)
     }
   }
 
+  /**
+   * Send webhooks for an STK Push transaction's final status
+   * The transaction is re-read since the status updates above write to the database directly
+   *
+   * @param {string} checkoutRequestID - The checkout request ID
+   */
+  async _notifyTransaction(checkoutRequestID) {
+    const transaction = await Transaction.findOne({ checkoutRequestID })
+
+    await webhookService.notifyTransaction(transaction)
+  }
+
   /**
    * Set a timeout for an STK Push transaction
+   * The timeout is stored as a job, so it still fires after a restart
    *
    * @param {string} checkoutRequestID - The checkout request ID
    * @param {number} timeoutSeconds - Timeout in seconds (default: 120)
    */
-  setTransactionTimeout(checkoutRequestID, timeoutSeconds = 120) {
-    setTransactionTimeout(
-      checkoutRequestID,
-      async (id) => {
-        try {
-          logger.info(`Transaction timeout reached for ${id}`)
+  async setTransactionTimeout(checkoutRequestID, timeoutSeconds = 120) {
+    await scheduler.schedule(
+      "stk.timeout",
+      { checkoutRequestID, merchant: this.merchantId },
+      { key: checkoutRequestID, delayMs: timeoutSeconds * 1000 },
+    )
 
-          // Check if transaction already completed
-          const transaction = await Transaction.findOne({ checkoutRequestID: id })
+    logger.info(`Set ${timeoutSeconds}s timeout for transaction ${checkoutRequestID}`)
+  }
 
-          if (!transaction) {
-            logger.info(`No pending transaction found for ${id}`)
-            return
-          }
+  /**
+   * Clear the timeout of an STK Push transaction
+   *
+   * @param {string} checkoutRequestID - The checkout request ID
+   * @returns {Promise<boolean>} - Whether a timeout was cleared
+   */
+  async clearTransactionTimeout(checkoutRequestID) {
+    return scheduler.cancel("stk.timeout", checkoutRequestID)
+  }
 
-          // Only update if status is still pending
-          if (transaction.status === "pending") {
-            // Try to query the status first
-            try {
-              await this.queryStkStatus(id)
+  /**
+   * Expire an STK Push transaction that is still pending; called by the stk.timeout job
+   * The status is queried once more before the transaction is cancelled
+   *
+   * @param {string} checkoutRequestID - The checkout request ID
+   */
+  async expireStkTransaction(checkoutRequestID) {
+    logger.info(`Transaction timeout reached for ${checkoutRequestID}`)
 
-              // Re-fetch transaction to see if status was updated by the query
-              const updatedTransaction = await Transaction.findOne({ checkoutRequestID: id })
+    // Check if transaction already completed
+    const transaction = await Transaction.findOne({ checkoutRequestID })
 
-              if (updatedTransaction && updatedTransaction.status !== "pending") {
-                logger.info(`Transaction ${id} status updated by query: ${updatedTransaction.status}`)
-                return
-              }
-            } catch (error) {
-              // Check if this is a "transaction is being processed" error
-              if (
-                error.response &&
-                error.response.data &&
-                error.response.data.errorMessage &&
-                error.response.data.errorMessage.includes("transaction is being processed")
-              ) {
-                // This is normal - the transaction is still in progress
-                logger.info(`Transaction ${id} is still being processed at timeout check`)
-
-                // Don't mark as cancelled yet, let the polling handle it
-                return
-              }
+    if (!transaction) {
+      logger.info(`No pending transaction found for ${checkoutRequestID}`)
+      return
+    }
 
-              logger.warn(`Error querying STK status for ${id} during timeout check: ${error.message}`)
-            }
+    if (transaction.status !== "pending") {
+      // Just mark timeout as handled
+      transaction.timeoutHandled = true
+      transaction.updatedAt = Math.floor(Date.now() / 1000)
+      await transaction.save()
 
-            logger.info(`Marking transaction ${id} as cancelled due to timeout`)
+      logger.info(`Transaction ${checkoutRequestID} timeout handled, status was: ${transaction.status}`)
+      return
+    }
 
-            // Update transaction status
-            transaction.status = "cancelled"
-            transaction.failureReason = "Timeout - No Response"
-            transaction.timeoutHandled = true
-            transaction.updatedAt = Math.floor(Date.now() / 1000)
-            await transaction.save()
+    // Try to query the status first
+    try {
+      await this.queryStkStatus(checkoutRequestID)
 
-            logger.info(`Transaction ${id} marked as cancelled due to timeout`)
-          } else {
-            // Just mark timeout as handled
-            transaction.timeoutHandled = true
-            transaction.updatedAt = Math.floor(Date.now() / 1000)
-            await transaction.save()
+      // Re-fetch transaction to see if status was updated by the query
+      const updatedTransaction = await Transaction.findOne({ checkoutRequestID })
 
-            logger.info(`Transaction ${id} timeout handled, status was: ${transaction.status}`)
-          }
-        } catch (error) {
-          logger.error(`Error handling transaction timeout for ${id}: ${error.message}`)
-        }
+      if (updatedTransaction && updatedTransaction.status !== "pending") {
+        logger.info(`Transaction ${checkoutRequestID} status updated by query: ${updatedTransaction.status}`)
+        return
+      }
+    } catch (error) {
+      if (error.response?.data?.errorMessage?.includes("transaction is being processed")) {
+        // Don't mark as cancelled yet, let the polling handle it
+        logger.info(`Transaction ${checkoutRequestID} is still being processed at timeout check`)
+        return
+      }
+
+      logger.warn(`Error querying STK status for ${checkoutRequestID} during timeout check: ${error.message}`)
+    }
+
+    await this._cancelPendingTransaction(checkoutRequestID, "due to timeout")
+  }
+
+  /**
+   * Cancel an STK Push transaction that never received a result, if it is still pending
+   *
+   * @param {string} checkoutRequestID - The checkout request ID
+   * @param {string} reason - Why it was cancelled, for the log
+   */
+  async _cancelPendingTransaction(checkoutRequestID, reason) {
+    // Cancelled in one update, so a result that lands after the status check is never overwritten
+    const transaction = await Transaction.findOneAndUpdate(
+      { checkoutRequestID, status: "pending" },
+      {
+        $set: {
+          status: "cancelled",
+          failureReason: "Timeout - No Response",
+          timeoutHandled: true,
+          updatedAt: Math.floor(Date.now() / 1000),
+        },
       },
-      timeoutSeconds * 1000,
+      { new: true },
     )
 
-    logger.info(`Set ${timeoutSeconds}s timeout for transaction ${checkoutRequestID}`)
+    if (!transaction) {
+      return
+    }
+
+    logger.info(`Transaction ${checkoutRequestID} marked as cancelled ${reason}`)
+
+    await webhookService.notifyTransaction(transaction)
   }
 
   /**
@@ -420,10 +608,10 @@ class MpesaService {
       })
 
       // Stop polling for this transaction
-      this.stopStatusPolling(checkoutRequestID)
+      await this.stopStatusPolling(checkoutRequestID)
 
       // Clear timeout for this transaction
-      clearTransactionTimeout(checkoutRequestID)
+      await this.clearTransactionTimeout(checkoutRequestID)
 
       // Get transaction from database
       const transaction = await Transaction.findOne({ checkoutRequestID })
@@ -702,6 +890,8 @@ class MpesaService {
         }
       }
 
+      await this._notifyTransaction(checkoutRequestID)
+
       return transaction
     } catch (error) {
       logger.error("Error handling STK callback:", error.message)
@@ -717,12 +907,18 @@ class MpesaService {
    */
   async queryStkStatus(checkoutRequestID) {
     try {
+      // The query must use the same BusinessShortCode (and passkey) as the original push
+      const storedTransaction = await Transaction.findOne({ checkoutRequestID }).select("metadata")
+      const storedMetadata = storedTransaction?.metadata || {}
+      const businessShortCode = storedMetadata.businessShortCode || this.shortCode
+      const passkey = this.config.stores[storedMetadata.storeId]?.passkey || this.passkey
+
       const token = await this.getAccessToken()
       const timestamp = generateTimestamp()
-      const password = generateStkPushPassword(this.shortCode, this.passkey, timestamp)
+      const password = generateStkPushPassword(businessShortCode, passkey, timestamp)
 
       const requestBody = {
-        BusinessShortCode: this.shortCode,
+        BusinessShortCode: businessShortCode,
         Password: password,
         Timestamp: timestamp,
         CheckoutRequestID: checkoutRequestID,
@@ -890,7 +1086,7 @@ class MpesaService {
                 }
 
                 // Clear the timeout since we have a definitive status
-                clearTransactionTimeout(checkoutRequestID)
+                await this.clearTransactionTimeout(checkoutRequestID)
               } catch (updateError) {
                 logger.error(`Error updating transaction ${checkoutRequestID} status from query:`, updateError)
 
@@ -921,6 +1117,8 @@ class MpesaService {
                   logger.error(`All update attempts failed for ${checkoutRequestID}:`, finalError)
                 }
               }
+
+              await this._notifyTransaction(checkoutRequestID)
             } else {
               logger.info(`Transaction ${checkoutRequestID} is still pending after status query`)
             }
@@ -966,13 +1164,24 @@ class MpesaService {
    * @param {string} params.commandID - Command ID (SalaryPayment, BusinessPayment, PromotionPayment)
    * @param {string} params.remarks - Payment remarks
    * @param {string} params.occassion - Payment occasion
+   * @param {Object} params.metadata - Extra metadata to store on the transaction (e.g. payout batch row)
+   * @param {string} params.originatorConversationId - Reference to send the payment with (generated when unset),
+   * so a payment whose response never arrives can still be looked up
    * @returns {Promise<Object>} - B2C response
    */
-  async sendB2CPayment({ phoneNumber, amount, commandID = "BusinessPayment", remarks, occassion }) {
+  async sendB2CPayment({
+    phoneNumber,
+    amount,
+    commandID = "BusinessPayment",
+    remarks,
+    occassion,
+    metadata = {},
+    originatorConversationId,
+  }) {
     try {
       const token = await this.getAccessToken()
       const formattedPhone = formatPhoneNumber(phoneNumber)
-      const transactionID = generateTransactionReference("B2C")
+      const transactionID = originatorConversationId || generateTransactionReference("B2C")
 
       const requestBody = {
         InitiatorName: this.initiatorName,
@@ -982,8 +1191,8 @@ class MpesaService {
         PartyA: this.shortCode,
         PartyB: formattedPhone,
         Remarks: remarks || "B2C Payment",
-        QueueTimeOutURL: config.mpesa.b2cQueueTimeoutUrl,
-        ResultURL: config.mpesa.b2cResultUrl,
+        QueueTimeOutURL: this.config.b2cQueueTimeoutUrl,
+        ResultURL: this.config.b2cResultUrl,
         Occassion: occassion || "",
         OriginatorConversationID: transactionID,
       }
@@ -1005,6 +1214,7 @@ class MpesaService {
           // Save transaction to database
           const transaction = new Transaction({
             transactionType: "B2C",
+            merchant: this.merchantId,
             amount,
             phoneNumber: formattedPhone,
             referenceId: transactionID,
@@ -1012,6 +1222,7 @@ class MpesaService {
             originatorConversationId: response.data.OriginatorConversationID,
             status: "pending",
             metadata: {
+              ...metadata,
               commandID,
               remarks,
               occassion,
@@ -1054,12 +1265,14 @@ class MpesaService {
           // Save failed transaction to database for tracking
           const transaction = new Transaction({
             transactionType: "B2C",
+            merchant: this.merchantId,
             amount,
             phoneNumber: formattedPhone,
             referenceId: transactionID,
             status: "failed",
             failureReason: errorMessage,
             metadata: {
+              ...metadata,
               commandID,
               remarks,
               occassion,
@@ -1097,86 +1310,1749 @@ class MpesaService {
   }
 
   /**
-   * Query transaction status
+   * Send B2B payment (Business to Business)
    *
-   * @param {Object} params - Query parameters
-   * @param {string} params.transactionID - Transaction ID to query
-   * @param {number} params.identifierType - Identifier type (1: MSISDN, 2: Till Number, 4: Organization shortcode)
-   * @returns {Promise<Object>} - Transaction status response
+   * @param {Object} params - B2B parameters
+   * @param {string} params.receiverShortCode - Receiving paybill or till number
+   * @param {number} params.amount - Amount to send
+   * @param {string} params.commandID - Command ID (BusinessPayBill, BusinessBuyGoods)
+   * @param {number} params.senderIdentifierType - Sender identifier type (1: MSISDN, 2: Till Number, 4: Organization shortcode)
+   * @param {number} params.receiverIdentifierType - Receiver identifier type (1: MSISDN, 2: Till Number, 4: Organization shortcode)
+   * @param {string} params.accountReference - Account number at the receiving paybill
+   * @param {string} params.requester - Optional phone number of the customer the payment is made for
+   * @param {string} params.remarks - Payment remarks
+   * @returns {Promise<Object>} - B2B response
    */
-  async queryTransactionStatus({ transactionID, identifierType = 1 }) {
+  async sendB2BPayment({
+    receiverShortCode,
+    amount,
+    commandID = "BusinessPayBill",
+    senderIdentifierType = 4,
+    receiverIdentifierType = 4,
+    accountReference,
+    requester,
+    remarks,
+  }) {
     try {
       const token = await this.getAccessToken()
+      const transactionID = generateTransactionReference("B2B")
+      const formattedRequester = requester ? formatPhoneNumber(requester) : undefined
+
       const requestBody = {
         Initiator: this.initiatorName,
         SecurityCredential: this.securityCredential,
-        CommandID: "TransactionStatusQuery",
-        TransactionID: transactionID,
+        CommandID: commandID,
+        SenderIdentifierType: String(senderIdentifierType),
+        RecieverIdentifierType: String(receiverIdentifierType),
+        Amount: Math.round(amount),
         PartyA: this.shortCode,
-        IdentifierType: identifierType,
-        ResultURL: config.mpesa.b2cResultUrl,
-        QueueTimeOutURL: config.mpesa.b2cQueueTimeoutUrl,
-        Remarks: "Transaction status query",
-        Occasion: "Transaction status query",
+        PartyB: receiverShortCode,
+        AccountReference: accountReference || "",
+        Requester: formattedRequester,
+        Remarks: remarks || "B2B Payment",
+        QueueTimeOutURL: this.config.b2bQueueTimeoutUrl,
+        ResultURL: this.config.b2bResultUrl,
+        OriginatorConversationID: transactionID,
       }
 
-      logger.info("Querying transaction status:", { transactionID })
+      const metadata = {
+        commandID,
+        receiverShortCode,
+        senderIdentifierType,
+        receiverIdentifierType,
+        accountReference,
+        remarks,
+        initiatedAt: Math.floor(Date.now() / 1000),
+      }
 
-      const response = await this.api.post("/mpesa/transactionstatus/v1/query", requestBody, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
+      logger.info("Sending B2B payment:", {
+        receiverShortCode,
+        amount,
+        commandID,
+        transactionID,
       })
 
-      return response.data
-    } catch (error) {
-      logger.error("Transaction status query failed:", error.message)
-      throw new Error(`Failed to query transaction status: ${error.message}`)
-    }
-  }
+      try {
+        const response = await this.api.post("/mpesa/b2b/v1/paymentrequest", requestBody, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        })
 
-  /**
-   * Debug utility to check transaction status
-   * @param {string} checkoutRequestID - The checkout request ID to check
-   */
-  async debugTransactionStatus(checkoutRequestID) {
-    try {
-      const transaction = await Transaction.findOne({ checkoutRequestID })
+        if (response.data.ResponseCode === "0") {
+          // Save transaction to database
+          const transaction = new Transaction({
+            transactionType: "B2B",
+            merchant: this.merchantId,
+            amount,
+            phoneNumber: formattedRequester,
+            referenceId: transactionID,
+            conversationId: response.data.ConversationID,
+            originatorConversationId: response.data.OriginatorConversationID,
+            status: "pending",
+            metadata,
+          })
 
-      if (!transaction) {
-        logger.info(`[DEBUG] No transaction found with checkoutRequestID: ${checkoutRequestID}`)
-        return null
-      }
+          try {
+            const savedTransaction = await transaction.save()
+            logger.info(`B2B transaction saved to database with ID: ${savedTransaction._id}`)
+          } catch (dbError) {
+            logger.error("Failed to save B2B transaction to database:", dbError)
+          }
+        }
 
-      logger.info(`[DEBUG] Transaction ${checkoutRequestID} status:`, {
-        id: transaction._id,
-        status: transaction.status,
-        resultCode: transaction.resultCode,
-        resultDesc: transaction.resultDesc,
-        failureReason: transaction.failureReason,
-        createdAt: new Date(transaction.createdAt * 1000).toISOString(),
-        updatedAt: new Date(transaction.updatedAt * 1000).toISOString(),
-      })
+        return response.data
+      } catch (error) {
+        // Handle specific error cases
+        if (error.response && error.response.data) {
+          const errorData = error.response.data
 
-      return transaction
-    } catch (error) {
-      logger.error(`[DEBUG] Error checking transaction status:`, error)
-      return null
-    }
-  }
+          logger.error("B2B payment API error details:", {
+            status: error.response.status,
+            errorCode: errorData.errorCode,
+            errorMessage: errorData.errorMessage || "Unknown error",
+            requestId: errorData.requestId,
+          })
 
-  /**
-   * Debug utility to fix incorrectly marked transactions
-   * @param {string} checkoutRequestID - The checkout request ID to fix
-   */
-  async fixTransactionStatus(checkoutRequestID) {
-    try {
-      const transaction = await Transaction.findOne({ checkoutRequestID })
+          let errorMessage = "B2B payment failed"
 
-      if (!transaction) {
-        logger.info(`[DEBUG] No transaction found with checkoutRequestID: ${checkoutRequestID}`)
-        return null
-      }
+          if (errorData.errorMessage) {
+            errorMessage += `: ${errorData.errorMessage}`
+          } else if (errorData.errorCode) {
+            errorMessage += ` with error code ${errorData.errorCode}`
+          }
+
+          // Save failed transaction to database for tracking
+          const transaction = new Transaction({
+            transactionType: "B2B",
+            merchant: this.merchantId,
+            amount,
+            phoneNumber: formattedRequester,
+            referenceId: transactionID,
+            status: "failed",
+            failureReason: errorMessage,
+            metadata: {
+              ...metadata,
+              errorDetails: {
+                errorCode: errorData.errorCode,
+                errorMessage: errorData.errorMessage,
+                requestId: errorData.requestId,
+              },
+            },
+          })
+
+          try {
+            const savedTransaction = await transaction.save()
+            logger.info(`Failed B2B transaction saved to database with ID: ${savedTransaction._id}`)
+          } catch (dbError) {
+            logger.error("Failed to save failed B2B transaction to database:", dbError)
+          }
+
+          throw new Error(errorMessage)
+        }
+
+        throw new Error(`Failed to send B2B payment: ${error.message}`)
+      }
+    } catch (error) {
+      const errorMessage =
+        typeof error.message === "string" ? error.message : "Unknown error occurred during B2B payment"
+
+      logger.error("B2B payment failed:", errorMessage)
+      throw new Error(errorMessage)
+    }
+  }
+
+  /**
+   * Remit tax to KRA
+   * Pays a KRA payment registration number (PRN) from the shortcode's account
+   *
+   * @param {Object} params - Tax remittance parameters
+   * @param {string} params.prn - KRA payment registration number
+   * @param {number} params.amount - Amount to remit
+   * @param {string} params.remarks - Remarks
+   * @returns {Promise<Object>} - Tax remittance response
+   */
+  async remitTax({ prn, amount, remarks = "Tax remittance" }) {
+    const transactionID = generateTransactionReference("TAX")
+    const metadata = {
+      prn,
+      kraShortCode: this.config.kraShortCode,
+      remarks,
+      initiatedAt: Math.floor(Date.now() / 1000),
+    }
+
+    try {
+      const token = await this.getAccessToken()
+
+      const requestBody = {
+        Initiator: this.initiatorName,
+        SecurityCredential: this.securityCredential,
+        CommandID: "PayTaxToKRA",
+        SenderIdentifierType: "4",
+        RecieverIdentifierType: "4",
+        Amount: Math.round(amount),
+        PartyA: this.shortCode,
+        PartyB: this.config.kraShortCode,
+        AccountReference: prn,
+        Remarks: remarks,
+        QueueTimeOutURL: this.config.taxRemittanceQueueTimeoutUrl,
+        ResultURL: this.config.taxRemittanceResultUrl,
+        OriginatorConversationID: transactionID,
+      }
+
+      logger.info("Remitting tax to KRA:", { prn, amount, transactionID })
+
+      const response = await this.api.post("/mpesa/b2b/v1/remittax", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      if (response.data.ResponseCode === "0") {
+        const transaction = await Transaction.create({
+          transactionType: "TAX_REMITTANCE",
+          merchant: this.merchantId,
+          amount,
+          referenceId: transactionID,
+          conversationId: response.data.ConversationID,
+          originatorConversationId: response.data.OriginatorConversationID,
+          status: "pending",
+          metadata,
+        })
+
+        logger.info(`Tax remittance transaction saved to database with ID: ${transaction._id}`)
+      }
+
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      let errorMessage = "Tax remittance failed"
+
+      if (errorData?.errorMessage) {
+        errorMessage += `: ${errorData.errorMessage}`
+      } else if (errorData?.errorCode) {
+        errorMessage += ` with error code ${errorData.errorCode}`
+      } else {
+        errorMessage += `: ${error.message}`
+      }
+
+      logger.error("Tax remittance API error details:", {
+        status: error.response?.status,
+        errorCode: errorData?.errorCode,
+        errorMessage: errorData?.errorMessage || error.message,
+        requestId: errorData?.requestId,
+      })
+
+      // Save failed transaction to database for tracking
+      if (errorData) {
+        await Transaction.create({
+          transactionType: "TAX_REMITTANCE",
+          merchant: this.merchantId,
+          amount,
+          referenceId: transactionID,
+          status: "failed",
+          failureReason: errorMessage,
+          metadata: {
+            ...metadata,
+            errorDetails: {
+              errorCode: errorData.errorCode,
+              errorMessage: errorData.errorMessage,
+              requestId: errorData.requestId,
+            },
+          },
+        }).catch((dbError) => {
+          logger.error("Failed to save failed tax remittance transaction to database:", dbError)
+        })
+      }
+
+      throw new Error(errorMessage)
+    }
+  }
+
+  /**
+   * Reverse a completed M-Pesa transaction
+   * Creates a REVERSAL transaction linked to the original; the original is only
+   * marked as reversed once the reversal result callback confirms it
+   *
+   * @param {string} receiptNumber - M-Pesa receipt number of the transaction to reverse
+   * @param {number} amount - Amount to reverse
+   * @param {string} remarks - Reversal remarks
+   * @returns {Promise<Object>} - Reversal response
+   */
+  async reverseTransaction(receiptNumber, amount, remarks = "Transaction reversal") {
+    try {
+      const originalTransaction = await Transaction.findOne({
+        transactionType: { $ne: "REVERSAL" },
+        $or: [{ mpesaReceiptNumber: receiptNumber }, { transactionId: receiptNumber }],
+      })
+
+      const token = await this.getAccessToken()
+      const requestBody = {
+        Initiator: this.initiatorName,
+        SecurityCredential: this.securityCredential,
+        CommandID: "TransactionReversal",
+        TransactionID: receiptNumber,
+        Amount: Math.round(amount),
+        ReceiverParty: this.shortCode,
+        RecieverIdentifierType: "11",
+        ResultURL: this.config.reversalResultUrl,
+        QueueTimeOutURL: this.config.reversalQueueTimeoutUrl,
+        Remarks: remarks,
+        Occasion: "Reversal",
+      }
+
+      logger.info("Requesting transaction reversal:", {
+        receiptNumber,
+        amount,
+        originalTransactionId: originalTransaction?._id,
+      })
+
+      const response = await this.api.post("/mpesa/reversal/v1/request", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      if (response.data.ResponseCode === "0") {
+        const reversal = new Transaction({
+          transactionType: "REVERSAL",
+          merchant: this.merchantId,
+          amount,
+          phoneNumber: originalTransaction?.phoneNumber,
+          referenceId: receiptNumber,
+          conversationId: response.data.ConversationID,
+          originatorConversationId: response.data.OriginatorConversationID,
+          originalTransaction: originalTransaction?._id,
+          status: "pending",
+          metadata: {
+            remarks,
+            initiatedAt: Math.floor(Date.now() / 1000),
+          },
+        })
+
+        try {
+          const savedReversal = await reversal.save()
+          logger.info(`Reversal transaction saved to database with ID: ${savedReversal._id}`)
+        } catch (dbError) {
+          logger.error("Failed to save reversal transaction to database:", dbError)
+        }
+      }
+
+      return response.data
+    } catch (error) {
+      logger.error("Transaction reversal failed:", error.message)
+      throw new Error(`Failed to reverse transaction: ${error.message}`)
+    }
+  }
+
+  /**
+   * Handle reversal result callback
+   *
+   * @param {Object} resultData - The Result object from M-Pesa
+   * @returns {Promise<Object>} - Updated reversal transaction
+   */
+  async handleReversalResult(resultData) {
+    const resultCodeString = String(resultData.ResultCode)
+    const now = Math.floor(Date.now() / 1000)
+
+    const reversal = await Transaction.findOne({
+      transactionType: "REVERSAL",
+      $or: [
+        { conversationId: resultData.ConversationID },
+        { originatorConversationId: resultData.OriginatorConversationID },
+      ],
+    })
+
+    if (!reversal) {
+      logger.warn(`No reversal transaction found for conversation ID: ${resultData.ConversationID}`)
+      return null
+    }
+
+    reversal.resultCode = resultCodeString
+    reversal.resultDesc = resultData.ResultDesc
+    reversal.updatedAt = now
+
+    if (resultCodeString === "0") {
+      reversal.status = "success"
+      reversal.transactionId = resultData.TransactionID
+      reversal.mpesaReceiptNumber = resultData.TransactionID
+      reversal.metadata = {
+        ...reversal.metadata,
+        completedAt: now,
+        resultParameters: parseResultParameters(resultData.ResultParameters),
+      }
+
+      // Move the original transaction to reversed now that Safaricom has confirmed
+      if (reversal.originalTransaction) {
+        const original = await Transaction.findById(reversal.originalTransaction)
+
+        if (original) {
+          original.status = "reversed"
+          original.metadata = {
+            ...original.metadata,
+            reversal: {
+              reversalTransactionId: reversal._id,
+              receiptNumber: resultData.TransactionID,
+              amount: reversal.amount,
+              reversedAt: now,
+            },
+          }
+          original.updatedAt = now
+          await original.save()
+
+          logger.info(`Transaction ${original._id} marked as reversed`)
+        }
+      }
+    } else {
+      reversal.status = "failed"
+      reversal.failureReason = resultData.ResultDesc
+      reversal.metadata = {
+        ...reversal.metadata,
+        completedAt: now,
+      }
+    }
+
+    await reversal.save()
+    logger.info(`Reversal transaction ${reversal._id} marked as ${reversal.status}`)
+
+    return reversal
+  }
+
+  /**
+   * Query transaction status
+   * The result arrives on the transaction status result URL; the request is tracked
+   * as a StatusQuery whose ID is returned as statusQueryId
+   *
+   * @param {Object} params - Query parameters
+   * @param {string} params.transactionID - Transaction ID to query
+   * @param {string} params.originatorConversationId - OriginatorConversationID to query, for requests with no receipt
+   * @param {number} params.identifierType - Identifier type (1: MSISDN, 2: Till Number, 4: Organization shortcode)
+   * @returns {Promise<Object>} - Transaction status response
+   */
+  async queryTransactionStatus({ transactionID, originatorConversationId, identifierType = 1 }) {
+    try {
+      const token = await this.getAccessToken()
+      const requestBody = {
+        Initiator: this.initiatorName,
+        SecurityCredential: this.securityCredential,
+        CommandID: "TransactionStatusQuery",
+        TransactionID: transactionID,
+        OriginatorConversationID: originatorConversationId,
+        PartyA: this.shortCode,
+        IdentifierType: identifierType,
+        ResultURL: this.config.transactionStatusResultUrl,
+        QueueTimeOutURL: this.config.transactionStatusQueueTimeoutUrl,
+        Remarks: "Transaction status query",
+        Occasion: "Transaction status query",
+      }
+
+      logger.info("Querying transaction status:", { transactionID, originatorConversationId })
+
+      const response = await this.api.post("/mpesa/transactionstatus/v1/query", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      if (response.data.ResponseCode === "0") {
+        try {
+          const statusQuery = await StatusQuery.create({
+            merchant: this.merchantId,
+            queriedTransactionId: transactionID || originatorConversationId,
+            identifierType,
+            conversationId: response.data.ConversationID,
+            originatorConversationId: response.data.OriginatorConversationID,
+          })
+          logger.info(`Status query saved to database with ID: ${statusQuery._id}`)
+
+          return { ...response.data, statusQueryId: statusQuery._id }
+        } catch (dbError) {
+          logger.error("Failed to save status query to database:", dbError)
+        }
+      }
+
+      return response.data
+    } catch (error) {
+      logger.error("Transaction status query failed:", error.message)
+      throw new Error(`Failed to query transaction status: ${error.message}`)
+    }
+  }
+
+  /**
+   * Query the shortcode's account balances
+   * The balances arrive asynchronously on the account balance result URL
+   *
+   * @param {Object} params - Query parameters
+   * @param {number} params.identifierType - Identifier type (1: MSISDN, 2: Till Number, 4: Organization shortcode)
+   * @param {string} params.remarks - Query remarks
+   * @returns {Promise<Object>} - Account balance response
+   */
+  async queryAccountBalance({ identifierType = 4, remarks = "Account balance query" } = {}) {
+    try {
+      const token = await this.getAccessToken()
+      const requestBody = {
+        Initiator: this.initiatorName,
+        SecurityCredential: this.securityCredential,
+        CommandID: "AccountBalance",
+        PartyA: this.shortCode,
+        IdentifierType: String(identifierType),
+        Remarks: remarks,
+        QueueTimeOutURL: this.config.accountBalanceQueueTimeoutUrl,
+        ResultURL: this.config.accountBalanceResultUrl,
+      }
+
+      logger.info("Querying account balance:", { shortCode: this.shortCode })
+
+      const response = await this.api.post("/mpesa/accountbalance/v1/query", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      if (response.data.ResponseCode === "0") {
+        try {
+          const snapshot = await BalanceSnapshot.create({
+            shortCode: this.shortCode,
+            status: "pending",
+            conversationId: response.data.ConversationID,
+            originatorConversationId: response.data.OriginatorConversationID,
+            remarks,
+          })
+          logger.info(`Balance snapshot saved to database with ID: ${snapshot._id}`)
+        } catch (dbError) {
+          logger.error("Failed to save balance snapshot to database:", dbError)
+        }
+      }
+
+      return response.data
+    } catch (error) {
+      logger.error("Account balance query failed:", error.message)
+      throw new Error(`Failed to query account balance: ${error.message}`)
+    }
+  }
+
+  /**
+   * Handle account balance result callback
+   * Parses the AccountBalance result parameter into a balance snapshot
+   *
+   * @param {Object} resultData - The Result object from M-Pesa
+   * @returns {Promise<Object>} - Updated balance snapshot
+   */
+  async handleAccountBalanceResult(resultData) {
+    const resultCodeString = String(resultData.ResultCode)
+    const resultParameters = parseResultParameters(resultData.ResultParameters)
+
+    let snapshot = await BalanceSnapshot.findOne({ conversationId: resultData.ConversationID })
+
+    if (!snapshot) {
+      // Keep the result even if the request was not made through this service
+      logger.warn(`No balance snapshot found for conversation ID: ${resultData.ConversationID}, creating one`)
+
+      snapshot = new BalanceSnapshot({
+        shortCode: this.shortCode,
+        conversationId: resultData.ConversationID,
+        originatorConversationId: resultData.OriginatorConversationID,
+      })
+    }
+
+    snapshot.resultCode = resultCodeString
+    snapshot.resultDesc = resultData.ResultDesc
+    snapshot.rawResult = resultData
+
+    if (resultCodeString === "0") {
+      snapshot.status = "success"
+      snapshot.accounts = parseAccountBalance(resultParameters.AccountBalance)
+      snapshot.completedTime = resultParameters.BOCompletedTime ? String(resultParameters.BOCompletedTime) : undefined
+    } else {
+      snapshot.status = "failed"
+    }
+
+    await snapshot.save()
+    logger.info(`Balance snapshot ${snapshot._id} marked as ${snapshot.status}`, {
+      accounts: snapshot.accounts.length,
+    })
+
+    return snapshot
+  }
+
+  /**
+   * Handle transaction status result callback
+   * Records the outcome on the StatusQuery and reconciles it onto the matching transaction
+   *
+   * @param {Object} resultData - The Result object from M-Pesa
+   * @returns {Promise<Object>} - Updated status query
+   */
+  async handleTransactionStatusResult(resultData) {
+    const resultCodeString = String(resultData.ResultCode)
+    const params = parseResultParameters(resultData.ResultParameters)
+
+    let statusQuery = await StatusQuery.findOne({
+      $or: [
+        { conversationId: resultData.ConversationID },
+        { originatorConversationId: resultData.OriginatorConversationID },
+      ],
+    })
+
+    if (!statusQuery) {
+      logger.warn(`No status query found for conversation ID: ${resultData.ConversationID}, creating one`)
+
+      statusQuery = new StatusQuery({
+        merchant: this.merchantId,
+        queriedTransactionId: params.ReceiptNo || resultData.TransactionID,
+        conversationId: resultData.ConversationID,
+        originatorConversationId: resultData.OriginatorConversationID,
+      })
+    }
+
+    statusQuery.resultCode = resultCodeString
+    statusQuery.resultDesc = resultData.ResultDesc
+    statusQuery.rawResult = resultData
+
+    if (resultCodeString !== "0") {
+      statusQuery.status = "failed"
+      await statusQuery.save()
+
+      logger.info(`Status query ${statusQuery._id} failed: ${resultData.ResultDesc}`)
+      return statusQuery
+    }
+
+    statusQuery.status = "completed"
+    statusQuery.result = {
+      receiptNumber: params.ReceiptNo,
+      transactionStatus: params.TransactionStatus,
+      amount: params.Amount !== undefined ? Number(params.Amount) : undefined,
+      debitPartyName: params.DebitPartyName,
+      creditPartyName: params.CreditPartyName,
+      debitAccountType: params.DebitAccountType,
+      debitPartyCharges: params.DebitPartyCharges,
+      transactionReason: params.TransactionReason,
+      reasonType: params.ReasonType,
+      initiatedTime: params.InitiatedTime !== undefined ? String(params.InitiatedTime) : undefined,
+      finalisedTime: params.FinalisedTime !== undefined ? String(params.FinalisedTime) : undefined,
+    }
+
+    const receiptNumber = params.ReceiptNo || statusQuery.queriedTransactionId
+    const lookups = [{ mpesaReceiptNumber: receiptNumber }, { transactionId: receiptNumber }]
+
+    if (params.ConversationID) {
+      lookups.push({ conversationId: params.ConversationID })
+    }
+    if (params.OriginatorConversationID) {
+      lookups.push({ originatorConversationId: params.OriginatorConversationID })
+    }
+    // Queries made by OriginatorConversationID, e.g. for payouts whose response never arrived
+    if (statusQuery.queriedTransactionId) {
+      lookups.push({ originatorConversationId: statusQuery.queriedTransactionId })
+    }
+
+    const transaction = await Transaction.findOne({ $or: lookups })
+
+    if (transaction) {
+      statusQuery.transaction = transaction._id
+      await this._reconcileTransactionStatus(transaction, statusQuery.result)
+    } else {
+      logger.warn(`No stored transaction matches status query result for receipt ${receiptNumber}`)
+    }
+
+    await statusQuery.save()
+    logger.info(`Status query ${statusQuery._id} completed`, {
+      receiptNumber,
+      transactionStatus: params.TransactionStatus,
+      reconciled: !!transaction,
+    })
+
+    return statusQuery
+  }
+
+  /**
+   * Apply a transaction status query result onto a stored transaction
+   *
+   * @param {Object} transaction - Transaction document
+   * @param {Object} result - Parsed status query result
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async _reconcileTransactionStatus(transaction, result) {
+    const now = Math.floor(Date.now() / 1000)
+    const statusMap = {
+      Completed: "success",
+      Cancelled: "cancelled",
+      Failed: "failed",
+      Declined: "failed",
+    }
+    const mappedStatus = statusMap[result.transactionStatus]
+
+    // A reversed transaction stays reversed whatever the original payment status was
+    if (mappedStatus && transaction.status !== "reversed" && transaction.status !== mappedStatus) {
+      logger.info(`Reconciling transaction ${transaction._id} from ${transaction.status} to ${mappedStatus}`)
+
+      transaction.status = mappedStatus
+      transaction.timeoutHandled = true
+
+      if (mappedStatus === "success") {
+        transaction.resultCode = "0"
+        transaction.failureReason = null
+      } else {
+        transaction.failureReason = result.transactionReason || `Transaction ${result.transactionStatus}`
+      }
+    }
+
+    if (result.receiptNumber) {
+      transaction.mpesaReceiptNumber = transaction.mpesaReceiptNumber || result.receiptNumber
+      transaction.transactionId = transaction.transactionId || result.receiptNumber
+    }
+
+    transaction.metadata = {
+      ...transaction.metadata,
+      statusQuery: {
+        ...result,
+        reconciledAt: now,
+      },
+    }
+    transaction.updatedAt = now
+
+    await transaction.save()
+    return transaction
+  }
+
+  /**
+   * Generate a dynamic M-Pesa QR code
+   *
+   * @param {Object} params - QR code parameters
+   * @param {string} params.merchantName - Name shown to the customer
+   * @param {string} params.refNo - Transaction reference (account number for paybills)
+   * @param {number} params.amount - Amount to pay
+   * @param {string} params.trxCode - Transaction code (BG, PB, WA, SM, SB)
+   * @param {string} params.cpi - Credit party identifier (defaults to configured shortcode)
+   * @param {number} params.size - Image size in pixels
+   * @returns {Promise<Object>} - QR code response including the base64 PNG and the stored QR record
+   */
+  async generateQRCode({ merchantName, refNo, amount, trxCode = "PB", cpi, size = 300 }) {
+    const creditParty = cpi || this.shortCode
+
+    try {
+      const token = await this.getAccessToken()
+      const requestBody = {
+        MerchantName: merchantName,
+        RefNo: refNo,
+        Amount: Math.round(amount),
+        TrxCode: trxCode,
+        CPI: creditParty,
+        Size: String(size),
+      }
+
+      logger.info("Generating dynamic QR code:", {
+        merchantName,
+        refNo,
+        amount,
+        trxCode,
+      })
+
+      const response = await this.api.post("/mpesa/qrcode/v1/generate", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      const qrCode = new QRCode({
+        merchant: this.merchantId,
+        merchantName,
+        referenceNumber: refNo,
+        amount,
+        trxCode,
+        cpi: creditParty,
+        size,
+        requestId: response.data.RequestID,
+        status: response.data.QRCode ? "generated" : "failed",
+        failureReason: response.data.QRCode ? undefined : response.data.ResponseDescription,
+      })
+
+      try {
+        await qrCode.save()
+        logger.info(`QR code request saved to database with ID: ${qrCode._id}`)
+      } catch (dbError) {
+        logger.error("Failed to save QR code request to database:", dbError)
+      }
+
+      return { ...response.data, qrCodeId: qrCode._id }
+    } catch (error) {
+      logger.error("QR code generation failed:", error.message)
+      throw new Error(`Failed to generate QR code: ${error.message}`)
+    }
+  }
+
+  /**
+   * Link a confirmed C2B payment to the QR code it was made from
+   *
+   * @param {Object} transaction - Confirmed C2B transaction
+   * @returns {Promise<Object|null>} - Matched QR code, if any
+   */
+  async _matchQRCodePayment(transaction) {
+    const billRefNumber = transaction.metadata?.billRefNumber
+
+    if (!billRefNumber) {
+      return null
+    }
+
+    const qrCode = await QRCode.findOneAndUpdate(
+      {
+        merchant: transaction.merchant || null,
+        referenceNumber: billRefNumber,
+        amount: transaction.amount,
+        status: "generated",
+      },
+      {
+        $set: {
+          status: "paid",
+          transaction: transaction._id,
+          paidAt: new Date(),
+        },
+      },
+      { new: true, sort: { createdAt: -1 } },
+    )
+
+    if (qrCode) {
+      transaction.metadata = { ...transaction.metadata, qrCodeId: qrCode._id }
+      await transaction.save()
+
+      logger.info(`C2B transaction ${transaction.mpesaReceiptNumber} matched to QR code ${qrCode._id}`)
+    }
+
+    return qrCode
+  }
+
+  /**
+   * Register C2B validation and confirmation URLs
+   *
+   * @param {Object} params - Registration parameters
+   * @param {string} params.shortCode - Paybill or till number (defaults to configured shortcode)
+   * @param {string} params.responseType - Action when validation URL is unreachable (Completed or Cancelled)
+   * @param {string} params.confirmationURL - Confirmation URL (defaults to configured URL)
+   * @param {string} params.validationURL - Validation URL (defaults to configured URL)
+   * @returns {Promise<Object>} - Registration response
+   */
+  async registerC2BUrls({ shortCode, responseType = "Completed", confirmationURL, validationURL } = {}) {
+    try {
+      const token = await this.getAccessToken()
+      const requestBody = {
+        ShortCode: shortCode || this.shortCode,
+        ResponseType: responseType,
+        ConfirmationURL: confirmationURL || this.config.c2bConfirmationUrl,
+        ValidationURL: validationURL || this.config.c2bValidationUrl,
+      }
+
+      logger.info("Registering C2B URLs:", requestBody)
+
+      const response = await this.api.post("/mpesa/c2b/v1/registerurl", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      return response.data
+    } catch (error) {
+      logger.error("C2B URL registration failed:", error.message)
+      throw new Error(`Failed to register C2B URLs: ${error.message}`)
+    }
+  }
+
+  /**
+   * Simulate a C2B payment (sandbox only)
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {string} params.phoneNumber - Paying customer phone number
+   * @param {number} params.amount - Amount paid
+   * @param {string} params.billRefNumber - Account number entered by the customer
+   * @param {string} params.commandID - Command ID (CustomerPayBillOnline, CustomerBuyGoodsOnline)
+   * @returns {Promise<Object>} - Simulation response
+   */
+  async simulateC2B({ phoneNumber, amount, billRefNumber, commandID = "CustomerPayBillOnline" }) {
+    if (config.env === "production") {
+      throw new Error("C2B simulation is not available in production")
+    }
+
+    try {
+      const token = await this.getAccessToken()
+      const formattedPhone = formatPhoneNumber(phoneNumber)
+
+      const requestBody = {
+        ShortCode: this.shortCode,
+        CommandID: commandID,
+        Amount: Math.round(amount),
+        Msisdn: formattedPhone,
+        // Till payments have no account number
+        BillRefNumber: commandID === "CustomerBuyGoodsOnline" ? "" : billRefNumber,
+      }
+
+      logger.info("Simulating C2B payment:", {
+        phoneNumber: formattedPhone,
+        amount,
+        commandID,
+        billRefNumber,
+      })
+
+      const response = await this.api.post("/mpesa/c2b/v1/simulate", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      return response.data
+    } catch (error) {
+      logger.error("C2B simulation failed:", error.message)
+      throw new Error(`Failed to simulate C2B payment: ${error.message}`)
+    }
+  }
+
+  /**
+   * Handle C2B validation callback
+   * Records the incoming payment as a pending C2B transaction
+   *
+   * @param {Object} payload - The validation payload from M-Pesa
+   * @returns {Promise<Object>} - Pending transaction
+   */
+  async handleC2BValidation(payload) {
+    const receiptNumber = payload.TransID
+
+    logger.info(`Processing C2B validation for ${receiptNumber}`, {
+      amount: payload.TransAmount,
+      billRefNumber: payload.BillRefNumber,
+    })
+
+    let transaction = await Transaction.findOne({ transactionType: "C2B", mpesaReceiptNumber: receiptNumber })
+
+    if (transaction) {
+      logger.info(`C2B transaction ${receiptNumber} already recorded with status: ${transaction.status}`)
+      return transaction
+    }
+
+    transaction = new Transaction({
+      transactionType: "C2B",
+      merchant: this.merchantId,
+      amount: Number(payload.TransAmount),
+      phoneNumber: String(payload.MSISDN),
+      referenceId: payload.BillRefNumber || receiptNumber,
+      status: "pending",
+      mpesaReceiptNumber: receiptNumber,
+      transactionId: receiptNumber,
+      metadata: {
+        ...this._extractC2BMetadata(payload),
+        validatedAt: Math.floor(Date.now() / 1000),
+      },
+    })
+
+    await transaction.save()
+    logger.info(`C2B transaction ${receiptNumber} saved as pending with ID: ${transaction._id}`)
+
+    return transaction
+  }
+
+  /**
+   * Handle C2B confirmation callback
+   * Marks the matching C2B transaction as successful, creating it if validation was skipped
+   *
+   * @param {Object} payload - The confirmation payload from M-Pesa
+   * @returns {Promise<Object>} - Confirmed transaction
+   */
+  async handleC2BConfirmation(payload) {
+    const receiptNumber = payload.TransID
+    const now = Math.floor(Date.now() / 1000)
+
+    logger.info(`Processing C2B confirmation for ${receiptNumber}`, {
+      amount: payload.TransAmount,
+      billRefNumber: payload.BillRefNumber,
+    })
+
+    let transaction = await Transaction.findOne({ transactionType: "C2B", mpesaReceiptNumber: receiptNumber })
+
+    if (!transaction) {
+      transaction = new Transaction({
+        transactionType: "C2B",
+        merchant: this.merchantId,
+        amount: Number(payload.TransAmount),
+        phoneNumber: String(payload.MSISDN),
+        referenceId: payload.BillRefNumber || receiptNumber,
+        mpesaReceiptNumber: receiptNumber,
+        transactionId: receiptNumber,
+      })
+    }
+
+    transaction.status = "success"
+    transaction.resultCode = "0"
+    transaction.resultDesc = "C2B payment confirmed"
+    transaction.failureReason = null
+    transaction.metadata = {
+      ...transaction.metadata,
+      ...this._extractC2BMetadata(payload),
+      completedAt: now,
+    }
+    transaction.updatedAt = now
+
+    try {
+      await transaction.save()
+    } catch (error) {
+      // Stored meanwhile by a repeated confirmation or the Pull Transactions backfill; update that record instead
+      if (error.code === 11000 && transaction.isNew) {
+        return this.handleC2BConfirmation(payload)
+      }
+
+      throw error
+    }
+
+    logger.info(`C2B transaction ${receiptNumber} marked as successful`)
+
+    try {
+      await this._matchQRCodePayment(transaction)
+    } catch (error) {
+      logger.error(`Error matching C2B transaction ${receiptNumber} to a QR code:`, error.message)
+    }
+
+    return transaction
+  }
+
+  /**
+   * Extract the descriptive fields of a C2B payload for transaction metadata
+   *
+   * @param {Object} payload - C2B validation or confirmation payload
+   * @returns {Object} - Metadata fields
+   */
+  _extractC2BMetadata(payload) {
+    return {
+      c2bTransactionType: payload.TransactionType,
+      transTime: payload.TransTime,
+      businessShortCode: payload.BusinessShortCode,
+      billRefNumber: payload.BillRefNumber,
+      invoiceNumber: payload.InvoiceNumber,
+      orgAccountBalance: payload.OrgAccountBalance,
+      thirdPartyTransID: payload.ThirdPartyTransID,
+      customerName: [payload.FirstName, payload.MiddleName, payload.LastName].filter(Boolean).join(" "),
+    }
+  }
+
+  /**
+   * Register the shortcode for the Pull Transactions API
+   *
+   * @param {Object} params - Registration parameters
+   * @param {string} params.nominatedNumber - Safaricom number nominated to receive pull notifications
+   * @param {string} params.callbackURL - Callback URL (defaults to configured URL)
+   * @returns {Promise<Object>} - Registration response
+   */
+  async registerPullTransactions({ nominatedNumber, callbackURL } = {}) {
+    try {
+      const token = await this.getAccessToken()
+      const requestBody = {
+        ShortCode: this.shortCode,
+        RequestType: "Pull",
+        NominatedNumber: formatPhoneNumber(nominatedNumber || this.config.pullNominatedNumber || ""),
+        CallBackURL: callbackURL || this.config.pullCallbackUrl,
+      }
+
+      logger.info("Registering for Pull Transactions:", requestBody)
+
+      const response = await this.api.post("/pulltransactions/v1/register", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      return response.data
+    } catch (error) {
+      logger.error("Pull Transactions registration failed:", error.message)
+      throw new Error(`Failed to register for Pull Transactions: ${error.message}`)
+    }
+  }
+
+  /**
+   * Backfill transactions through the Pull Transactions API
+   * Fetches every page for the date range and upserts transactions that are missing,
+   * using the M-Pesa receipt number as the dedupe key
+   *
+   * @param {Date|string} startDate - Start of the range
+   * @param {Date|string} endDate - End of the range
+   * @returns {Promise<Object>} - Summary of fetched, inserted, updated and skipped records
+   */
+  async pullTransactions(startDate, endDate) {
+    const summary = { fetched: 0, inserted: 0, updated: 0, skipped: 0 }
+    const maxPages = 50
+    let offset = 0
+
+    try {
+      const token = await this.getAccessToken()
+
+      logger.info("Pulling transactions:", { startDate, endDate })
+
+      for (let page = 0; page < maxPages; page++) {
+        const response = await this.api.post(
+          "/pulltransactions/v1/query",
+          {
+            ShortCode: this.shortCode,
+            StartDate: formatPullDate(startDate),
+            EndDate: formatPullDate(endDate),
+            OffSetValue: String(offset),
+          },
+          {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          },
+        )
+
+        // Records are returned as a (sometimes nested) array under Response
+        const records = [response.data.Response || []].flat(Infinity).filter((record) => record?.transactionId)
+
+        if (records.length === 0) {
+          break
+        }
+
+        summary.fetched += records.length
+        offset += records.length
+
+        for (const record of records) {
+          const outcome = await this._upsertPulledTransaction(record)
+          summary[outcome]++
+        }
+      }
+
+      logger.info("Pull Transactions backfill completed", summary)
+
+      return summary
+    } catch (error) {
+      logger.error("Pull Transactions query failed:", error.message)
+      throw new Error(`Failed to pull transactions: ${error.message}`)
+    }
+  }
+
+  /**
+   * Insert a pulled transaction, or settle a pending one with the same receipt number
+   *
+   * @param {Object} record - Pull Transactions record
+   * @returns {Promise<string>} - inserted, updated or skipped
+   */
+  async _upsertPulledTransaction(record) {
+    const receiptNumber = record.transactionId
+    const now = Math.floor(Date.now() / 1000)
+    const pullMetadata = {
+      source: "pull",
+      pulledAt: now,
+      trxDate: record.trxDate,
+      pullTransactionType: record.transactiontype,
+      billRefNumber: record.billreference,
+      sender: record.sender,
+      organizationName: record.organizationname,
+    }
+
+    const existing = await Transaction.findOne({
+      merchant: this.merchantId || null,
+      $or: [{ mpesaReceiptNumber: receiptNumber }, { transactionId: receiptNumber }],
+    })
+
+    if (existing) {
+      // A receipt proves the payment completed; settle records whose callback never arrived.
+      // Only a record that is still pending is changed, so a result that lands meanwhile is kept
+      const settled = await Transaction.findOneAndUpdate(
+        { _id: existing._id, status: "pending" },
+        {
+          $set: {
+            status: "success",
+            resultCode: "0",
+            failureReason: null,
+            mpesaReceiptNumber: receiptNumber,
+            transactionId: receiptNumber,
+            timeoutHandled: true,
+            metadata: { ...existing.metadata, ...pullMetadata, completedAt: now },
+            updatedAt: now,
+          },
+        },
+        { new: true },
+      )
+
+      if (!settled) {
+        return "skipped"
+      }
+
+      logger.info(`Pending transaction ${existing._id} settled from pulled receipt ${receiptNumber}`)
+      return "updated"
+    }
+
+    try {
+      await Transaction.create({
+        transactionType: "C2B",
+        merchant: this.merchantId,
+        amount: Number(record.amount),
+        phoneNumber: String(record.msisdn || "unknown"),
+        referenceId: record.billreference || receiptNumber,
+        status: "success",
+        mpesaReceiptNumber: receiptNumber,
+        transactionId: receiptNumber,
+        resultCode: "0",
+        resultDesc: "Recovered through Pull Transactions",
+        metadata: { ...pullMetadata, completedAt: now },
+      })
+    } catch (error) {
+      // The C2B confirmation stored the payment after the lookup above
+      if (error.code === 11000) {
+        return "skipped"
+      }
+
+      throw error
+    }
+
+    logger.info(`Missing transaction ${receiptNumber} inserted from Pull Transactions`)
+    return "inserted"
+  }
+
+  /**
+   * Backfill the last `pullLookbackMinutes` through the Pull Transactions API
+   * Run on a schedule for every merchant by merchantService.startPullTransactionsSchedule()
+   *
+   * @returns {Promise<Object>} - Summary of fetched, inserted, updated and skipped records
+   */
+  async pullRecentTransactions() {
+    const endDate = new Date()
+    const startDate = new Date(endDate.getTime() - this.config.pullLookbackMinutes * 60 * 1000)
+
+    return this.pullTransactions(startDate, endDate)
+  }
+
+  /**
+   * Onboard the shortcode to Bill Manager
+   *
+   * @param {Object} params - Onboarding parameters
+   * @param {string} params.email - Official email shown on invoices
+   * @param {string} params.officialContact - Official phone number shown on invoices
+   * @param {boolean} params.sendReminders - Whether Bill Manager sends payment reminders
+   * @param {string} params.logo - Logo URL shown on invoices
+   * @param {string} params.callbackURL - Payment notification URL (defaults to configured URL)
+   * @returns {Promise<Object>} - Onboarding response
+   */
+  async billManagerOptIn({ email, officialContact, sendReminders = true, logo, callbackURL }) {
+    try {
+      const token = await this.getAccessToken()
+      const requestBody = {
+        shortcode: this.shortCode,
+        email,
+        officialContact: formatPhoneNumber(officialContact),
+        sendReminders: sendReminders ? "1" : "0",
+        logo,
+        callbackurl: callbackURL || this.config.billManagerCallbackUrl,
+      }
+
+      logger.info("Onboarding to Bill Manager:", { shortCode: this.shortCode, email })
+
+      const response = await this.api.post("/v1/billmanager-invoice/optin", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      return response.data
+    } catch (error) {
+      logger.error("Bill Manager onboarding failed:", error.message)
+      throw new Error(`Failed to onboard to Bill Manager: ${error.message}`)
+    }
+  }
+
+  /**
+   * Build the Bill Manager request body for an invoice
+   *
+   * @param {Object} invoice - Invoice document
+   * @returns {Object} - Bill Manager invoice payload
+   */
+  _toBillManagerInvoice(invoice) {
+    return {
+      externalReference: invoice.externalReference,
+      billedFullName: invoice.billedFullName,
+      billedPhoneNumber: invoice.billedPhoneNumber,
+      billedPeriod: invoice.billedPeriod,
+      invoiceName: invoice.invoiceName,
+      dueDate: `${formatPullDate(invoice.dueDate)}.00`,
+      accountReference: invoice.accountReference,
+      amount: String(Math.round(invoice.amount)),
+      invoiceItems: (invoice.invoiceItems || []).map((item) => ({
+        itemName: item.itemName,
+        amount: String(Math.round(item.amount)),
+      })),
+    }
+  }
+
+  /**
+   * Create and send a single Bill Manager invoice
+   *
+   * @param {Object} params - Invoice fields (externalReference, billedFullName, billedPhoneNumber,
+   *   billedPeriod, invoiceName, dueDate, accountReference, amount, invoiceItems)
+   * @returns {Promise<Object>} - Stored invoice
+   */
+  async createInvoice(params) {
+    const invoice = await Invoice.create({
+      ...params,
+      merchant: this.merchantId,
+      billedPhoneNumber: formatPhoneNumber(params.billedPhoneNumber),
+    })
+
+    try {
+      const token = await this.getAccessToken()
+
+      logger.info("Sending Bill Manager invoice:", {
+        externalReference: invoice.externalReference,
+        amount: invoice.amount,
+      })
+
+      const response = await this.api.post(
+        "/v1/billmanager-invoice/single-invoicing",
+        this._toBillManagerInvoice(invoice),
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      )
+
+      if (String(response.data.rescode) === "200") {
+        invoice.status = "sent"
+        invoice.sentAt = new Date()
+      } else {
+        invoice.status = "failed"
+        invoice.failureReason = response.data.resmsg
+      }
+    } catch (error) {
+      logger.error("Bill Manager invoice failed:", error.message)
+
+      invoice.status = "failed"
+      invoice.failureReason = error.response?.data?.resmsg || error.message
+    }
+
+    await invoice.save()
+    return invoice
+  }
+
+  /**
+   * Create and send Bill Manager invoices in bulk
+   *
+   * @param {Array<Object>} invoices - Invoice fields, as for createInvoice
+   * @returns {Promise<Array<Object>>} - Stored invoices
+   */
+  async createBulkInvoices(invoices) {
+    const stored = await Invoice.insertMany(
+      invoices.map((params) => ({
+        ...params,
+        merchant: this.merchantId,
+        billedPhoneNumber: formatPhoneNumber(params.billedPhoneNumber),
+      })),
+    )
+    const externalReferences = stored.map((invoice) => invoice.externalReference)
+    let update
+
+    try {
+      const token = await this.getAccessToken()
+
+      logger.info(`Sending ${stored.length} Bill Manager invoices in bulk`)
+
+      const response = await this.api.post(
+        "/v1/billmanager-invoice/bulk-invoicing",
+        stored.map((invoice) => this._toBillManagerInvoice(invoice)),
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      )
+
+      update =
+        String(response.data.rescode) === "200"
+          ? { status: "sent", sentAt: new Date() }
+          : { status: "failed", failureReason: response.data.resmsg }
+    } catch (error) {
+      logger.error("Bill Manager bulk invoicing failed:", error.message)
+      update = { status: "failed", failureReason: error.response?.data?.resmsg || error.message }
+    }
+
+    const filter = { merchant: this.merchantId ?? null, externalReference: { $in: externalReferences } }
+
+    await Invoice.updateMany(filter, { $set: update })
+
+    return Invoice.find(filter)
+  }
+
+  /**
+   * Cancel a Bill Manager invoice
+   *
+   * @param {string} externalReference - Invoice external reference
+   * @returns {Promise<Object>} - Cancel response
+   */
+  async cancelInvoice(externalReference) {
+    try {
+      const token = await this.getAccessToken()
+
+      logger.info("Cancelling Bill Manager invoice:", { externalReference })
+
+      const response = await this.api.post(
+        "/v1/billmanager-invoice/cancel-single-invoice",
+        { externalReference },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      )
+
+      if (String(response.data.rescode) === "200") {
+        await Invoice.updateOne(
+          { merchant: this.merchantId ?? null, externalReference },
+          { $set: { status: "cancelled", cancelledAt: new Date() } },
+        )
+      }
+
+      return response.data
+    } catch (error) {
+      logger.error("Bill Manager invoice cancellation failed:", error.message)
+      throw new Error(`Failed to cancel invoice: ${error.message}`)
+    }
+  }
+
+  /**
+   * Handle a Bill Manager payment notification
+   * Records the payment as a transaction, applies it to the invoice and acknowledges it
+   * to Bill Manager through the reconciliation API
+   *
+   * @param {Object} payload - Payment notification (transactionId, paidAmount, msisdn, dateCreated,
+   *   accountReference, shortCode)
+   * @returns {Promise<Object|null>} - Updated invoice, if one matched
+   */
+  async handleBillPaymentNotification(payload) {
+    const receiptNumber = payload.transactionId
+    const paidAmount = Number(payload.paidAmount)
+    const now = Math.floor(Date.now() / 1000)
+
+    // Only this merchant's invoices; another paybill may use the same account reference
+    const invoice = await Invoice.findOne({
+      merchant: this.merchantId ?? null,
+      accountReference: payload.accountReference,
+      status: { $in: ["sent", "partially_paid", "pending"] },
+    }).sort({ dueDate: 1 })
+
+    // The same payment may already have been recorded by the C2B confirmation
+    let transaction = await Transaction.findOne({
+      $or: [{ mpesaReceiptNumber: receiptNumber }, { transactionId: receiptNumber }],
+    })
+
+    if (!transaction) {
+      transaction = new Transaction({
+        transactionType: "C2B",
+        merchant: this.merchantId,
+        amount: paidAmount,
+        phoneNumber: String(payload.msisdn),
+        referenceId: payload.accountReference || receiptNumber,
+        status: "success",
+        mpesaReceiptNumber: receiptNumber,
+        transactionId: receiptNumber,
+        resultCode: "0",
+        resultDesc: "Bill Manager payment",
+      })
+    }
+
+    transaction.metadata = {
+      ...transaction.metadata,
+      source: transaction.metadata?.source || "billManager",
+      invoiceId: invoice?._id,
+      invoiceExternalReference: invoice?.externalReference,
+      billManagerPaidAt: payload.dateCreated,
+      completedAt: transaction.metadata?.completedAt || now,
+    }
+    transaction.updatedAt = now
+    await transaction.save()
+
+    if (!invoice) {
+      logger.warn(`No open invoice found for Bill Manager payment ${receiptNumber}`, {
+        accountReference: payload.accountReference,
+      })
+      return null
+    }
+
+    if (invoice.payments.some((payment) => payment.receiptNumber === receiptNumber)) {
+      logger.info(`Bill Manager payment ${receiptNumber} already applied to invoice ${invoice.externalReference}`)
+      return invoice
+    }
+
+    invoice.payments.push({
+      transaction: transaction._id,
+      receiptNumber,
+      amount: paidAmount,
+      phoneNumber: String(payload.msisdn),
+      paidAt: new Date(),
+    })
+    invoice.transactions.addToSet(transaction._id)
+    invoice.amountPaid += paidAmount
+    invoice.status = invoice.amountPaid >= invoice.amount ? "paid" : "partially_paid"
+    await invoice.save()
+
+    logger.info(`Invoice ${invoice.externalReference} marked as ${invoice.status}`, {
+      amountPaid: invoice.amountPaid,
+      amount: invoice.amount,
+    })
+
+    try {
+      await this._reconcileBillPayment(invoice, transaction, payload)
+    } catch (error) {
+      logger.error(`Bill Manager reconciliation failed for ${receiptNumber}:`, error.message)
+    }
+
+    return invoice
+  }
+
+  /**
+   * Acknowledge a Bill Manager payment through the reconciliation API
+   *
+   * @param {Object} invoice - Paid invoice
+   * @param {Object} transaction - Payment transaction
+   * @param {Object} payload - Payment notification
+   * @returns {Promise<Object>} - Reconciliation response
+   */
+  async _reconcileBillPayment(invoice, transaction, payload) {
+    const token = await this.getAccessToken()
+
+    const response = await this.api.post(
+      "/v1/billmanager-invoice/reconciliation",
+      {
+        paymentDate: payload.dateCreated,
+        paidAmount: String(payload.paidAmount),
+        accountReference: invoice.accountReference,
+        transactionId: transaction.mpesaReceiptNumber,
+        phoneNumber: String(payload.msisdn),
+        fullName: invoice.billedFullName,
+        invoiceName: invoice.invoiceName,
+        externalReference: invoice.externalReference,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    )
+
+    return response.data
+  }
+
+  /**
+   * Create a Ratiba standing order
+   * The customer is prompted to approve the standing order; the callback confirms approval
+   * and every debit executed afterwards
+   *
+   * @param {Object} params - Standing order parameters
+   * @param {string} params.standingOrderName - Unique name for the standing order
+   * @param {string} params.phoneNumber - Customer phone number
+   * @param {number} params.amount - Amount debited on each execution
+   * @param {string} params.frequency - one_off, daily, weekly, monthly, bi_monthly, quarterly, half_yearly or yearly
+   * @param {Date} params.startDate - First execution date
+   * @param {Date} params.endDate - Last execution date
+   * @param {string} params.accountReference - Account reference
+   * @param {string} params.transactionDesc - Transaction description
+   * @param {string} params.receiverType - paybill or till
+   * @param {string} params.businessShortCode - Receiving paybill or till (defaults to the configured shortcode)
+   * @returns {Promise<Object>} - Stored standing order
+   */
+  async createStandingOrder({
+    standingOrderName,
+    phoneNumber,
+    amount,
+    frequency,
+    startDate,
+    endDate,
+    accountReference,
+    transactionDesc,
+    receiverType = "paybill",
+    businessShortCode,
+  }) {
+    const standingOrder = await StandingOrder.create({
+      merchant: this.merchantId,
+      standingOrderName,
+      phoneNumber: formatPhoneNumber(phoneNumber),
+      amount,
+      frequency,
+      startDate,
+      endDate,
+      accountReference,
+      transactionDesc,
+      receiverType,
+      businessShortCode: businessShortCode || this.shortCode,
+    })
+
+    try {
+      const token = await this.getAccessToken()
+      const requestBody = {
+        StandingOrderName: standingOrder.standingOrderName,
+        StartDate: formatRatibaDate(standingOrder.startDate),
+        EndDate: formatRatibaDate(standingOrder.endDate),
+        BusinessShortCode: standingOrder.businessShortCode,
+        TransactionType:
+          receiverType === "till" ? "Standing Order Customer Pay Marchant" : "Standing Order Customer Pay Bill",
+        ReceiverPartyIdentifierType: receiverType === "till" ? "2" : "4",
+        Amount: String(Math.round(standingOrder.amount)),
+        PartyA: standingOrder.phoneNumber,
+        CallBackURL: this.config.standingOrderCallbackUrl,
+        AccountReference: standingOrder.accountReference,
+        TransactionDesc: standingOrder.transactionDesc || "Standing Order",
+        Frequency: STANDING_ORDER_FREQUENCIES[standingOrder.frequency],
+      }
+
+      logger.info("Creating standing order:", {
+        standingOrderName: requestBody.StandingOrderName,
+        phoneNumber: requestBody.PartyA,
+        amount: requestBody.Amount,
+        frequency: standingOrder.frequency,
+      })
+
+      const response = await this.api.post("/standingorder/v1/createStandingOrderExternal", requestBody, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      const header = response.data.ResponseHeader || {}
+
+      standingOrder.responseRefId = header.responseRefID
+      standingOrder.resultCode = String(header.responseCode)
+      standingOrder.resultDesc = header.responseDescription
+
+      if (String(header.responseCode) !== "200") {
+        standingOrder.status = "failed"
+        standingOrder.failureReason = header.responseDescription
+      }
+    } catch (error) {
+      logger.error("Standing order creation failed:", error.message)
+
+      standingOrder.status = "failed"
+      standingOrder.failureReason =
+        error.response?.data?.ResponseHeader?.responseDescription || error.response?.data?.errorMessage || error.message
+    }
+
+    await standingOrder.save()
+    return standingOrder
+  }
+
+  /**
+   * Handle a Ratiba standing order callback
+   * The first successful callback activates the standing order; each callback carrying a
+   * TransactionID records the executed debit as a transaction linked to the standing order
+   *
+   * @param {Object} callbackData - Standing order callback payload
+   * @returns {Promise<Object|null>} - Updated standing order, if one matched
+   */
+  async handleStandingOrderCallback(callbackData) {
+    const header = callbackData.ResponseHeader || {}
+    const data = {}
+
+    for (const item of callbackData.ResponseBody?.responseData || []) {
+      data[item.name] = item.value
+    }
+
+    const responseRefId = data.responseRefID || header.responseRefID
+    const success = String(header.responseCode) === "0"
+    const now = Math.floor(Date.now() / 1000)
+
+    const standingOrder = await StandingOrder.findOne({ responseRefId })
+
+    if (!standingOrder) {
+      logger.warn(`No standing order found for callback reference: ${responseRefId}`)
+      return null
+    }
+
+    standingOrder.resultCode = String(header.responseCode)
+    standingOrder.resultDesc = header.responseDescription
+
+    if (standingOrder.status === "pending") {
+      if (success) {
+        standingOrder.status = "active"
+        standingOrder.activatedAt = new Date()
+      } else {
+        standingOrder.status = "failed"
+        standingOrder.failureReason = header.responseDescription
+      }
+    }
+
+    if (data.TransactionID) {
+      const existing = await Transaction.findOne({ mpesaReceiptNumber: data.TransactionID })
+
+      if (existing) {
+        logger.info(`Standing order debit ${data.TransactionID} already recorded`)
+      } else {
+        await Transaction.create({
+          transactionType: "STANDING_ORDER",
+          merchant: standingOrder.merchant,
+          amount: standingOrder.amount,
+          phoneNumber: standingOrder.phoneNumber,
+          referenceId: standingOrder.accountReference,
+          status: success ? "success" : "failed",
+          mpesaReceiptNumber: data.TransactionID,
+          transactionId: data.TransactionID,
+          resultCode: String(header.responseCode),
+          resultDesc: header.responseDescription,
+          failureReason: success ? undefined : header.responseDescription,
+          standingOrder: standingOrder._id,
+          metadata: {
+            standingOrderName: standingOrder.standingOrderName,
+            responseRefId,
+            debitStatus: data.Status,
+            completedAt: now,
+          },
+        })
+
+        if (success) {
+          standingOrder.executionCount += 1
+          standingOrder.lastExecutedAt = new Date()
+        }
+
+        logger.info(`Standing order debit ${data.TransactionID} recorded`, {
+          standingOrderName: standingOrder.standingOrderName,
+          status: success ? "success" : "failed",
+        })
+      }
+    }
+
+    await standingOrder.save()
+    return standingOrder
+  }
+
+  /**
+   * Debug utility to check transaction status
+   * @param {string} checkoutRequestID - The checkout request ID to check
+   */
+  async debugTransactionStatus(checkoutRequestID) {
+    try {
+      const transaction = await Transaction.findOne({ checkoutRequestID })
+
+      if (!transaction) {
+        logger.info(`[DEBUG] No transaction found with checkoutRequestID: ${checkoutRequestID}`)
+        return null
+      }
+
+      logger.info(`[DEBUG] Transaction ${checkoutRequestID} status:`, {
+        id: transaction._id,
+        status: transaction.status,
+        resultCode: transaction.resultCode,
+        resultDesc: transaction.resultDesc,
+        failureReason: transaction.failureReason,
+        createdAt: new Date(transaction.createdAt * 1000).toISOString(),
+        updatedAt: new Date(transaction.updatedAt * 1000).toISOString(),
+      })
+
+      return transaction
+    } catch (error) {
+      logger.error(`[DEBUG] Error checking transaction status:`, error)
+      return null
+    }
+  }
+
+  /**
+   * Debug utility to fix incorrectly marked transactions
+   * @param {string} checkoutRequestID - The checkout request ID to fix
+   */
+  async fixTransactionStatus(checkoutRequestID) {
+    try {
+      const transaction = await Transaction.findOne({ checkoutRequestID })
+
+      if (!transaction) {
+        logger.info(`[DEBUG] No transaction found with checkoutRequestID: ${checkoutRequestID}`)
+        return null
+      }
 
       // Check if this is a transaction that was incorrectly marked as failed
       if (transaction.status === "failed" && transaction.resultCode === "0") {
@@ -1240,5 +3116,7 @@ class MpesaService {
   }
 }
 
-// Export singleton instance
+export { MpesaService }
+
+// Export singleton instance for the default merchant
 export default new MpesaService()
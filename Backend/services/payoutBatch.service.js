@@ -0,0 +1,512 @@
+import config from "../config/index.js"
+import logger from "../utils/mpesa.logger.js"
+import { formatPhoneNumber, generateTransactionReference, parseCsv, toCsv } from "../utils/mpesa.helpers.js"
+import { validationSchemas } from "../middleware/mpesa.js"
+import merchantService from "./merchant.service.js"
+import scheduler from "./scheduler.service.js"
+import PayoutBatch from "../models/mpesa.payoutBatch.model.js"
+import Transaction from "../models/mpesa.transaction.model.js"
+
+// Row statuses that still wait on M-Pesa
+const OPEN_ROW_STATUSES = ["queued", "sending", "submitted", "unknown"]
+
+// Rows sent per run of a batch's dispatch job
+const ROWS_PER_RUN = 50
+
+// Columns of the downloadable results file
+const RESULT_COLUMNS = [
+  "rowNumber",
+  "phoneNumber",
+  "amount",
+  "remarks",
+  "status",
+  "receiptNumber",
+  "conversationId",
+  "failureReason",
+  "validationErrors",
+]
+
+/**
+ * Bulk B2C Payout Service
+ * Validates uploaded payout lists and dispatches them through MpesaService.sendB2CPayment
+ */
+class PayoutBatchService {
+  constructor() {
+    // Batches are dispatched by a job so a restart mid-batch resumes instead of leaving it in processing
+    scheduler.register("payouts.dispatch", (job) => this._processBatch(job.data.batchId))
+
+    // Rows whose B2C request got no answer are settled from status queries, never by sending them again
+    scheduler.register("payouts.reconcile", (job) => this._reconcileRow(job))
+  }
+
+  /**
+   * Parse and validate an uploaded payout list and store it as a batch
+   * Every row is checked against the b2c validation schema; invalid rows are kept but never sent
+   *
+   * @param {Object} params - Upload parameters
+   * @param {string} params.name - Batch name
+   * @param {string} params.source - Upload format (csv or json)
+   * @param {string|Array<Object>} params.data - CSV text or array of rows
+   * @param {string} params.commandID - Default command ID for rows that do not set one
+   * @param {string} params.merchant - Merchant ID the payouts are sent from (default merchant when unset)
+   * @returns {Promise<Object>} - Stored payout batch
+   */
+  async createBatch({ name, source, data, commandID, merchant }) {
+    const rawRows = source === "csv" ? parseCsv(data) : data
+
+    if (!Array.isArray(rawRows) || rawRows.length === 0) {
+      throw new Error("Payout list contains no rows")
+    }
+
+    if (rawRows.length > config.payouts.maxRows) {
+      throw new Error(`Payout list exceeds the maximum of ${config.payouts.maxRows} rows`)
+    }
+
+    const rows = rawRows.map((rawRow, index) => this._validateRow(rawRow, index + 1, commandID))
+    const validRows = rows.filter((row) => row.status === "queued")
+
+    const batch = await PayoutBatch.create({
+      merchant,
+      name: name || `Payout batch ${new Date().toISOString()}`,
+      source,
+      rows,
+      summary: {
+        totalRows: rows.length,
+        validRows: validRows.length,
+        invalidRows: rows.length - validRows.length,
+        totalAmount: validRows.reduce((sum, row) => sum + row.amount, 0),
+      },
+    })
+
+    logger.info(`Payout batch ${batch._id} created`, batch.summary)
+
+    return batch
+  }
+
+  /**
+   * Validate a single uploaded row with the b2c rules
+   *
+   * @param {Object} rawRow - Uploaded row
+   * @param {number} rowNumber - 1-based row number in the upload
+   * @param {string} defaultCommandID - Command ID to use when the row does not set one
+   * @returns {Object} - Payout row
+   */
+  _validateRow(rawRow, rowNumber, defaultCommandID) {
+    const body = {
+      phoneNumber: rawRow.phoneNumber ?? rawRow.phone,
+      amount: rawRow.amount,
+      remarks: rawRow.remarks || undefined,
+      occassion: rawRow.occassion || rawRow.occasion || undefined,
+      commandID: rawRow.commandID || defaultCommandID || undefined,
+    }
+
+    // JSON uploads may send phone numbers as numbers
+    if (typeof body.phoneNumber === "number") {
+      body.phoneNumber = String(body.phoneNumber)
+    }
+
+    const { error, value } = validationSchemas.b2c.validate({ body }, { abortEarly: false, stripUnknown: true })
+
+    if (error) {
+      return {
+        rowNumber,
+        phoneNumber: body.phoneNumber !== undefined ? String(body.phoneNumber) : undefined,
+        amount: Number.isFinite(Number(body.amount)) ? Number(body.amount) : undefined,
+        remarks: body.remarks,
+        status: "invalid",
+        validationErrors: error.details.map((detail) => detail.message),
+      }
+    }
+
+    return {
+      rowNumber,
+      phoneNumber: formatPhoneNumber(value.body.phoneNumber),
+      amount: value.body.amount,
+      remarks: value.body.remarks,
+      occassion: value.body.occassion,
+      commandID: value.body.commandID,
+      status: "queued",
+    }
+  }
+
+  /**
+   * Start dispatching a validated batch
+   * Rows are sent by a scheduled job, so dispatch carries on after a restart; the batch is returned immediately
+   *
+   * @param {string} batchId - Payout batch ID
+   * @param {number} concurrency - Maximum number of B2C requests in flight
+   * @returns {Promise<Object>} - Batch being dispatched
+   */
+  async dispatchBatch(batchId, concurrency = config.payouts.concurrency) {
+    // Claim the batch atomically so it cannot be dispatched twice
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, status: "validated" },
+      { $set: { status: "processing", concurrency, dispatchedAt: new Date() } },
+      { new: true },
+    )
+
+    if (!batch) {
+      return null
+    }
+
+    logger.info(`Dispatching payout batch ${batch._id} with concurrency ${concurrency}`)
+
+    await scheduler.schedule("payouts.dispatch", { batchId: String(batch._id) }, { key: String(batch._id) })
+
+    return batch
+  }
+
+  /**
+   * Reschedule the dispatch of batches left in processing without a job, e.g. after their job failed
+   *
+   * @returns {Promise<number>} - Number of batches resumed
+   */
+  async resumeDispatches() {
+    const batches = await PayoutBatch.find({ status: "processing" }).select("_id")
+    let resumed = 0
+
+    for (const batch of batches) {
+      const job = await scheduler.ensureScheduled(
+        "payouts.dispatch",
+        { batchId: String(batch._id) },
+        { key: String(batch._id) },
+      )
+
+      if (job) {
+        logger.info(`Resuming dispatch of payout batch ${batch._id}`)
+        resumed++
+      }
+    }
+
+    return resumed
+  }
+
+  /**
+   * Send the next queued rows of a batch with at most `concurrency` requests in flight
+   * Each run sends up to ROWS_PER_RUN rows and runs again until none are left, so a run never holds its
+   * job lease for long
+   *
+   * @param {string} batchId - Payout batch ID
+   * @returns {Promise<Object|undefined>} - Next run, while rows are still queued
+   */
+  async _processBatch(batchId) {
+    const batch = await PayoutBatch.findById(batchId)
+
+    if (!batch || batch.status !== "processing") {
+      return undefined
+    }
+
+    const mpesa = await merchantService.getMpesaService(batch.merchant)
+
+    await this._recoverInterruptedRows(mpesa, batch)
+
+    const queue = batch.rows.filter((row) => row.status === "queued").slice(0, ROWS_PER_RUN)
+
+    if (queue.length === 0) {
+      await PayoutBatch.updateOne({ _id: batch._id, status: "processing" }, { $set: { status: "dispatched" } })
+      await this.refreshBatch(batch._id)
+
+      logger.info(`Payout batch ${batch._id} dispatched`)
+      return undefined
+    }
+    const concurrency = batch.concurrency || config.payouts.concurrency
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const row = queue.shift()
+        await this._dispatchRow(mpesa, batch._id, row)
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, worker))
+
+    return { runAt: new Date() }
+  }
+
+  /**
+   * Reconcile rows a previous run claimed but never recorded, because its instance stopped mid-request
+   * They are not sent again, since M-Pesa may already have accepted them
+   *
+   * @param {MpesaService} mpesa - Service for the batch's merchant
+   * @param {Object} batch - Payout batch document
+   */
+  async _recoverInterruptedRows(mpesa, batch) {
+    for (const row of batch.rows.filter((batchRow) => batchRow.status === "sending")) {
+      logger.warn(`Payout batch ${batch._id} row ${row.rowNumber} was interrupted while sending`)
+
+      await this._markUnknown(
+        mpesa,
+        batch._id,
+        row,
+        row.originatorConversationId,
+        "Dispatch was interrupted before M-Pesa answered",
+      )
+    }
+  }
+
+  /**
+   * Send a single payout row through sendB2CPayment
+   * The row is claimed first, so it is sent once even if two runs overlap
+   *
+   * @param {MpesaService} mpesa - Service for the batch's merchant
+   * @param {string} batchId - Payout batch ID
+   * @param {Object} row - Payout row
+   */
+  async _dispatchRow(mpesa, batchId, row) {
+    // Sent with the request, so the payout can be looked up even if no response arrives
+    const originatorConversationId = generateTransactionReference("B2C")
+
+    const claim = await PayoutBatch.updateOne(
+      { _id: batchId, rows: { $elemMatch: { rowNumber: row.rowNumber, status: "queued" } } },
+      { $set: { "rows.$.status": "sending", "rows.$.originatorConversationId": originatorConversationId } },
+    )
+
+    if (claim.modifiedCount === 0) {
+      return
+    }
+
+    let update
+
+    try {
+      const result = await mpesa.sendB2CPayment({
+        phoneNumber: row.phoneNumber,
+        amount: row.amount,
+        commandID: row.commandID,
+        remarks: row.remarks,
+        occassion: row.occassion,
+        metadata: {
+          payoutBatchId: batchId,
+          payoutRowNumber: row.rowNumber,
+        },
+        originatorConversationId,
+      })
+
+      if (result.ResponseCode === "0") {
+        const transaction = await Transaction.findOne({ conversationId: result.ConversationID }).select("_id")
+
+        update = {
+          status: "submitted",
+          conversationId: result.ConversationID,
+          originatorConversationId: result.OriginatorConversationID,
+          transaction: transaction?._id,
+        }
+      } else {
+        update = { status: "failed", failureReason: result.ResponseDescription }
+      }
+    } catch (error) {
+      // M-Pesa may still have accepted the payment (e.g. the response timed out), so it is never marked failed here
+      logger.warn(`Payout batch ${batchId} row ${row.rowNumber} got no answer: ${error.message}`)
+
+      return this._markUnknown(mpesa, batchId, row, originatorConversationId, error.message)
+    }
+
+    const { status, ...references } = update
+    const $set = Object.fromEntries(Object.entries(references).map(([key, value]) => [`rows.$.${key}`, value]))
+
+    // A result callback may already have settled the row; only move it on from sending
+    const result = await PayoutBatch.updateOne(
+      { _id: batchId, rows: { $elemMatch: { rowNumber: row.rowNumber, status: "sending" } } },
+      { $set: { ...$set, "rows.$.status": status } },
+    )
+
+    if (result.matchedCount === 0 && Object.keys($set).length > 0) {
+      await PayoutBatch.updateOne({ _id: batchId, "rows.rowNumber": row.rowNumber }, { $set })
+    }
+  }
+
+  /**
+   * Mark a row whose B2C request got no answer as unknown and schedule its reconciliation
+   * A pending transaction is stored under the row's OriginatorConversationID, so a late result callback or a
+   * status query result settles it
+   *
+   * @param {MpesaService} mpesa - Service for the batch's merchant
+   * @param {string} batchId - Payout batch ID
+   * @param {Object} row - Payout row
+   * @param {string} originatorConversationId - OriginatorConversationID the row was sent with
+   * @param {string} reason - Why the outcome is unknown
+   */
+  async _markUnknown(mpesa, batchId, row, originatorConversationId, reason) {
+    // sendB2CPayment records a failed transaction under the same reference when M-Pesa answered with an error
+    const transaction = await Transaction.findOneAndUpdate(
+      { transactionType: "B2C", referenceId: originatorConversationId },
+      {
+        $set: {
+          status: "pending",
+          originatorConversationId,
+          failureReason: reason,
+        },
+        $setOnInsert: {
+          ...(mpesa.merchantId && { merchant: mpesa.merchantId }),
+          amount: row.amount,
+          phoneNumber: row.phoneNumber,
+          metadata: {
+            payoutBatchId: batchId,
+            payoutRowNumber: row.rowNumber,
+            commandID: row.commandID,
+            remarks: row.remarks,
+            occassion: row.occassion,
+            initiatedAt: Math.floor(Date.now() / 1000),
+          },
+        },
+      },
+      { upsert: true, new: true },
+    )
+
+    await PayoutBatch.updateOne(
+      { _id: batchId, rows: { $elemMatch: { rowNumber: row.rowNumber, status: "sending" } } },
+      {
+        $set: {
+          "rows.$.status": "unknown",
+          "rows.$.transaction": transaction._id,
+          "rows.$.failureReason": reason,
+        },
+      },
+    )
+
+    await scheduler.schedule(
+      "payouts.reconcile",
+      { batchId: String(batchId), rowNumber: row.rowNumber, checks: 0 },
+      { key: `${batchId}:${row.rowNumber}`, delayMs: config.payouts.reconcileIntervalSeconds * 1000 },
+    )
+  }
+
+  /**
+   * Settle an unknown row from its transaction, querying M-Pesa for its status until it is settled
+   * After reconcileMaxChecks queries the row is left unknown for an operator to check
+   *
+   * @param {Object} job - payouts.reconcile job
+   * @returns {Promise<Object|undefined>} - Next check, while the row is still unknown
+   */
+  async _reconcileRow(job) {
+    const { batchId, rowNumber, checks } = job.data
+
+    const batch = await PayoutBatch.findById(batchId)
+    const row = batch?.rows.find((batchRow) => batchRow.rowNumber === rowNumber)
+
+    // Already settled by a result or timeout callback
+    if (!row || row.status !== "unknown") {
+      return undefined
+    }
+
+    const transaction = await Transaction.findById(row.transaction)
+
+    if (transaction && transaction.status !== "pending") {
+      await this.recordTransactionResult(transaction)
+      return undefined
+    }
+
+    if (checks >= config.payouts.reconcileMaxChecks) {
+      logger.error(
+        `Payout batch ${batchId} row ${rowNumber} is still unconfirmed after ${checks} status queries; ` +
+          "check it before paying again",
+      )
+      return undefined
+    }
+
+    const mpesa = await merchantService.getMpesaService(batch.merchant)
+
+    // The result callback reconciles the query onto the row's transaction, which the next check records
+    await mpesa.queryTransactionStatus({ originatorConversationId: row.originatorConversationId, identifierType: 4 })
+
+    return {
+      runAt: new Date(Date.now() + config.payouts.reconcileIntervalSeconds * 1000),
+      data: { ...job.data, checks: checks + 1 },
+    }
+  }
+
+  /**
+   * Record the final outcome of a batch payout transaction
+   * Called from the B2C result and timeout callbacks
+   *
+   * @param {Object} transaction - Settled B2C transaction
+   * @returns {Promise<Object|null>} - Updated batch, if the transaction belongs to one
+   */
+  async recordTransactionResult(transaction) {
+    const batchId = transaction.metadata?.payoutBatchId
+    const rowNumber = transaction.metadata?.payoutRowNumber
+
+    if (!batchId || !rowNumber) {
+      return null
+    }
+
+    await PayoutBatch.updateOne(
+      { _id: batchId, "rows.rowNumber": rowNumber },
+      {
+        $set: {
+          "rows.$.status": transaction.status,
+          "rows.$.transaction": transaction._id,
+          "rows.$.conversationId": transaction.conversationId,
+          "rows.$.receiptNumber": transaction.transactionId,
+          "rows.$.failureReason": transaction.failureReason,
+        },
+      },
+    )
+
+    logger.info(`Payout batch ${batchId} row ${rowNumber} marked as ${transaction.status}`)
+
+    return this.refreshBatch(batchId)
+  }
+
+  /**
+   * Recalculate batch counters and complete the batch once no rows are open
+   *
+   * @param {string} batchId - Payout batch ID
+   * @returns {Promise<Object|null>} - Updated batch
+   */
+  async refreshBatch(batchId) {
+    const batch = await PayoutBatch.findById(batchId)
+
+    if (!batch) {
+      return null
+    }
+
+    const count = (status) => batch.rows.filter((row) => row.status === status).length
+
+    batch.summary.submitted = count("submitted")
+    batch.summary.succeeded = count("success")
+    batch.summary.failed = count("failed")
+    batch.summary.cancelled = count("cancelled")
+    batch.summary.unknown = count("unknown")
+
+    const openRows = batch.rows.filter((row) => OPEN_ROW_STATUSES.includes(row.status)).length
+
+    if (batch.status === "dispatched" && openRows === 0) {
+      batch.status = "completed"
+      batch.completedAt = new Date()
+      logger.info(`Payout batch ${batch._id} completed`, batch.summary)
+    }
+
+    await batch.save()
+    return batch
+  }
+
+  /**
+   * Build the downloadable results file of a batch
+   *
+   * @param {Object} batch - Payout batch document
+   * @param {string} format - csv or json
+   * @returns {string} - File contents
+   */
+  buildResultsFile(batch, format = "csv") {
+    const rows = batch.rows.map((row) => ({
+      rowNumber: row.rowNumber,
+      phoneNumber: row.phoneNumber,
+      amount: row.amount,
+      remarks: row.remarks,
+      status: row.status,
+      receiptNumber: row.receiptNumber,
+      conversationId: row.conversationId,
+      failureReason: row.failureReason,
+      validationErrors: (row.validationErrors || []).join("; "),
+    }))
+
+    if (format === "json") {
+      return JSON.stringify(rows, null, 2)
+    }
+
+    return toCsv(rows, RESULT_COLUMNS)
+  }
+}
+
+// Export singleton instance
+export default new PayoutBatchService()
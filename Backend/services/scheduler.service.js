@@ -0,0 +1,327 @@
+import os from "os"
+import crypto from "crypto"
+import config from "../config/index.js"
+import logger from "../utils/mpesa.logger.js"
+import Job from "../models/mpesa.job.model.js"
+
+// Longest wait before retrying a failed job
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000
+
+/**
+ * Scheduler Service
+ * Runs jobs stored in MongoDB, so pending work survives deploys and crashes. Each instance claims
+ * due jobs with a lease; a job whose lease expires (its instance died) is picked up by another.
+ *
+ * Handlers receive the job. Returning `{ runAt, data }` runs the job again at `runAt`; returning
+ * anything else completes it. A thrown error retries the job with exponential backoff until
+ * `maxAttempts` runs in a row have failed
+ */
+class SchedulerService {
+  constructor() {
+    // Handlers keyed by job type
+    this._handlers = new Map()
+
+    // Identifies this process in job leases
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`
+  }
+
+  /**
+   * Register the handler for a job type
+   * Only registered types are claimed by this instance
+   *
+   * @param {string} type - Job type
+   * @param {Function} handler - Async function receiving the job
+   */
+  register(type, handler) {
+    this._handlers.set(type, handler)
+  }
+
+  /**
+   * Schedule a job
+   * A job with the same type and key is replaced, whatever its status
+   *
+   * @param {string} type - Job type
+   * @param {Object} data - Data passed to the handler
+   * @param {Object} options - Scheduling options
+   * @param {string} options.key - Identifies the job within its type
+   * @param {Date} options.runAt - When the job is due (default: now)
+   * @param {number} options.delayMs - Delay from now, when runAt is not given
+   * @param {number} options.maxAttempts - Failed runs allowed before the job fails
+   * @returns {Promise<Object>} - Scheduled job
+   */
+  async schedule(type, data = {}, { key, runAt, delayMs = 0, maxAttempts = config.jobs.maxAttempts } = {}) {
+    const fields = {
+      data,
+      status: "scheduled",
+      runAt: runAt || new Date(Date.now() + delayMs),
+      attempts: 0,
+      maxAttempts,
+    }
+
+    if (!key) {
+      return Job.create({ type, ...fields })
+    }
+
+    return Job.findOneAndUpdate(
+      { type, key },
+      {
+        $set: fields,
+        $unset: { lockedBy: 1, lockedUntil: 1, lastError: 1, completedAt: 1, expiresAt: 1 },
+      },
+      { upsert: true, new: true },
+    )
+  }
+
+  /**
+   * Schedule a job unless one with the same type and key is already scheduled or running
+   *
+   * @param {string} type - Job type
+   * @param {Object} data - Data passed to the handler
+   * @param {Object} options - Scheduling options, as for schedule()
+   * @returns {Promise<Object|null>} - Scheduled job, or null when one is already waiting or running
+   */
+  async ensureScheduled(type, data = {}, options = {}) {
+    if (await Job.exists({ type, key: options.key, status: { $in: ["scheduled", "running"] } })) {
+      return null
+    }
+
+    return this.schedule(type, data, options)
+  }
+
+  /**
+   * Run a job type every `intervalMs`
+   * The job is stored once for all instances, so only one of them runs each occurrence.
+   * Errors are logged and the next occurrence runs as usual; an interval of 0 cancels the job
+   *
+   * @param {string} type - Job type
+   * @param {number} intervalMs - Interval in milliseconds
+   * @param {Function} handler - Async function run on each occurrence
+   * @returns {Promise<Object|null>} - Recurring job, or null when it is turned off
+   */
+  async every(type, intervalMs, handler) {
+    if (!intervalMs) {
+      await this.cancel(type, type)
+      return null
+    }
+
+    this.register(type, async (job) => {
+      try {
+        await handler(job)
+      } catch (error) {
+        logger.error(`Scheduled ${type} job failed: ${error.message}`)
+      }
+
+      return { runAt: new Date(Date.now() + intervalMs) }
+    })
+
+    // Revive the job if it was stopped, without moving an occurrence that is already due
+    await Job.updateOne(
+      { type, key: type, status: { $in: ["completed", "failed", "cancelled"] } },
+      { $set: { status: "scheduled", runAt: new Date(), attempts: 0 }, $unset: { expiresAt: 1 } },
+    )
+
+    return Job.findOneAndUpdate(
+      { type, key: type },
+      { $setOnInsert: { status: "scheduled", runAt: new Date(), attempts: 0, maxAttempts: config.jobs.maxAttempts } },
+      { upsert: true, new: true },
+    )
+  }
+
+  /**
+   * Cancel a scheduled job
+   * A job that is already running finishes its current run, so handlers must not assume a cancel stopped them
+   *
+   * @param {string} type - Job type
+   * @param {string} key - Job key
+   * @returns {Promise<boolean>} - Whether a job was cancelled
+   */
+  async cancel(type, key) {
+    const result = await Job.updateOne(
+      { type, key, status: "scheduled" },
+      { $set: { status: "cancelled", completedAt: new Date(), expiresAt: this._expiresAt() } },
+    )
+
+    return result.modifiedCount > 0
+  }
+
+  /**
+   * Start looking for due jobs every `pollIntervalMs`
+   *
+   * @returns {boolean} - Whether the scheduler was started
+   */
+  start() {
+    if (this._pollInterval) {
+      return false
+    }
+
+    this._pollInterval = setInterval(() => this.runDueJobs(), config.jobs.pollIntervalMs)
+
+    logger.info(`Job scheduler ${this.instanceId} started for: ${[...this._handlers.keys()].join(", ")}`)
+    return true
+  }
+
+  /**
+   * Stop looking for due jobs
+   * Jobs still running keep their lease until they finish
+   */
+  stop() {
+    clearInterval(this._pollInterval)
+    this._pollInterval = null
+  }
+
+  /**
+   * Claim and run due jobs, `concurrency` at a time, until none are left
+   * Skipped while a previous run is still working
+   *
+   * @returns {Promise<number>} - Number of jobs run
+   */
+  async runDueJobs() {
+    if (this._running) {
+      return 0
+    }
+
+    this._running = true
+    let count = 0
+
+    try {
+      while (true) {
+        const jobs = []
+
+        while (jobs.length < config.jobs.concurrency) {
+          const job = await this._claim()
+
+          if (!job) {
+            break
+          }
+
+          jobs.push(job)
+        }
+
+        if (jobs.length === 0) {
+          break
+        }
+
+        await Promise.all(jobs.map((job) => this._run(job)))
+        count += jobs.length
+      }
+    } catch (error) {
+      logger.error(`Job scheduler run failed: ${error.message}`)
+    } finally {
+      this._running = false
+    }
+
+    return count
+  }
+
+  /**
+   * Claim the next due job: a scheduled job, or a running one whose lease has expired
+   *
+   * @returns {Promise<Object|null>} - Claimed job
+   */
+  async _claim() {
+    const now = new Date()
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: [...this._handlers.keys()] },
+        runAt: { $lte: now },
+        $or: [{ status: "scheduled" }, { status: "running", lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          status: "running",
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + config.jobs.leaseSeconds * 1000),
+          lastRunAt: now,
+        },
+      },
+      { sort: { runAt: 1 }, new: true },
+    )
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   *
+   * @param {Object} job - Claimed job
+   */
+  async _run(job) {
+    let update
+
+    try {
+      const next = await this._handlers.get(job.type)(job)
+
+      if (next?.runAt) {
+        update = {
+          $set: { status: "scheduled", runAt: next.runAt, data: next.data || job.data, attempts: 0 },
+          $unset: { lockedBy: 1, lockedUntil: 1, lastError: 1 },
+        }
+      } else {
+        update = {
+          $set: { status: "completed", completedAt: new Date(), expiresAt: this._expiresAt() },
+          $unset: { lockedBy: 1, lockedUntil: 1 },
+        }
+      }
+    } catch (error) {
+      const attempts = job.attempts + 1
+
+      if (attempts >= job.maxAttempts) {
+        logger.error(`Job ${job.type} ${job.key || job._id} failed after ${attempts} attempts: ${error.message}`)
+
+        update = {
+          $set: {
+            status: "failed",
+            attempts,
+            lastError: error.message,
+            completedAt: new Date(),
+            expiresAt: this._expiresAt(),
+          },
+          $unset: { lockedBy: 1, lockedUntil: 1 },
+        }
+      } else {
+        logger.warn(`Job ${job.type} ${job.key || job._id} attempt ${attempts} failed: ${error.message}`)
+
+        update = {
+          $set: {
+            status: "scheduled",
+            runAt: new Date(Date.now() + this._retryDelay(attempts)),
+            attempts,
+            lastError: error.message,
+          },
+          $unset: { lockedBy: 1, lockedUntil: 1 },
+        }
+      }
+    }
+
+    try {
+      // Only the lease holder records the outcome; a job rescheduled meanwhile keeps its new schedule
+      const result = await Job.updateOne({ _id: job._id, status: "running", lockedBy: this.instanceId }, update)
+
+      if (result.matchedCount === 0) {
+        logger.warn(`Job ${job.type} ${job.key || job._id} was rescheduled or re-claimed while running`)
+      }
+    } catch (error) {
+      logger.error(`Failed to record outcome of job ${job.type} ${job.key || job._id}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Delay before retrying a failed job: the base delay doubled for each failed attempt, up to an hour
+   *
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} - Delay in milliseconds
+   */
+  _retryDelay(attempts) {
+    return Math.min(config.jobs.retryBaseDelaySeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+  }
+
+  /**
+   * When a finished job is removed
+   *
+   * @returns {Date} - Expiry date
+   */
+  _expiresAt() {
+    return new Date(Date.now() + config.jobs.retentionHours * 60 * 60 * 1000)
+  }
+}
+
+export default new SchedulerService()
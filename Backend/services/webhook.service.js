@@ -0,0 +1,301 @@
+import crypto from "crypto"
+import axios from "axios"
+import config from "../config/index.js"
+import logger from "../utils/mpesa.logger.js"
+import { generateSignature } from "../utils/mpesa.encryption.js"
+import scheduler from "./scheduler.service.js"
+import WebhookEndpoint from "../models/mpesa.webhookEndpoint.model.js"
+import WebhookDelivery from "../models/mpesa.webhookDelivery.model.js"
+
+// Longest wait between attempts of a delivery
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000
+
+// Deliveries retried per scheduled run
+const RETRY_BATCH_SIZE = 50
+
+/**
+ * Webhook Service
+ * Sends signed transaction events to the endpoints merchants register. Every delivery is stored
+ * before it is sent and retried with exponential backoff until it succeeds or runs out of attempts
+ */
+class WebhookService {
+  /**
+   * Register a webhook endpoint
+   *
+   * @param {Object} params - Endpoint parameters
+   * @param {string} params.url - URL events are posted to
+   * @param {Array<string>} params.events - Events to send
+   * @param {string} params.merchant - Merchant whose transactions are reported (unset for the default merchant)
+   * @param {string} params.description - Optional label
+   * @returns {Promise<Object>} - The stored endpoint and its signing secret (only returned here)
+   */
+  async createEndpoint({ url, events, merchant, description }) {
+    const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`
+
+    const endpoint = await WebhookEndpoint.create({ url, events, merchant, description, secret })
+
+    logger.info(`Webhook endpoint ${endpoint._id} registered for events: ${events.join(", ")}`)
+
+    return { endpoint, secret }
+  }
+
+  /**
+   * Event reported for a transaction's current status
+   *
+   * @param {Object} transaction - Transaction
+   * @returns {string|null} - Event name, or null while the transaction has no final status
+   */
+  eventForTransaction(transaction) {
+    switch (transaction.status) {
+      case "success":
+        return transaction.transactionType === "B2C" ? "payout.completed" : "transaction.succeeded"
+      case "failed":
+        return "transaction.failed"
+      case "cancelled":
+        return "transaction.cancelled"
+      default:
+        return null
+    }
+  }
+
+  /**
+   * Send the event for a transaction's final status to the endpoints subscribed to it
+   * Each event is sent to an endpoint once, so reporting the same status again is harmless.
+   * Errors are logged rather than thrown so they never fail the status update that triggered them
+   *
+   * @param {Object} transaction - Transaction with its updated status
+   * @returns {Promise<Array<Object>>} - Deliveries created
+   */
+  async notifyTransaction(transaction) {
+    const event = transaction && this.eventForTransaction(transaction)
+
+    if (!event) {
+      return []
+    }
+
+    try {
+      const endpoints = await WebhookEndpoint.find({
+        merchant: transaction.merchant || null,
+        status: "active",
+        events: event,
+      })
+
+      if (endpoints.length === 0) {
+        return []
+      }
+
+      const eventId = `evt_${transaction._id}_${event}`
+      const payload = {
+        id: eventId,
+        event,
+        createdAt: new Date().toISOString(),
+        data: this._transactionData(transaction),
+      }
+
+      const deliveries = []
+
+      for (const endpoint of endpoints) {
+        try {
+          deliveries.push(
+            await WebhookDelivery.create({
+              endpoint: endpoint._id,
+              merchant: transaction.merchant,
+              eventId,
+              event,
+              transaction: transaction._id,
+              payload,
+              // Picked up by the retry schedule if the first attempt never records an outcome
+              nextAttemptAt: new Date(Date.now() + this._retryDelay(1)),
+            }),
+          )
+        } catch (error) {
+          // Already sent to this endpoint
+          if (error.code !== 11000) {
+            throw error
+          }
+        }
+      }
+
+      // Sent in the background; failures are retried by the schedule
+      deliveries.forEach((delivery) => this._deliver(delivery))
+
+      return deliveries
+    } catch (error) {
+      logger.error(`Failed to queue ${event} webhooks for transaction ${transaction._id}: ${error.message}`)
+      return []
+    }
+  }
+
+  /**
+   * Send a delivery again now, whatever its status
+   *
+   * @param {Object} delivery - Stored delivery
+   * @returns {Promise<Object>} - The delivery with the new attempt recorded
+   */
+  async redeliver(delivery) {
+    logger.info(`Redelivering webhook ${delivery._id} (${delivery.event})`)
+
+    return this._deliver(delivery)
+  }
+
+  /**
+   * Retry deliveries that are due
+   * Each delivery is claimed before it is sent so concurrent runs never send it twice
+   *
+   * @returns {Promise<Object>} - Counts of deliveries retried, delivered and still failing
+   */
+  async retryDueDeliveries() {
+    const summary = { retried: 0, delivered: 0, failed: 0 }
+
+    while (summary.retried < RETRY_BATCH_SIZE) {
+      const now = new Date()
+
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        // Hold the claim for the longest retry delay; _deliver() sets the real next attempt
+        { $set: { nextAttemptAt: new Date(now.getTime() + MAX_RETRY_DELAY_MS) } },
+        { sort: { nextAttemptAt: 1 }, new: true },
+      )
+
+      if (!delivery) {
+        break
+      }
+
+      await this._deliver(delivery)
+
+      summary.retried++
+      summary[delivery.status === "delivered" ? "delivered" : "failed"]++
+    }
+
+    if (summary.retried > 0) {
+      logger.info("Webhook deliveries retried", summary)
+    }
+
+    return summary
+  }
+
+  /**
+   * Start the scheduled retry of failed deliveries
+   * Runs every `retryIntervalSeconds`
+   *
+   * @returns {Promise<boolean>} - Whether the schedule was started
+   */
+  async startRetrySchedule() {
+    const intervalSeconds = config.webhooks.retryIntervalSeconds
+
+    const job = await scheduler.every("webhooks.retry", intervalSeconds * 1000, () => this.retryDueDeliveries())
+
+    if (job) {
+      logger.info(`Scheduled webhook retries every ${intervalSeconds} seconds`)
+    }
+
+    return Boolean(job)
+  }
+
+  /**
+   * Post a delivery to its endpoint and record the attempt
+   * The body is signed as `<timestamp>.<body>` and sent in X-Webhook-Signature as t=<timestamp>,v1=<hex HMAC>
+   *
+   * @param {Object} delivery - Stored delivery
+   * @returns {Promise<Object>} - The delivery with the attempt recorded
+   */
+  async _deliver(delivery) {
+    const attempt = { attemptedAt: new Date() }
+
+    try {
+      const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select("+secret")
+
+      if (!endpoint || endpoint.status !== "active") {
+        throw new Error("Webhook endpoint is disabled or no longer exists")
+      }
+
+      const body = JSON.stringify(delivery.payload)
+      const timestamp = Math.floor(Date.now() / 1000)
+      const signature = generateSignature(`${timestamp}.${body}`, endpoint.secret)
+
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": delivery.eventId,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Signature": `t=${timestamp},v1=${signature}`,
+        },
+        timeout: config.webhooks.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+      })
+
+      attempt.responseStatus = response.status
+
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Endpoint responded with status ${response.status}`
+      }
+    } catch (error) {
+      attempt.error = error.message
+    }
+
+    attempt.durationMs = Date.now() - attempt.attemptedAt.getTime()
+    delivery.attempts.push(attempt)
+
+    if (!attempt.error) {
+      delivery.status = "delivered"
+      delivery.deliveredAt = new Date()
+      delivery.nextAttemptAt = undefined
+
+      logger.info(`Webhook ${delivery._id} (${delivery.event}) delivered`)
+    } else if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+      delivery.status = "failed"
+      delivery.nextAttemptAt = undefined
+
+      logger.error(`Webhook ${delivery._id} failed after ${delivery.attempts.length} attempts: ${attempt.error}`)
+    } else {
+      delivery.status = "pending"
+      delivery.nextAttemptAt = new Date(Date.now() + this._retryDelay(delivery.attempts.length))
+
+      logger.warn(`Webhook ${delivery._id} attempt ${delivery.attempts.length} failed: ${attempt.error}`)
+    }
+
+    await delivery.save().catch((saveError) => {
+      logger.error(`Failed to record attempt of webhook ${delivery._id}:`, saveError.message)
+    })
+
+    return delivery
+  }
+
+  /**
+   * Transaction fields sent in event payloads
+   *
+   * @param {Object} transaction - Transaction
+   * @returns {Object} - Payload data
+   */
+  _transactionData(transaction) {
+    return {
+      id: transaction._id,
+      transactionType: transaction.transactionType,
+      status: transaction.status,
+      amount: transaction.amount,
+      phoneNumber: transaction.phoneNumber,
+      referenceId: transaction.referenceId,
+      checkoutRequestID: transaction.checkoutRequestID,
+      conversationId: transaction.conversationId,
+      mpesaReceiptNumber: transaction.mpesaReceiptNumber || transaction.transactionId,
+      resultCode: transaction.resultCode,
+      resultDesc: transaction.resultDesc,
+      failureReason: transaction.failureReason,
+      createdAt: transaction.createdAt,
+      updatedAt: transaction.updatedAt,
+    }
+  }
+
+  /**
+   * Delay before the next attempt: the base delay doubled for each failed attempt, up to an hour
+   *
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  _retryDelay(attempts) {
+    return Math.min(config.webhooks.retryBaseDelaySeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+  }
+}
+
+export default new WebhookService()
@@ -1,14 +1,24 @@
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import config from '../config/index.js';
 
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parsed Safaricom certificates keyed by file path
+const certificateCache = new Map();
+
 /**
  * Encrypts sensitive data using AES-256-CBC
  * 
  * @param {string} text - The text to encrypt
- * @param {string} key - The encryption key (defaults to encryption key from config)
+ * @param {string} key - The encryption key (defaults to CREDENTIALS_ENCRYPTION_KEY)
  * @returns {string} - The encrypted text
  */
-export const encrypt = (text, key = config.security.jwtSecret) => {
+export const encrypt = (text, key = config.security.credentialsEncryptionKey) => {
   if (!key) throw new Error('Encryption key is required');
   
   // Create a 32 byte key from the provided key
@@ -32,10 +42,10 @@ export const encrypt = (text, key = config.security.jwtSecret) => {
  * Decrypts data that was encrypted with the encrypt function
  * 
  * @param {string} encryptedText - The text to decrypt (IV:encryptedData)
- * @param {string} key - The encryption key (defaults to encryption key from config)
+ * @param {string} key - The encryption key (defaults to CREDENTIALS_ENCRYPTION_KEY)
  * @returns {string} - The decrypted text
  */
-export const decrypt = (encryptedText, key = config.security.jwtSecret) => {
+export const decrypt = (encryptedText, key = config.security.credentialsEncryptionKey) => {
   if (!key) throw new Error('Encryption key is required');
   if (!encryptedText) return '';
   
@@ -92,6 +102,81 @@ export const generateStkPushPassword = (shortCode, passkey, timestamp) => {
   return Buffer.from(password).toString('base64');
 };
 
+/**
+ * Resolves the Safaricom certificate used to encrypt the initiator password
+ * Defaults to certs/sandbox.cer or certs/production.cer depending on the M-Pesa base URL
+ * 
+ * @param {string} baseUrl - The M-Pesa API base URL
+ * @param {string} certificatePath - Explicit certificate path, overriding the base URL choice
+ * @returns {string} - Absolute path to the certificate
+ */
+export const getMpesaCertificatePath = (
+  baseUrl = config.mpesa.baseUrl,
+  certificatePath = config.mpesa.certificatePath
+) => {
+  if (certificatePath) {
+    return path.resolve(certificatePath);
+  }
+  
+  const environment = String(baseUrl).includes('sandbox') ? 'sandbox' : 'production';
+  return path.resolve(__dirname, '../certs', `${environment}.cer`);
+};
+
+/**
+ * Loads a Safaricom certificate (PEM or DER) and caches it
+ * 
+ * @param {string} certificatePath - Path to the certificate
+ * @returns {crypto.X509Certificate} - The parsed certificate
+ */
+export const loadMpesaCertificate = (certificatePath = getMpesaCertificatePath()) => {
+  if (!certificateCache.has(certificatePath)) {
+    if (!fs.existsSync(certificatePath)) {
+      throw new Error(
+        `M-Pesa certificate not found: ${certificatePath} (download it from the Daraja portal, see certs/README.md)`
+      );
+    }
+    
+    certificateCache.set(certificatePath, new crypto.X509Certificate(fs.readFileSync(certificatePath)));
+  }
+  
+  return certificateCache.get(certificatePath);
+};
+
+/**
+ * Generates the M-Pesa SecurityCredential by RSA-encrypting the initiator password
+ * with the Safaricom public certificate (PKCS#1 v1.5 padding)
+ * 
+ * @param {string} initiatorPassword - The initiator password
+ * @param {crypto.X509Certificate} certificate - The certificate (defaults to the one for the configured environment)
+ * @returns {string} - Base64 encoded security credential
+ */
+export const generateSecurityCredential = (initiatorPassword, certificate = loadMpesaCertificate()) => {
+  if (!initiatorPassword) {
+    throw new Error('Initiator password is required for the security credential');
+  }
+  
+  const encrypted = crypto.publicEncrypt(
+    {
+      key: certificate.publicKey,
+      padding: crypto.constants.RSA_PKCS1_PADDING
+    },
+    Buffer.from(String(initiatorPassword))
+  );
+  
+  return encrypted.toString('base64');
+};
+
+/**
+ * Signs a webhook payload
+ * 
+ * @param {string} payload - The payload as a string
+ * @param {string} secret - The secret key to sign with
+ * @returns {string} - Hex HMAC-SHA256 of the payload
+ */
+export const generateSignature = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
 /**
  * Verifies the signature of a webhook payload
  * 
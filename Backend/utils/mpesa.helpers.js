@@ -16,6 +16,41 @@ export const generateTimestamp = () => {
     return `${year}${month}${day}${hours}${minutes}${seconds}`;
   };
   
+  /**
+   * Formats a date in the format required by the Pull Transactions API (YYYY-MM-DD HH:mm:ss)
+   * 
+   * @param {Date|string|number} value - The date to format
+   * @returns {string} - Formatted date
+   */
+  export const formatPullDate = (value) => {
+    const date = new Date(value);
+    
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    const seconds = String(date.getSeconds()).padStart(2, '0');
+    
+    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+  };
+  
+  /**
+   * Formats a date in the format required by the Ratiba standing order API (YYYYMMDD)
+   * 
+   * @param {Date|string|number} value - The date to format
+   * @returns {string} - Formatted date
+   */
+  export const formatRatibaDate = (value) => {
+    const date = new Date(value);
+    
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    
+    return `${year}${month}${day}`;
+  };
+  
   /**
    * Formats a phone number to the required format (2547XXXXXXXX)
    * Removes leading 0 and adds country code if necessary
@@ -80,4 +115,175 @@ export const generateTimestamp = () => {
     } catch (error) {
       return defaultValue;
     }
-  };
\ No newline at end of file
+  };
+  
+  /**
+   * Converts M-Pesa ResultParameters into a plain key/value object
+   * 
+   * @param {Object} resultParameters - The ResultParameters object from a result callback
+   * @returns {Object} - Parameter values keyed by parameter name
+   */
+  export const parseResultParameters = (resultParameters) => {
+    const params = resultParameters?.ResultParameter;
+    
+    if (!params) {
+      return {};
+    }
+    
+    // A single parameter is sent as an object rather than an array
+    return (Array.isArray(params) ? params : [params]).reduce((acc, param) => {
+      if (param.Key) {
+        acc[param.Key] = param.Value;
+      }
+      return acc;
+    }, {});
+  };
+  
+  /**
+   * Parses the pipe-delimited AccountBalance result parameter into per-account balances
+   * e.g. "Working Account|KES|700000.00|700000.00|0.00|0.00&Utility Account|KES|..."
+   * 
+   * @param {string} accountBalance - The AccountBalance value from a result callback
+   * @returns {Array<Object>} - Parsed account balances
+   */
+  export const parseAccountBalance = (accountBalance) => {
+    if (!accountBalance || typeof accountBalance !== 'string') {
+      return [];
+    }
+    
+    return accountBalance
+      .split('&')
+      .filter(Boolean)
+      .map(account => {
+        const [accountName, currency, currentBalance, availableBalance, reservedBalance, unclearedBalance] =
+          account.split('|');
+        
+        return {
+          accountName,
+          currency,
+          currentBalance: Number.parseFloat(currentBalance) || 0,
+          availableBalance: Number.parseFloat(availableBalance) || 0,
+          reservedBalance: Number.parseFloat(reservedBalance) || 0,
+          unclearedBalance: Number.parseFloat(unclearedBalance) || 0
+        };
+      });
+  };
+  
+  /**
+   * Parses CSV text into an array of objects keyed by the header row
+   * Supports quoted fields containing commas, quotes ("") and line breaks
+   * 
+   * @param {string} text - CSV text with a header row
+   * @returns {Array<Object>} - One object per data row
+   */
+  export const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+    
+    // Drop blank lines
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    
+    if (nonEmpty.length === 0) {
+      return [];
+    }
+    
+    const headers = nonEmpty[0].map(header => header.trim());
+    
+    return nonEmpty.slice(1).map(values => headers.reduce((acc, header, index) => {
+      acc[header] = values[index] !== undefined ? values[index].trim() : '';
+      return acc;
+    }, {}));
+  };
+  
+  /**
+   * Serializes an array of objects to CSV text
+   * 
+   * @param {Array<Object>} rows - Rows to serialize
+   * @param {Array<string>} columns - Column names, in order
+   * @returns {string} - CSV text with a header row
+   */
+  export const toCsv = (rows, columns) => {
+    const escape = (value) => {
+      if (value === undefined || value === null) return '';
+      const str = String(value);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    
+    const lines = [columns.join(',')];
+    
+    rows.forEach(row => {
+      lines.push(columns.map(column => escape(row[column])).join(','));
+    });
+    
+    return lines.join('\n');
+  };
+  
+  /**
+   * Identifies the client making a request: its API key, operator account or IP address
+   * 
+   * @param {Object} req - Express request, after authentication
+   * @returns {string} - Client identifier
+   */
+  export const getRequestClient = (req) => {
+    if (req.apiKey) {
+      return `key:${req.apiKey._id}`;
+    }
+    
+    return req.operator ? `operator:${req.operator._id}` : `ip:${req.ip}`;
+  };
+  
+  /**
+   * Serializes a value to JSON with object keys sorted, so equal payloads give equal strings
+   * 
+   * @param {*} value - Value to serialize
+   * @returns {string} - Canonical JSON
+   */
+  export const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+      return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    
+    return JSON.stringify(value) ?? 'null';
+  };
@@ -0,0 +1,67 @@
+import RateLimit from '../models/mpesa.rateLimit.model.js';
+
+/**
+ * express-rate-limit store that keeps counters in MongoDB, so limits hold across instances
+ */
+export class MongoRateLimitStore {
+  /**
+   * @param {string} prefix - Prefix for this limiter's keys
+   */
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+  
+  /**
+   * Called by express-rate-limit with the limiter's options
+   * 
+   * @param {Object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+  
+  /**
+   * Count a hit, starting a new window when the current one has ended
+   * 
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} - Hits in the window and when it resets
+   */
+  async increment(key) {
+    const now = new Date();
+    const windowEnded = { $lte: [{ $ifNull: ['$resetAt', new Date(0)] }, now] };
+    
+    const counter = await RateLimit.findOneAndUpdate(
+      { key: `${this.prefix}${key}` },
+      [
+        {
+          $set: {
+            hits: { $cond: [windowEnded, 1, { $add: ['$hits', 1] }] },
+            resetAt: { $cond: [windowEnded, new Date(now.getTime() + this.windowMs), '$resetAt'] }
+          }
+        }
+      ],
+      { upsert: true, new: true }
+    ).lean();
+    
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+  
+  /**
+   * Remove a hit
+   * 
+   * @param {string} key - Client key
+   */
+  async decrement(key) {
+    await RateLimit.updateOne({ key: `${this.prefix}${key}`, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+  }
+  
+  /**
+   * Reset a client's counter
+   * 
+   * @param {string} key - Client key
+   */
+  async resetKey(key) {
+    await RateLimit.deleteOne({ key: `${this.prefix}${key}` });
+  }
+}